@@ -0,0 +1,115 @@
+// backend/app.js
+const express = require('express');
+const cors = require('cors');
+const { getUserRole } = require('./lib/permissions');
+const { createServices } = require('./services');
+const { createAdminsRouter } = require('./routes/admins');
+const { createAuditRouter } = require('./routes/audit');
+const { createCronRouter } = require('./routes/cron');
+const { createFixturesRouter } = require('./routes/fixtures');
+const { createImportExportRouter } = require('./routes/import-export');
+const { createLiveRouter } = require('./routes/live');
+const { createMatchEventsRouter } = require('./routes/match-events');
+const { createMatchesRouter } = require('./routes/matches');
+const { createMigrationsRouter } = require('./routes/migrations');
+const { createNewsRouter } = require('./routes/news');
+const { createPlayersRouter } = require('./routes/players');
+const { createPublicRouter } = require('./routes/public');
+const { createSearchRouter } = require('./routes/search');
+const { createSeasonsRouter } = require('./routes/seasons');
+const { createStandingsRouter } = require('./routes/standings');
+const { createStatisticsRouter } = require('./routes/statistics');
+const { createTeamsRouter } = require('./routes/teams');
+const { createWebhooksRouter } = require('./routes/webhooks');
+
+// Builds the Express app on top of a Firestore `db`, a Firebase `auth` and a `fileStorage` backend
+// (see lib/storage.js). server.js passes the real Firebase services; the tests pass in-memory fakes.
+// Locally stored uploads are served at /uploads when `localStorageDir` is given.
+function createApp({ db, auth, fileStorage, localStorageDir = null }) {
+    const services = createServices({ db, auth, fileStorage });
+    const app = express();
+
+    // --- Middleware ---
+    // Configure CORS to allow requests from your frontend's domain
+    app.use(cors({
+        origin: process.env.FRONTEND_URL || 'http://localhost:3000', // Default for local dev if FRONTEND_URL isn't set
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // OPTIONS for preflight requests
+        credentials: true // If your frontend sends cookies/auth headers
+    }));
+    app.use(express.json({ limit: '2mb' })); // To parse JSON request bodies (large enough for bulk imports)
+    app.use(express.urlencoded({ extended: true })); // For parsing application/x-www-form-urlencoded
+
+    // --- Health Check (before auth middleware) ---
+    // This route is for Vercel (and other platforms) to check if your function is alive.
+    // It should not require authentication.
+    app.get('/', (req, res) => {
+        res.status(200).send('Admin Panel Backend is running!');
+    });
+
+    // Locally stored uploads are public, like Firebase Storage download URLs
+    if (localStorageDir) {
+        app.use('/uploads', express.static(localStorageDir));
+    }
+
+    // Public and cron routes check their own access, so they are mounted before the auth middleware
+    app.use(createPublicRouter(services));
+    app.use(createCronRouter(services));
+
+    // --- Basic Admin Authentication Middleware (IMPORTANT!) ---
+    // This middleware runs BEFORE your specific API routes, ensuring all subsequent routes are protected.
+    app.use(async (req, res, next) => {
+        // For OPTIONS (preflight) requests, just pass through. CORS handles them.
+        if (req.method === 'OPTIONS') {
+            return next();
+        }
+
+        const idToken = req.headers.authorization?.split('Bearer ')[1];
+
+        if (!idToken) {
+            return res.status(401).json({ message: 'Unauthorized: No token provided.' });
+        }
+
+        try {
+            // checkRevoked = true so that revoking a role (DELETE /admins/:uid) takes effect immediately
+            const decodedToken = await auth.verifyIdToken(idToken, true);
+            req.user = decodedToken; // Attach decoded token to request for downstream use
+            console.log('User authenticated:', decodedToken.uid);
+
+            // Any valid Firebase user can sign up on the public site, so only users with an admin role get through.
+            const role = getUserRole(decodedToken);
+            if (!role) {
+                return res.status(403).json({ message: 'Forbidden: User is not an admin.' });
+            }
+            req.user.role = role;
+
+            next(); // Proceed to the next middleware or route handler
+        } catch (error) {
+            console.error('Error verifying Firebase ID token:', error);
+            res.status(403).json({ message: 'Unauthorized: Invalid or expired token.' });
+        }
+    });
+
+    app.use(services.seasons.resolveSeason);
+
+    // --- API Routes ---
+    app.use(createTeamsRouter(services));
+    app.use(createPlayersRouter(services));
+    app.use(createNewsRouter(services));
+    app.use(createMatchesRouter(services));
+    app.use(createStandingsRouter(services));
+    app.use(createAdminsRouter(services));
+    app.use(createMatchEventsRouter(services));
+    app.use(createStatisticsRouter(services));
+    app.use(createSeasonsRouter(services));
+    app.use(createFixturesRouter(services));
+    app.use(createAuditRouter(services));
+    app.use(createMigrationsRouter(services));
+    app.use(createImportExportRouter(services));
+    app.use(createLiveRouter(services));
+    app.use(createWebhooksRouter(services));
+    app.use(createSearchRouter(services));
+
+    return app;
+}
+
+module.exports = { createApp };
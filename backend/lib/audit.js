@@ -0,0 +1,76 @@
+// backend/lib/audit.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('./errors');
+const { LEAGUE_BASE_PATH } = require('./paths');
+
+// --- Audit Log ---
+// Every admin write records who made it, when, the document path and the document before/after,
+// so changes can be traced and reverted (see the /audit routes). Entries are global, not per season.
+const AUDIT_COLLECTION = `${LEAGUE_BASE_PATH}/audit`;
+
+// Deep equality for Firestore values (Timestamps, arrays, maps and primitives)
+function valuesEqual(a, b) {
+    if (a === b) {
+        return true;
+    }
+    if (a instanceof admin.firestore.Timestamp || b instanceof admin.firestore.Timestamp) {
+        return a instanceof admin.firestore.Timestamp && b instanceof admin.firestore.Timestamp && a.isEqual(b);
+    }
+    if (Array.isArray(a) || Array.isArray(b)) {
+        return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, index) => valuesEqual(item, b[index]));
+    }
+    if (a && b && typeof a === 'object' && typeof b === 'object') {
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => valuesEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+// Fields that differ between two versions of a document, as { field: { before, after } }.
+// A missing field is reported as null, since Firestore cannot store undefined.
+function diffDocuments(before, after) {
+    const diff = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+        if (!valuesEqual(before[field], after[field])) {
+            diff[field] = { before: before[field] ?? null, after: after[field] ?? null };
+        }
+    });
+    return diff;
+}
+
+// Works out the document state that reverting an audit entry restores. Throws a 409 error when the
+// document has changed since the entry was recorded. For updates only the fields that the entry
+// changed are checked and restored, so unrelated later changes (e.g. standings on a team) are kept.
+function getRevertedDocument(entry, current) {
+    const changedSince = () => createHttpError(409, 'The document has changed since this entry was recorded, so it cannot be reverted.');
+    if (entry.action === 'delete') {
+        if (current) {
+            throw changedSince();
+        }
+        return entry.before;
+    }
+    if (!current) {
+        throw changedSince();
+    }
+    if (entry.action === 'create') {
+        if (!valuesEqual(current, entry.after)) {
+            throw changedSince();
+        }
+        return null;
+    }
+    const fields = Object.keys(entry.diff);
+    if (fields.some(field => !valuesEqual(current[field], entry.after[field]))) {
+        throw changedSince();
+    }
+    const restored = { ...current };
+    fields.forEach(field => {
+        if (field in entry.before) {
+            restored[field] = entry.before[field];
+        } else {
+            delete restored[field];
+        }
+    });
+    return restored;
+}
+
+module.exports = { AUDIT_COLLECTION, valuesEqual, diffDocuments, getRevertedDocument };
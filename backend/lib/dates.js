@@ -0,0 +1,49 @@
+// backend/lib/dates.js
+const admin = require('firebase-admin');
+
+// --- Helper for Date Parsing (New Function) ---
+// Parses a "DD-MM-YYYY" string into a Date object
+function parseDDMMYYYYToDate(ddmmyyyy) {
+    const parts = ddmmyyyy.split('-');
+    if (parts.length !== 3) {
+        throw new Error('Invalid date format. Expected DD-MM-YYYY.');
+    }
+    const day = parseInt(parts[0], 10);
+    const month = parseInt(parts[1], 10) - 1; // Month is 0-indexed
+    const year = parseInt(parts[2], 10);
+    return new Date(year, month, day);
+}
+
+// Formats a Date object as a "DD-MM-YYYY" string
+function formatDateToDDMMYYYY(date) {
+    const day = date.getDate().toString().padStart(2, '0');
+    const month = (date.getMonth() + 1).toString().padStart(2, '0');
+    return `${day}-${month}-${date.getFullYear()}`;
+}
+
+// Match dates and times are entered in Myanmar time (UTC+06:30, no daylight saving)
+const MYANMAR_UTC_OFFSET_MINUTES = 6 * 60 + 30;
+
+// Converts a "DD-MM-YYYY" date and "HH:MM" time in Myanmar time into a Firestore Timestamp,
+// independent of the server's own timezone. Matches store this as kickoffAt.
+function getMyanmarTimestamp(ddmmyyyy, time = '00:00') {
+    const day = parseDDMMYYYYToDate(ddmmyyyy);
+    const [hours, minutes] = time.split(':').map(part => parseInt(part, 10));
+    const utcMillis = Date.UTC(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes);
+    return admin.firestore.Timestamp.fromMillis(utcMillis - MYANMAR_UTC_OFFSET_MINUTES * 60 * 1000);
+}
+
+// Formats an instant as the "DD-MM-YYYY" date it falls on in Myanmar
+function formatMyanmarDate(date) {
+    const shifted = new Date(date.getTime() + MYANMAR_UTC_OFFSET_MINUTES * 60 * 1000);
+    const day = shifted.getUTCDate().toString().padStart(2, '0');
+    const month = (shifted.getUTCMonth() + 1).toString().padStart(2, '0');
+    return `${day}-${month}-${shifted.getUTCFullYear()}`;
+}
+
+module.exports = {
+    parseDDMMYYYYToDate,
+    formatDateToDDMMYYYY,
+    getMyanmarTimestamp,
+    formatMyanmarDate,
+};
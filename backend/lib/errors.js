@@ -0,0 +1,23 @@
+// backend/lib/errors.js
+
+// --- Helper for Errors Raised Inside Transactions ---
+// Route handlers send errors carrying a `status` back to the client with that status and message,
+// plus the field-level `errors` list for validation failures.
+function createHttpError(status, message, errors) {
+    return Object.assign(new Error(message), { status, errors });
+}
+
+function sendValidationErrors(res, errors) {
+    return res.status(400).json({ message: 'Validation failed.', errors });
+}
+
+// Error response for the list routes, which also reject bad ?limit=, ?cursor=, ?sort= and ?lang=
+function sendListError(res, error, label) {
+    if (error.status) {
+        return res.status(error.status).json({ message: error.message, errors: error.errors });
+    }
+    console.error(`Error fetching ${label}:`, error);
+    res.status(500).json({ message: `Error fetching ${label}` });
+}
+
+module.exports = { createHttpError, sendValidationErrors, sendListError };
@@ -0,0 +1,31 @@
+// backend/lib/firestore.js
+
+// --- Helper for Daily Sequential ID Generation ---
+// Numbering continues after the matches/news already on the date. A deleted document leaves a gap
+// in the count, so numbers that are taken in Firestore, or listed in `reservedIds` (IDs handed out
+// earlier in the same batch that are not written yet), are skipped rather than reused.
+async function generateDailySequentialId(collectionRef, prefix, dateStringDDMMYYYY, reservedIds = []) {
+    // Count matches/news with the same date string
+    const snapshot = await collectionRef.where('date', '==', dateStringDDMMYYYY).get();
+    for (let sequence = snapshot.size + 1; ; sequence += 1) {
+        const sequentialNum = sequence.toString().padStart(2, '0'); // e.g., 01, 02
+        const id = `${dateStringDDMMYYYY.replace(/-/g, '')}-${sequentialNum}`; // Format DDMMYYYY-NN
+        if (!reservedIds.includes(id) && !(await collectionRef.doc(id).get()).exists) {
+            return id;
+        }
+    }
+}
+
+// --- Helper for Large Batched Writes ---
+// Firestore batches hold at most 500 writes, so `writes` (functions that add one write to the
+// given batch) are committed to `db` in as many batches as needed. Not atomic across batches.
+const FIRESTORE_BATCH_LIMIT = 500;
+async function commitWritesInBatches(db, writes) {
+    for (let start = 0; start < writes.length; start += FIRESTORE_BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(start, start + FIRESTORE_BATCH_LIMIT).forEach(write => write(batch));
+        await batch.commit();
+    }
+}
+
+module.exports = { FIRESTORE_BATCH_LIMIT, generateDailySequentialId, commitWritesInBatches };
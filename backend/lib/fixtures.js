@@ -0,0 +1,85 @@
+// backend/lib/fixtures.js
+const { parseDDMMYYYYToDate, formatDateToDDMMYYYY } = require('./dates');
+
+// --- Helpers for Fixture Generation ---
+const WEEKDAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Accepts 0-6 (Sunday = 0) or a day name such as "sat" / "Saturday". Returns null if unrecognised.
+function parseWeekday(value) {
+    if (typeof value === 'number' || /^\d$/.test(value)) {
+        const day = Number(value);
+        return day >= 0 && day <= 6 ? day : null;
+    }
+    const name = String(value).trim().toLowerCase();
+    const day = WEEKDAY_NAMES.findIndex(weekday => name.length >= 3 && weekday.startsWith(name));
+    return day === -1 ? null : day;
+}
+
+// Pairs teams into rounds with the circle method: the first team stays put while the others rotate.
+// With an odd number of teams a bye (null) is added and whoever draws it sits the round out.
+// Home/away follows the Berger tables: the fixed team's pairing flips every round and the other
+// pairings flip by position, so teams alternate home and away as much as possible.
+// A double round-robin repeats the rounds with home and away swapped.
+function generateRoundRobinRounds(teamIds, doubleRoundRobin) {
+    const slots = teamIds.length % 2 ? [...teamIds, null] : [...teamIds];
+    const rounds = [];
+    for (let round = 0; round < slots.length - 1; round++) {
+        const pairings = [];
+        for (let i = 0; i < slots.length / 2; i++) {
+            const first = slots[i];
+            const second = slots[slots.length - 1 - i];
+            if (!first || !second) {
+                continue; // Bye
+            }
+            const swapSides = i === 0 ? round % 2 === 1 : i % 2 === 1;
+            pairings.push(swapSides
+                ? { homeTeamId: second, awayTeamId: first }
+                : { homeTeamId: first, awayTeamId: second });
+        }
+        rounds.push(pairings);
+        slots.splice(1, 0, slots.pop()); // Rotate every slot except the first
+    }
+    if (doubleRoundRobin) {
+        rounds.push(...rounds.map(pairings => pairings.map(({ homeTeamId, awayTeamId }) => (
+            { homeTeamId: awayTeamId, awayTeamId: homeTeamId }
+        ))));
+    }
+    return rounds;
+}
+
+// Lays the rounds out on the calendar, starting from startDate on the allowed weekdays only.
+// Each round starts on a new match day; its matches fill the kick-off times in order, with one
+// match per venue at each kick-off. A round that does not fit in one day continues on the next one.
+function scheduleFixtures(rounds, { startDate, weekdays, kickoffTimes, venues }) {
+    const venueSlots = venues.length ? venues : [''];
+    const matchesPerDay = kickoffTimes.length * venueSlots.length;
+    const day = parseDDMMYYYYToDate(startDate);
+    const moveToMatchDay = () => {
+        while (!weekdays.includes(day.getDay())) {
+            day.setDate(day.getDate() + 1);
+        }
+    };
+
+    const fixtures = [];
+    rounds.forEach((pairings, roundIndex) => {
+        moveToMatchDay();
+        pairings.forEach((pairing, index) => {
+            const slot = index % matchesPerDay;
+            if (index > 0 && slot === 0) {
+                day.setDate(day.getDate() + 1);
+                moveToMatchDay();
+            }
+            fixtures.push({
+                ...pairing,
+                round: roundIndex + 1,
+                date: formatDateToDDMMYYYY(day),
+                time: kickoffTimes[Math.floor(slot / venueSlots.length)],
+                venue: venueSlots[slot % venueSlots.length],
+            });
+        });
+        day.setDate(day.getDate() + 1);
+    });
+    return fixtures;
+}
+
+module.exports = { parseWeekday, generateRoundRobinRounds, scheduleFixtures };
@@ -0,0 +1,85 @@
+// backend/lib/imports.js
+const { createHttpError } = require('./errors');
+
+// --- Helpers for Bulk Import and Export ---
+const IMPORTABLE_RESOURCES = ['teams', 'players', 'matches'];
+const IMPORT_MODES = ['create', 'upsert'];
+const MAX_IMPORT_ROWS = 2000;
+
+// Parses CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF line endings) into objects keyed
+// by the header row. Blank lines are skipped, and so are empty cells, which count as "not given".
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, ''); // Excel writes a byte order mark
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char !== '"') {
+                field += char;
+            } else if (input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else {
+                inQuotes = false;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw createHttpError(400, 'The CSV has a quoted field that is never closed.');
+    }
+    if (field !== '' || record.length) {
+        record.push(field);
+        records.push(record);
+    }
+
+    const [header, ...rows] = records.filter(values => values.some(value => value.trim() !== ''));
+    if (!header) {
+        return [];
+    }
+    const columns = header.map(column => column.trim());
+    return rows.map(values => Object.fromEntries(columns
+        .map((column, index) => [column, (values[index] || '').trim()])
+        .filter(([column, value]) => column && value !== '')));
+}
+
+function toCsv(columns, rows) {
+    const escapeCell = (value) => {
+        const text = value === undefined || value === null ? '' : String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns, ...rows.map(row => columns.map(column => row[column]))]
+        .map(values => values.map(escapeCell).join(','))
+        .join('\r\n') + '\r\n';
+}
+
+// Import bodies are CSV (Content-Type: text/csv) or JSON: an array of rows, or { rows: [...] }
+function parseImportRows(req) {
+    if (typeof req.body === 'string') {
+        return parseCsv(req.body);
+    }
+    const rows = Array.isArray(req.body) ? req.body : req.body?.rows;
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+        throw createHttpError(400, 'Send the rows as CSV (Content-Type: text/csv) or as a JSON array of objects.');
+    }
+    return rows;
+}
+
+module.exports = { IMPORTABLE_RESOURCES, IMPORT_MODES, MAX_IMPORT_ROWS, parseCsv, toCsv, parseImportRows };
@@ -0,0 +1,18 @@
+// backend/lib/integrity.js
+const { createHttpError } = require('./errors');
+
+// --- Helpers for Referential Integrity ---
+// Team and player deletes refuse (409) while other documents reference them. ?cascade=detach turns
+// a team's players into free agents (team_id null) first; ?archive=true keeps the document, marked
+// archived, so that matches and events that reference it stay readable.
+const DELETE_CASCADE_MODES = ['block', 'detach'];
+
+function parseDeleteOptions(query) {
+    const cascade = query.cascade || 'block';
+    if (!DELETE_CASCADE_MODES.includes(cascade)) {
+        throw createHttpError(400, `cascade must be one of: ${DELETE_CASCADE_MODES.join(', ')}.`);
+    }
+    return { cascade, archive: query.archive === 'true' };
+}
+
+module.exports = { parseDeleteOptions };
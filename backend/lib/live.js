@@ -0,0 +1,68 @@
+// backend/lib/live.js
+
+// --- Helpers for Live Matches ---
+// The live console moves a match through these periods. livePeriod and periodStartedAt on the match
+// drive the clock; each period implies the match status.
+const LIVE_PERIODS = {
+    not_started: { status: 'upcoming', running: false, minute: 0 },
+    first_half: { status: 'ongoing', running: true, baseMinute: 0 },
+    half_time: { status: 'ongoing', running: false, minute: 45 },
+    second_half: { status: 'ongoing', running: true, baseMinute: 45 },
+    full_time: { status: 'finished', running: false, minute: 90 },
+};
+const LIVE_MATCH_TRANSITIONS = {
+    kickoff: { from: 'not_started', to: 'first_half' },
+    'half-time': { from: 'first_half', to: 'half_time' },
+    'second-half': { from: 'half_time', to: 'second_half' },
+    'full-time': { from: 'second_half', to: 'full_time' },
+};
+
+// The status changes the console can make: upcoming -> ongoing -> finished. PUT /matches/:id
+// holds other status changes to these unless forced.
+const LIVE_STATUS_TRANSITIONS = Object.values(LIVE_MATCH_TRANSITIONS)
+    .map(({ from, to }) => [LIVE_PERIODS[from].status, LIVE_PERIODS[to].status])
+    .filter(([from, to]) => from !== to);
+
+function isLiveStatusTransition(from, to) {
+    return LIVE_STATUS_TRANSITIONS.some(transition => transition[0] === from && transition[1] === to);
+}
+
+function getLivePeriod(match) {
+    if (match.livePeriod && LIVE_PERIODS[match.livePeriod]?.status === match.status) {
+        return match.livePeriod;
+    }
+    // Never run through the console, or its status was since changed with PUT /matches/:id
+    return { ongoing: 'first_half', finished: 'full_time' }[match.status] || 'not_started';
+}
+
+// The match clock at `nowMillis`. While it runs, clients can keep it ticking from periodStartedAt
+// (epoch milliseconds); minute is null when the period's start time is unknown.
+function getMatchClock(match, nowMillis) {
+    const period = getLivePeriod(match);
+    const { running, baseMinute, minute } = LIVE_PERIODS[period];
+    if (!running) {
+        return { period, running, minute, periodStartedAt: null };
+    }
+    const startedAt = match.livePeriod === period && match.periodStartedAt ? match.periodStartedAt.toMillis() : null;
+    if (startedAt === null) {
+        return { period, running, minute: null, periodStartedAt: null };
+    }
+    // The first minute of a half is shown as 1', as on a stadium clock
+    const elapsedMinutes = Math.max(0, Math.floor((nowMillis - startedAt) / 60000));
+    return { period, running, minute: baseMinute + elapsedMinutes + 1, periodStartedAt: startedAt };
+}
+
+// The fields the live console and stream send for a match
+function toLiveMatch(id, match) {
+    return {
+        id,
+        homeTeamId: match.homeTeamId,
+        awayTeamId: match.awayTeamId,
+        homeScore: Number(match.homeScore) || 0,
+        awayScore: Number(match.awayScore) || 0,
+        status: match.status,
+        clock: getMatchClock(match, Date.now()),
+    };
+}
+
+module.exports = { LIVE_PERIODS, LIVE_MATCH_TRANSITIONS, isLiveStatusTransition, getLivePeriod, getMatchClock, toLiveMatch };
@@ -0,0 +1,178 @@
+// backend/lib/localization.js
+const { ZawgyiDetector, ZawgyiConverter } = require('myanmar-tools');
+const { createHttpError } = require('./errors');
+
+// --- Localized Content ---
+// Names and text exist in Myanmar ("my") and English ("en"). The fields keep their original storage
+// names, so existing clients and sorting are unaffected; LOCALIZED_FIELDS maps each localized field
+// to its stored field per language. Writes also accept { i18n: { name: { my, en } } } and list reads
+// return the same `i18n` map. ?lang=my|en on reads sets the plain field (e.g. name) to that language,
+// falling back to the other one when there is no translation.
+const CONTENT_LANGUAGES = ['my', 'en'];
+const LOCALIZED_FIELDS = {
+    teams: { name: { my: 'name_mm', en: 'name' } },
+    players: { name: { my: 'name', en: 'name_en' } },
+    news: { title: { my: 'title', en: 'title_en' }, body: { my: 'body', en: 'body_en' } },
+    matches: { venue: { my: 'venue', en: 'venue_en' } },
+};
+
+// Editors type Myanmar text in both Zawgyi and Unicode fonts. Text that is probably Zawgyi is
+// converted, so the same words are always stored (and found) the same way.
+const zawgyiDetector = new ZawgyiDetector();
+const zawgyiConverter = new ZawgyiConverter();
+const ZAWGYI_PROBABILITY_THRESHOLD = 0.95;
+
+function normalizeMyanmarText(text) {
+    if (!/[\u1000-\u109F]/.test(text)) {
+        return text;
+    }
+    const unicode = zawgyiDetector.getZawgyiProbability(text) > ZAWGYI_PROBABILITY_THRESHOLD
+        ? zawgyiConverter.zawgyiToUnicode(text)
+        : text;
+    // NFC also composes ဥ + ီ into ဦ. ဥ + ် looks the same as ဉ် but is a typing mistake.
+    return unicode.normalize('NFC').replace(/\u1025\u103A/g, '\u1009\u103A');
+}
+
+// The stored localized fields of a resource, e.g. ['name_mm', 'name'] for teams
+function getLocalizedStoredFields(resource) {
+    return Object.values(LOCALIZED_FIELDS[resource] || {}).flatMap(Object.values);
+}
+
+// Copies values given as { i18n: { field: { my, en } } } into the stored fields
+function expandLocalizedInput(resource, input) {
+    const { i18n } = input;
+    if (!LOCALIZED_FIELDS[resource] || !i18n || typeof i18n !== 'object') {
+        return input;
+    }
+    const expanded = { ...input };
+    Object.entries(LOCALIZED_FIELDS[resource]).forEach(([field, storedFields]) => {
+        CONTENT_LANGUAGES.forEach(language => {
+            if (i18n[field]?.[language] !== undefined) {
+                expanded[storedFields[language]] = i18n[field][language];
+            }
+        });
+    });
+    return expanded;
+}
+
+// Reads ?lang=; null leaves the plain fields as stored
+function parseLanguage(query) {
+    if (query.lang === undefined) {
+        return null;
+    }
+    if (!CONTENT_LANGUAGES.includes(query.lang)) {
+        throw createHttpError(400, `lang must be one of: ${CONTENT_LANGUAGES.join(', ')}.`);
+    }
+    return query.lang;
+}
+
+// A document as returned by the read routes: with its `i18n` map, the plain fields in `lang` if
+// given, and without the search index
+function localizeDocument(resource, doc, lang) {
+    const { searchTokens, ...localized } = doc;
+    localized.i18n = {};
+    Object.entries(LOCALIZED_FIELDS[resource]).forEach(([field, storedFields]) => {
+        const values = Object.fromEntries(CONTENT_LANGUAGES.map(language => [language, doc[storedFields[language]] || '']));
+        localized.i18n[field] = values;
+        if (lang) {
+            localized[field] = values[lang] || CONTENT_LANGUAGES.map(language => values[language]).find(Boolean) || '';
+        }
+    });
+    return localized;
+}
+
+function localizePage(resource, page, lang) {
+    return { ...page, items: page.items.map(item => localizeDocument(resource, item, lang)) };
+}
+
+// --- Helpers for Search ---
+// Searchable documents carry `searchTokens`, built from the fields below in both languages, which
+// GET /search matches with array-contains. News bodies are left out to keep the token lists small.
+const SEARCH_FIELDS = { teams: ['name'], players: ['name'], news: ['title'] };
+const SEARCH_MAX_SYLLABLES = 6;
+const SEARCH_MAX_PREFIX = 20;
+// A Myanmar syllable starts at a consonant, independent vowel, digit or symbol, unless it is stacked
+// under the one before (after ္) or closes the syllable with an asat (်)
+const MYANMAR_SYLLABLE_START = /(?<!\u1039)([\u1000-\u102A\u103F-\u104F])(?!\u1037?[\u103A\u1039])/g;
+
+// Splits text into words and words into runs of Myanmar and other characters. Myanmar is often
+// written without spaces between words, so Myanmar runs are split further into syllables.
+function getSearchUnits(text) {
+    return normalizeMyanmarText(String(text))
+        .replace(/[\u200B-\u200D\uFEFF]/g, '') // Zero-width spaces and joiners
+        .toLowerCase()
+        .split(/[\s\p{P}\p{S}]+/u)
+        .flatMap(word => word.match(/[\u1000-\u109F]+|[^\u1000-\u109F]+/g) || [])
+        .map(run => (/[\u1000-\u109F]/.test(run)
+            ? { syllables: run.replace(MYANMAR_SYLLABLE_START, '\u0000$1').split('\u0000').filter(Boolean) }
+            : { text: run }));
+}
+
+// Every prefix of each other word (so "yang" finds "Yangon") and every run of up to
+// SEARCH_MAX_SYLLABLES syllables of Myanmar text (so a word is found inside a longer one)
+function getSearchTokens(resource, doc) {
+    const tokens = new Set();
+    SEARCH_FIELDS[resource].forEach(field => {
+        Object.values(LOCALIZED_FIELDS[resource][field]).forEach(storedField => {
+            getSearchUnits(doc[storedField] || '').forEach(({ syllables, text }) => {
+                if (syllables) {
+                    syllables.forEach((syllable, start) => {
+                        const end = Math.min(start + SEARCH_MAX_SYLLABLES, syllables.length);
+                        for (let length = 1; start + length <= end; length++) {
+                            tokens.add(syllables.slice(start, start + length).join(''));
+                        }
+                    });
+                } else {
+                    for (let length = 1; length <= Math.min(text.length, SEARCH_MAX_PREFIX); length++) {
+                        tokens.add(text.slice(0, length));
+                    }
+                }
+            });
+        });
+    });
+    return [...tokens];
+}
+
+// The tokens a document must have to match a search: each other word (up to SEARCH_MAX_PREFIX
+// characters) and each Myanmar run in chunks of SEARCH_MAX_SYLLABLES syllables. Longest first.
+function getSearchQueryTokens(query) {
+    const tokens = new Set();
+    getSearchUnits(query).forEach(({ syllables, text }) => {
+        if (syllables) {
+            for (let start = 0; start < syllables.length; start += SEARCH_MAX_SYLLABLES) {
+                tokens.add(syllables.slice(start, start + SEARCH_MAX_SYLLABLES).join(''));
+            }
+        } else {
+            tokens.add(text.slice(0, SEARCH_MAX_PREFIX));
+        }
+    });
+    return [...tokens].sort((a, b) => b.length - a.length);
+}
+
+// Adds `searchTokens` to a write that changes a searched field. `previous` is the stored document,
+// or null on create.
+function withSearchTokens(resource, previous, data) {
+    if (!SEARCH_FIELDS[resource]) {
+        return data;
+    }
+    const searchedFields = SEARCH_FIELDS[resource].flatMap(field => Object.values(LOCALIZED_FIELDS[resource][field]));
+    if (previous && !searchedFields.some(field => field in data)) {
+        return data;
+    }
+    return { ...data, searchTokens: getSearchTokens(resource, { ...(previous || {}), ...data }) };
+}
+
+module.exports = {
+    CONTENT_LANGUAGES,
+    LOCALIZED_FIELDS,
+    normalizeMyanmarText,
+    getLocalizedStoredFields,
+    expandLocalizedInput,
+    parseLanguage,
+    localizeDocument,
+    localizePage,
+    SEARCH_FIELDS,
+    getSearchTokens,
+    getSearchQueryTokens,
+    withSearchTokens,
+};
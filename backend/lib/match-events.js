@@ -0,0 +1,41 @@
+// backend/lib/match-events.js
+
+// --- Helpers for Match Events ---
+// Events live in an `events` subcollection under each match document.
+const MATCH_EVENT_TYPES = ['goal', 'own_goal', 'penalty', 'yellow', 'red', 'substitution'];
+const MAX_EVENT_MINUTE = 130; // Stoppage time is recorded as e.g. 93 for 90+3
+
+// Goals an event puts on the scoreboard. An own goal counts for the other side.
+function getEventScoreContribution(event, match) {
+    const score = { homeScore: 0, awayScore: 0 };
+    if (!event) {
+        return score;
+    }
+    let scoringTeamId = null;
+    if (event.type === 'goal' || event.type === 'penalty') {
+        scoringTeamId = event.team_id;
+    } else if (event.type === 'own_goal') {
+        scoringTeamId = event.team_id === match.homeTeamId ? match.awayTeamId : match.homeTeamId;
+    }
+    if (scoringTeamId === match.homeTeamId) {
+        score.homeScore = 1;
+    } else if (scoringTeamId === match.awayTeamId) {
+        score.awayScore = 1;
+    }
+    return score;
+}
+
+// Reads the event fields from a request body; fields that are not given are left out
+function parseMatchEventInput(body) {
+    const input = {
+        type: body.type,
+        minute: body.minute !== undefined ? Number(body.minute) : undefined,
+        player_id: body.player_id,
+        assist_player_id: body.assist_player_id,
+        sub_player_id: body.sub_player_id,
+    };
+    Object.keys(input).forEach(key => input[key] === undefined && delete input[key]);
+    return input;
+}
+
+module.exports = { MATCH_EVENT_TYPES, MAX_EVENT_MINUTE, getEventScoreContribution, parseMatchEventInput };
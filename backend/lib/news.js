@@ -0,0 +1,39 @@
+// backend/lib/news.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('./errors');
+
+// --- Helpers for News Publishing and Revisions ---
+// Fields copied into each revision, and the subset that restoring a revision puts back
+const NEWS_REVISION_FIELDS = ['title', 'title_en', 'body', 'body_en', 'tags', 'imgUrl', 'status', 'publishAt'];
+const NEWS_CONTENT_FIELDS = ['title', 'title_en', 'body', 'body_en', 'tags', 'imgUrl'];
+
+// Checks the publishing fields of a news write (`previous` is null on create) and returns the data
+// to store. `date` is the publication date shown on the site and used for ordering, so it is set
+// again when an article goes live; until then it holds the creation time.
+function prepareNewsWrite(previous, data) {
+    const article = { ...(previous || {}), ...data };
+    const now = admin.firestore.Timestamp.now();
+    const scheduleChanged = 'status' in data || 'publishAt' in data;
+    if (article.status === 'scheduled' && scheduleChanged && article.publishAt.toMillis() <= now.toMillis()) {
+        throw createHttpError(400, 'Validation failed.', [{ field: 'publishAt', message: 'publishAt must be in the future for scheduled news.' }]);
+    }
+    // Articles from before the status field existed are published
+    const wasPublished = previous && (previous.status || 'published') === 'published';
+    return !previous || (article.status === 'published' && !wasPublished) ? { ...data, date: now } : data;
+}
+
+// Stores the article as it is after a write in its `revisions` subcollection
+function addNewsRevision(writer, req, newsRef, article, action) {
+    const snapshot = Object.fromEntries(NEWS_REVISION_FIELDS
+        .filter(field => article[field] !== undefined)
+        .map(field => [field, article[field]]));
+    writer.set(newsRef.collection('revisions').doc(), {
+        ...snapshot,
+        action,
+        revisedAt: admin.firestore.Timestamp.now(),
+        revisedBy: req.user.uid,
+        revisedByEmail: req.user.email || '',
+    });
+}
+
+module.exports = { NEWS_REVISION_FIELDS, NEWS_CONTENT_FIELDS, prepareNewsWrite, addNewsRevision };
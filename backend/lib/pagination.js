@@ -0,0 +1,65 @@
+// backend/lib/pagination.js
+const { createHttpError } = require('./errors');
+
+// --- Helpers for List Pagination ---
+// List endpoints return { items, nextCursor, total }. nextCursor is the ID of the last item on the
+// page (null on the last page); pass it back as ?cursor= to get the next page. total counts every
+// document matching the filters. Filters combined with a sort usually need a composite index.
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Reads ?limit=, ?cursor= and ?sort= for a list endpoint. sort is a comma-separated list of the
+// endpoint's whitelisted fields, each optionally prefixed with "-" for descending order.
+// sortFields is an array of field names, or an object mapping sort names to stored fields.
+function parseListQuery(query, sortFields, defaultSort) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+        throw createHttpError(400, `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.`);
+    }
+    const fieldMap = Array.isArray(sortFields)
+        ? Object.fromEntries(sortFields.map(field => [field, field]))
+        : sortFields;
+    const sort = [];
+    String(query.sort || defaultSort).split(',').forEach(item => {
+        const name = item.trim().replace(/^-/, '');
+        if (!fieldMap[name]) {
+            throw createHttpError(400, `sort must use the fields: ${Object.keys(fieldMap).join(', ')}.`);
+        }
+        // Firestore rejects ordering by the same field twice
+        if (!sort.some(entry => entry.field === fieldMap[name])) {
+            sort.push({ field: fieldMap[name], direction: item.trim().startsWith('-') ? 'desc' : 'asc' });
+        }
+    });
+    const cursor = query.cursor ? String(query.cursor) : null;
+    // Cursors are document IDs; a "/" would make doc() read a path in another collection
+    if (cursor && cursor.includes('/')) {
+        throw createHttpError(400, 'cursor does not refer to an existing item.');
+    }
+    return { limit, cursor, sort };
+}
+
+// Fetches one page of `query` (already filtered) from `collectionRef`. The cursor document is
+// looked up so Firestore can resume right after its sort values.
+async function paginateQuery(collectionRef, query, { limit, cursor, sort }) {
+    let pageQuery = sort.reduce((sorted, { field, direction }) => sorted.orderBy(field, direction), query);
+    if (cursor) {
+        const cursorDoc = await collectionRef.doc(cursor).get();
+        if (!cursorDoc.exists) {
+            throw createHttpError(400, 'cursor does not refer to an existing item.');
+        }
+        pageQuery = pageQuery.startAfter(cursorDoc);
+    }
+    // One extra document tells us whether there is a next page
+    const [snapshot, countSnapshot] = await Promise.all([
+        pageQuery.limit(limit + 1).get(),
+        query.count().get(),
+    ]);
+    const docs = snapshot.docs.slice(0, limit);
+    return {
+        items: docs.map(doc => ({ id: doc.id, ...doc.data() })),
+        nextCursor: snapshot.docs.length > limit ? docs[docs.length - 1].id : null,
+        total: countSnapshot.data().count,
+    };
+}
+
+module.exports = { parseListQuery, paginateQuery };
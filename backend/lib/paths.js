@@ -0,0 +1,32 @@
+// backend/lib/paths.js
+
+// --- Constants for Firestore Paths ---
+const LEAGUE_BASE_PATH = 'artifacts/hkplweb/public/data/leagues/hkpl';
+const SEASONS_COLLECTION = `${LEAGUE_BASE_PATH}/seasons`;
+// Season IDs are used as path segments, so they are limited to lowercase letters, numbers and dashes
+const SEASON_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Reserved season ID that names the collections from before seasons existed (see getLeagueCollections)
+const LEGACY_SEASON_ID = 'legacy';
+
+// Teams, players, news and matches are scoped per season, under SEASONS_COLLECTION/{seasonId}.
+// Without a season ID this returns the original collections directly under LEAGUE_BASE_PATH,
+// which hold the data from before seasons existed and stay in use until a season is activated;
+// after that they are reached with `?season=legacy`.
+function getLeagueCollections(seasonId) {
+    const basePath = seasonId ? `${SEASONS_COLLECTION}/${seasonId}` : LEAGUE_BASE_PATH;
+    return {
+        teams: `${basePath}/teams`,
+        players: `${basePath}/players`,
+        news: `${basePath}/news`,
+        matches: `${basePath}/matches`,
+    };
+}
+
+// Returns the season a document path belongs to, or null for the pre-season collections
+function getSeasonIdFromPath(docPath) {
+    return docPath.startsWith(`${SEASONS_COLLECTION}/`)
+        ? docPath.slice(SEASONS_COLLECTION.length + 1).split('/')[0]
+        : null;
+}
+
+module.exports = { LEAGUE_BASE_PATH, SEASONS_COLLECTION, SEASON_ID_PATTERN, LEGACY_SEASON_ID, getLeagueCollections, getSeasonIdFromPath };
@@ -0,0 +1,38 @@
+// backend/lib/permissions.js
+
+// --- Roles and Permissions ---
+// A user's role is stored in the `role` custom claim and managed through the /admins routes.
+// Each route declares the permission it needs; superadmins hold every permission.
+const ROLE_PERMISSIONS = {
+    superadmin: ['*'],
+    editor: ['news:write'],
+    'match-official': ['matches:score'], // Scores and status only, see PUT /matches/:id
+};
+const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Resolves the role of a decoded ID token. SUPERADMIN_UIDS (comma-separated) lets you
+// bootstrap the first superadmin before anyone is able to grant roles.
+function getUserRole(user) {
+    if (ADMIN_ROLES.includes(user.role)) {
+        return user.role;
+    }
+    const bootstrapUids = (process.env.SUPERADMIN_UIDS || '').split(',').map(uid => uid.trim()).filter(Boolean);
+    return bootstrapUids.includes(user.uid) ? 'superadmin' : null;
+}
+
+function hasPermission(user, permission) {
+    const permissions = ROLE_PERMISSIONS[getUserRole(user)] || [];
+    return permissions.includes('*') || permissions.includes(permission);
+}
+
+// Route middleware: lets the request through if the user holds any of the given permissions.
+function requirePermission(...permissions) {
+    return (req, res, next) => {
+        if (permissions.some(permission => hasPermission(req.user, permission))) {
+            return next();
+        }
+        res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+    };
+}
+
+module.exports = { ROLE_PERMISSIONS, ADMIN_ROLES, getUserRole, hasPermission, requirePermission };
@@ -0,0 +1,226 @@
+// backend/lib/schemas.js
+const admin = require('firebase-admin');
+const { parseDDMMYYYYToDate, formatDateToDDMMYYYY } = require('./dates');
+const { WEBHOOK_EVENTS } = require('./webhooks');
+
+// --- Schema Validation ---
+// Declarative field rules for each resource. A rule can have:
+//   type: 'string' | 'integer' | 'boolean' | 'array' (arrays hold strings, or URLs with itemFormat: 'url')
+//   required, default (used on create when the field is missing), enum, maxLength, min, max,
+//   format: 'url' | 'date' (DD-MM-YYYY) | 'time' (HH:MM),
+//   ref: key of req.collections that must contain a document with this ID,
+//   readOnly: maintained by the server; rejected in request bodies, set to its default on create.
+// `checks` are cross-field rules run on the whole document, including stored fields on updates.
+const PLAYER_POSITIONS = ['GK', 'DF', 'MF', 'FW'];
+const MATCH_STATUSES = ['ongoing', 'upcoming', 'finished'];
+const NEWS_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+const TRANSFER_TYPES = ['permanent', 'loan', 'loan_return', 'free', 'release'];
+
+const SCHEMAS = {
+    teams: {
+        // The standings fields are derived from finished matches (see lib/standings.js)
+        fields: {
+            LogoUrl: { type: 'string', format: 'url', default: '' },
+            // Set by DELETE /teams/:id?archive=true; stored on every team so lists can filter on it
+            archived: { type: 'boolean', default: false, readOnly: true },
+            draw: { type: 'integer', min: 0, default: 0, readOnly: true },
+            ga: { type: 'integer', min: 0, default: 0, readOnly: true },
+            gf: { type: 'integer', min: 0, default: 0, readOnly: true },
+            lost: { type: 'integer', min: 0, default: 0, readOnly: true },
+            name: { type: 'string', required: true, maxLength: 100 },
+            name_mm: { type: 'string', maxLength: 100, default: '' },
+            played: { type: 'integer', min: 0, default: 0, readOnly: true },
+            won: { type: 'integer', min: 0, default: 0, readOnly: true },
+        },
+    },
+    players: {
+        fields: {
+            // Set by DELETE /players/:id?archive=true; stored on every player so lists can filter on it
+            archived: { type: 'boolean', default: false, readOnly: true },
+            imageUrl: { type: 'string', format: 'url', default: '' },
+            name: { type: 'string', required: true, maxLength: 100 },
+            name_en: { type: 'string', maxLength: 100, default: '' },
+            number: { type: 'integer', min: 0, max: 99, default: 0 },
+            position: { type: 'string', required: true, enum: PLAYER_POSITIONS },
+            team_id: { type: 'string', required: true, ref: 'teams' },
+            // Set automatically when yellow cards pile up; admins clear it once the ban is served
+            suspended: { type: 'boolean' },
+        },
+    },
+    news: {
+        fields: {
+            body: { type: 'string', required: true },
+            body_en: { type: 'string', default: '' },
+            imgUrl: { type: 'array', itemFormat: 'url', default: [] },
+            publishAt: { type: 'timestamp' },
+            // Defaults to published so existing clients keep publishing straight away
+            status: { type: 'string', enum: NEWS_STATUSES, default: 'published' },
+            tags: { type: 'array', default: [] },
+            title: { type: 'string', required: true, maxLength: 200 },
+            title_en: { type: 'string', maxLength: 200, default: '' },
+        },
+        checks: [
+            article => (article.status === 'scheduled' && !article.publishAt
+                ? { field: 'publishAt', message: 'publishAt is required for scheduled news.' }
+                : null),
+        ],
+    },
+    matches: {
+        fields: {
+            awayScore: { type: 'integer', min: 0, default: 0 },
+            awayTeamId: { type: 'string', required: true, ref: 'teams' },
+            date: { type: 'string', required: true, format: 'date' },
+            homeScore: { type: 'integer', min: 0, default: 0 },
+            homeTeamId: { type: 'string', required: true, ref: 'teams' },
+            status: { type: 'string', enum: MATCH_STATUSES, default: 'upcoming' },
+            time: { type: 'string', format: 'time', default: '00:00' },
+            venue: { type: 'string', maxLength: 100, default: '' },
+            venue_en: { type: 'string', maxLength: 100, default: '' },
+        },
+        checks: [
+            match => (match.homeTeamId && match.homeTeamId === match.awayTeamId
+                ? { field: 'awayTeamId', message: 'awayTeamId must be different from homeTeamId.' }
+                : null),
+        ],
+    },
+    // Body of POST /players/:id/transfer; stored in the player's `transfers` subcollection
+    transfers: {
+        fields: {
+            date: { type: 'string', required: true, format: 'date' },
+            fee: { type: 'integer', min: 0, default: 0 },
+            loanEndDate: { type: 'string', format: 'date', default: '' },
+            // New shirt number at the destination team; the current one is kept if left out
+            number: { type: 'integer', min: 0, max: 99 },
+            toTeamId: { type: 'string', ref: 'teams' },
+            type: { type: 'string', enum: TRANSFER_TYPES, default: 'permanent' },
+        },
+        checks: [
+            transfer => {
+                if (transfer.type === 'release') {
+                    return transfer.toTeamId ? { field: 'toTeamId', message: 'A release has no destination team; leave toTeamId out.' } : null;
+                }
+                return transfer.toTeamId ? null : { field: 'toTeamId', message: 'toTeamId is required.' };
+            },
+            transfer => (transfer.fee && ['free', 'release', 'loan_return'].includes(transfer.type)
+                ? { field: 'fee', message: `A ${transfer.type} transfer has no fee.` }
+                : null),
+            transfer => {
+                if (!transfer.loanEndDate) {
+                    return null;
+                }
+                if (transfer.type !== 'loan') {
+                    return { field: 'loanEndDate', message: 'loanEndDate only applies to loans.' };
+                }
+                return parseDDMMYYYYToDate(transfer.loanEndDate) < parseDDMMYYYYToDate(transfer.date)
+                    ? { field: 'loanEndDate', message: 'loanEndDate must not be before date.' }
+                    : null;
+            },
+        ],
+    },
+    // Outgoing webhooks, see WEBHOOK_EVENTS. The secret is generated by the server.
+    webhooks: {
+        fields: {
+            active: { type: 'boolean', default: true },
+            description: { type: 'string', maxLength: 200, default: '' },
+            events: { type: 'array', required: true },
+            url: { type: 'string', required: true, format: 'url' },
+        },
+        checks: [
+            webhook => {
+                if (!webhook.events?.length) {
+                    return { field: 'events', message: 'events must list at least one event.' };
+                }
+                const unknown = webhook.events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+                return unknown.length
+                    ? { field: 'events', message: `Unknown events: ${unknown.join(', ')}. Use ${WEBHOOK_EVENTS.join(', ')} or *.` }
+                    : null;
+            },
+        ],
+    },
+};
+
+const REFERENCE_LABELS = { teams: 'team', players: 'player' };
+
+function isValidFormat(format, value) {
+    switch (format) {
+        case 'url':
+            return /^https?:\/\/\S+$/.test(value);
+        case 'date': {
+            if (!/^\d{2}-\d{2}-\d{4}$/.test(value)) {
+                return false;
+            }
+            // Round-trip through a Date to reject days that do not exist, e.g. 31-02-2025
+            return formatDateToDDMMYYYY(parseDDMMYYYYToDate(value)) === value;
+        }
+        case 'time':
+            return /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+        default:
+            return true;
+    }
+}
+
+const FORMAT_DESCRIPTIONS = { url: 'an http(s) URL', date: 'a valid "DD-MM-YYYY" date', time: 'a valid "HH:MM" time' };
+
+// Checks and converts a single value against its rule. Form posts send everything as strings,
+// so numeric and boolean strings are converted; anything else that does not fit is an error.
+function validateFieldValue(field, rule, value) {
+    switch (rule.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && /^-?\d+$/.test(value.trim()) ? Number(value) : value;
+            if (!Number.isInteger(number)) {
+                return { error: `${field} must be a whole number.` };
+            }
+            if (rule.min !== undefined && number < rule.min) {
+                return { error: `${field} must be at least ${rule.min}.` };
+            }
+            if (rule.max !== undefined && number > rule.max) {
+                return { error: `${field} must be at most ${rule.max}.` };
+            }
+            return { value: number };
+        }
+        case 'boolean':
+            if (value === true || value === 'true') {
+                return { value: true };
+            }
+            if (value === false || value === 'false') {
+                return { value: false };
+            }
+            return { error: `${field} must be true or false.` };
+        case 'timestamp': {
+            // ISO 8601 with an explicit offset, so the time is not read in the server's timezone
+            const date = typeof value === 'string' && /(Z|[+-]\d{2}:\d{2})$/.test(value) ? new Date(value) : null;
+            if (!date || Number.isNaN(date.getTime())) {
+                return { error: `${field} must be an ISO 8601 date and time with a timezone, e.g. "2025-03-01T18:00:00+06:30".` };
+            }
+            return { value: admin.firestore.Timestamp.fromDate(date) };
+        }
+        case 'array':
+            if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+                return { error: `${field} must be a list of strings.` };
+            }
+            if (rule.itemFormat && value.some(item => !isValidFormat(rule.itemFormat, item))) {
+                return { error: `Every entry in ${field} must be ${FORMAT_DESCRIPTIONS[rule.itemFormat]}.` };
+            }
+            return { value };
+        default: // string
+            if (typeof value !== 'string') {
+                return { error: `${field} must be a string.` };
+            }
+            if (rule.required && !value.trim()) {
+                return { error: `${field} is required.` };
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                return { error: `${field} must be at most ${rule.maxLength} characters.` };
+            }
+            if (rule.enum && !rule.enum.includes(value)) {
+                return { error: `${field} must be one of: ${rule.enum.join(', ')}.` };
+            }
+            // Optional text fields may be left empty
+            if (rule.format && value !== '' && !isValidFormat(rule.format, value)) {
+                return { error: `${field} must be ${FORMAT_DESCRIPTIONS[rule.format]}.` };
+            }
+            return { value };
+    }
+}
+
+module.exports = { SCHEMAS, REFERENCE_LABELS, isValidFormat, validateFieldValue };
@@ -0,0 +1,48 @@
+// backend/lib/standings.js
+
+// --- Helpers for League Table (Standings) ---
+// Team fields that are derived from finished matches rather than typed in by hand.
+const STANDINGS_FIELDS = ['played', 'won', 'draw', 'lost', 'gf', 'ga'];
+
+// Returns what a single match contributes to the table, keyed by team ID.
+// Only finished matches count; any other status contributes nothing.
+function getMatchStandingsContribution(match) {
+    if (!match || match.status !== 'finished' || !match.homeTeamId || !match.awayTeamId) {
+        return {};
+    }
+    const homeScore = Number(match.homeScore) || 0;
+    const awayScore = Number(match.awayScore) || 0;
+    const tableLine = (goalsFor, goalsAgainst) => ({
+        played: 1,
+        won: goalsFor > goalsAgainst ? 1 : 0,
+        draw: goalsFor === goalsAgainst ? 1 : 0,
+        lost: goalsFor < goalsAgainst ? 1 : 0,
+        gf: goalsFor,
+        ga: goalsAgainst,
+    });
+    return {
+        [match.homeTeamId]: tableLine(homeScore, awayScore),
+        [match.awayTeamId]: tableLine(awayScore, homeScore),
+    };
+}
+
+// Per-team change needed to go from one match contribution to another (zero changes are dropped).
+function diffStandingsContributions(before, after) {
+    const delta = {};
+    const teamIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+    teamIds.forEach(teamId => {
+        const teamDelta = {};
+        STANDINGS_FIELDS.forEach(field => {
+            const change = (after[teamId]?.[field] || 0) - (before[teamId]?.[field] || 0);
+            if (change !== 0) {
+                teamDelta[field] = change;
+            }
+        });
+        if (Object.keys(teamDelta).length) {
+            delta[teamId] = teamDelta;
+        }
+    });
+    return delta;
+}
+
+module.exports = { STANDINGS_FIELDS, getMatchStandingsContribution, diffStandingsContributions };
@@ -0,0 +1,56 @@
+// backend/lib/statistics.js
+
+// --- Helpers for Player Statistics ---
+// Accumulated yellow cards that trigger an automatic suspension flag (every N yellows).
+const YELLOW_CARD_SUSPENSION_THRESHOLD = Number(process.env.YELLOW_CARD_SUSPENSION_THRESHOLD) || 5;
+const GOAL_EVENT_TYPES = ['goal', 'penalty']; // Own goals are not credited to the player
+
+// Folds match events into per-player stats keyed by player ID. Line-ups are not recorded, so an
+// appearance is any match where the player has an event, including coming on as a substitute.
+function aggregatePlayerStats(events) {
+    const stats = {};
+    const matchesPlayed = {};
+    const statsFor = playerId => {
+        if (!stats[playerId]) {
+            stats[playerId] = { appearances: 0, goals: 0, assists: 0, yellows: 0, reds: 0 };
+        }
+        return stats[playerId];
+    };
+    const recordAppearance = (playerId, matchId) => {
+        statsFor(playerId);
+        (matchesPlayed[playerId] = matchesPlayed[playerId] || new Set()).add(matchId);
+    };
+
+    events.forEach(event => {
+        recordAppearance(event.player_id, event.matchId);
+        if (GOAL_EVENT_TYPES.includes(event.type)) {
+            statsFor(event.player_id).goals++;
+        } else if (event.type === 'yellow') {
+            statsFor(event.player_id).yellows++;
+        } else if (event.type === 'red') {
+            statsFor(event.player_id).reds++;
+        }
+        if (event.assist_player_id) {
+            recordAppearance(event.assist_player_id, event.matchId);
+            statsFor(event.assist_player_id).assists++;
+        }
+        if (event.sub_player_id) {
+            recordAppearance(event.sub_player_id, event.matchId);
+        }
+    });
+    Object.entries(matchesPlayed).forEach(([playerId, matchIds]) => {
+        stats[playerId].appearances = matchIds.size;
+    });
+    return stats;
+}
+
+// Leaderboards accept ?team_id= (the team the player was playing for at the time) and ?limit=
+// (default 20, max 100).
+function parseLeaderboardQuery(query) {
+    return {
+        teamId: query.team_id || null,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100),
+    };
+}
+
+module.exports = { YELLOW_CARD_SUSPENSION_THRESHOLD, GOAL_EVENT_TYPES, aggregatePlayerStats, parseLeaderboardQuery };
@@ -0,0 +1,47 @@
+// backend/lib/storage.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// --- File Storage ---
+// Uploaded images are written through a storage backend: Firebase Storage, or a local directory
+// served at /uploads. server.js picks one with STORAGE_DRIVER; tests pass their own.
+// Both take storage keys such as "league/teams/<id>/<name>.webp" and return a public URL.
+function createFirebaseStorage() {
+    return {
+        async save(key, buffer, contentType) {
+            const bucket = admin.storage().bucket();
+            // A download token gives a stable public URL without changing the bucket's access rules
+            const token = crypto.randomUUID();
+            await bucket.file(key).save(buffer, {
+                resumable: false,
+                metadata: {
+                    contentType,
+                    cacheControl: 'public, max-age=31536000',
+                    metadata: { firebaseStorageDownloadTokens: token },
+                },
+            });
+            return `https://firebasestorage.googleapis.com/v0/b/${bucket.name}/o/${encodeURIComponent(key)}?alt=media&token=${token}`;
+        },
+        async remove(key) {
+            await admin.storage().bucket().file(key).delete({ ignoreNotFound: true });
+        },
+    };
+}
+
+function createLocalStorage(rootDir, baseUrl) {
+    return {
+        async save(key, buffer) {
+            const filePath = path.join(rootDir, key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return `${baseUrl}/${key}`;
+        },
+        async remove(key) {
+            await fs.rm(path.join(rootDir, key), { force: true });
+        },
+    };
+}
+
+module.exports = { createFirebaseStorage, createLocalStorage };
@@ -0,0 +1,63 @@
+// backend/lib/transfers.js
+const admin = require('firebase-admin');
+const { formatMyanmarDate, getMyanmarTimestamp, parseDDMMYYYYToDate } = require('./dates');
+const { getSeasonIdFromPath } = require('./paths');
+const { isValidFormat } = require('./schemas');
+
+// --- Helpers for Transfers ---
+// Season docs may set transferWindows: [{ start, end }] ("DD-MM-YYYY", inclusive). Without any,
+// transfers are open all season. Clubs may release players at any time.
+function isInTransferWindow(season, date) {
+    const windows = season?.transferWindows || [];
+    if (!windows.length) {
+        return true;
+    }
+    const day = parseDDMMYYYYToDate(date).getTime();
+    return windows.some(({ start, end }) => (
+        parseDDMMYYYYToDate(start).getTime() <= day && day <= parseDDMMYYYYToDate(end).getTime()
+    ));
+}
+
+// Works out a player's team at the Timestamp `at` from their transfers, sorted oldest first.
+// Before their first recorded transfer they were with that transfer's fromTeamId.
+function getTeamAtTime(currentTeamId, transfers, at) {
+    if (!transfers.length) {
+        return currentTeamId;
+    }
+    const earlier = transfers.filter(transfer => transfer.effectiveAt.toMillis() <= at.toMillis());
+    return earlier.length ? earlier[earlier.length - 1].toTeamId : transfers[0].fromTeamId;
+}
+
+// A new player's optional `registeredOn` (DD-MM-YYYY), defaulting to today in Myanmar time.
+// Returns { date } or { error } for the `registeredOn` field.
+function parseRegistrationDate(value) {
+    const date = value === undefined || value === null || value === '' ? formatMyanmarDate(new Date()) : String(value);
+    if (!isValidFormat('date', date)) {
+        return { error: 'registeredOn must be a valid "DD-MM-YYYY" date.' };
+    }
+    if (getMyanmarTimestamp(date).toMillis() > Date.now()) {
+        return { error: 'registeredOn must not be in the future.' };
+    }
+    return { date };
+}
+
+// The first entry of a player's transfer history: joining their team (or none, as a free agent) on
+// `date`. Squads before it leave the player out, since getTeamAtTime then gives fromTeamId (null).
+function buildRegistration(req, player, date) {
+    const toTeamId = player.team_id || null;
+    return {
+        fromTeamId: null,
+        toTeamId,
+        date,
+        effectiveAt: getMyanmarTimestamp(date),
+        type: 'registration',
+        fee: 0,
+        loanEndDate: '',
+        number: toTeamId ? player.number ?? 0 : null,
+        recordedAt: admin.firestore.Timestamp.now(),
+        recordedBy: req.user.uid,
+        seasonId: getSeasonIdFromPath(req.collections.players),
+    };
+}
+
+module.exports = { isInTransferWindow, getTeamAtTime, parseRegistrationDate, buildRegistration };
@@ -0,0 +1,64 @@
+// backend/lib/webhooks.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+// --- Helpers for Webhooks ---
+// Admins register URLs (see the /webhooks routes) that are sent a POST for the events they subscribe
+// to ("*" subscribes to all). Every event becomes a delivery in the webhook's `deliveries`
+// subcollection. Deliveries are attempted straight away and retried with exponential backoff by the
+// /cron/webhook-deliveries job, which also picks up attempts cut short when a serverless function ends.
+// The body is JSON: { id, event, occurredAt, seasonId, data }. Receivers verify it with the headers
+//   X-HKPL-Timestamp: Unix time in seconds
+//   X-HKPL-Signature: "sha256=" + hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret
+// and can use the body's id to ignore repeats, which redeliveries keep.
+// Webhooks hold secrets, so they live outside the public data tree and are not scoped per season.
+const WEBHOOKS_COLLECTION = 'artifacts/hkplweb/private/data/webhooks';
+const WEBHOOK_EVENTS = ['match.status_changed', 'match.finished', 'news.published', 'team.updated'];
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 6; // Retried after 1, 4, 16, 64 and 256 minutes, then marked failed
+const WEBHOOK_RETRY_BASE_MS = 60 * 1000;
+
+// A webhook as returned by the API: the secret is only shown when it is created or rotated
+function toPublicWebhook(id, webhook) {
+    const { secret, ...rest } = webhook;
+    return { id, ...rest, secretHint: secret ? `...${secret.slice(-4)}` : '' };
+}
+
+// Audit entries store webhooks without their secret
+function withoutSecret(webhook) {
+    if (!webhook) {
+        return null;
+    }
+    const { secret, ...rest } = webhook;
+    return rest;
+}
+
+// Converts Firestore Timestamps to ISO strings so payloads are plain JSON
+function toWebhookData(value) {
+    if (value instanceof admin.firestore.Timestamp) {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toWebhookData);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, toWebhookData(item)]));
+    }
+    return value;
+}
+
+function signWebhookBody(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+module.exports = {
+    WEBHOOKS_COLLECTION,
+    WEBHOOK_EVENTS,
+    WEBHOOK_TIMEOUT_MS,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_MS,
+    toPublicWebhook,
+    withoutSecret,
+    toWebhookData,
+    signWebhookBody,
+};
@@ -0,0 +1,88 @@
+// backend/routes/admins.js
+const express = require('express');
+const { ADMIN_ROLES, requirePermission } = require('../lib/permissions');
+
+// --- Admin Role Management ---
+// Roles are Firebase custom claims; users must refresh their ID token before a new role applies.
+function createAdminsRouter({ auth, audit }) {
+    const { recordAuditEntry } = audit;
+    const router = express.Router();
+
+    router.get('/admins', requirePermission('admins:manage'), async (req, res) => {
+        try {
+            const admins = [];
+            let pageToken;
+            do {
+                const result = await auth.listUsers(1000, pageToken);
+                result.users.forEach(userRecord => {
+                    const role = userRecord.customClaims?.role;
+                    if (ADMIN_ROLES.includes(role)) {
+                        admins.push({
+                            uid: userRecord.uid,
+                            email: userRecord.email || '',
+                            displayName: userRecord.displayName || '',
+                            disabled: userRecord.disabled,
+                            role,
+                        });
+                    }
+                });
+                pageToken = result.pageToken;
+            } while (pageToken);
+            res.json(admins);
+        } catch (error) {
+            console.error('Error fetching admins:', error);
+            res.status(500).json({ message: 'Error fetching admins' });
+        }
+    });
+
+    router.post('/admins', requirePermission('admins:manage'), async (req, res) => {
+        try {
+            const { uid, email, role } = req.body;
+            if (!uid && !email) {
+                return res.status(400).json({ message: 'User uid or email is required.' });
+            }
+            if (!ADMIN_ROLES.includes(role)) {
+                return res.status(400).json({ message: `Invalid role. Must be one of: ${ADMIN_ROLES.join(', ')}.` });
+            }
+
+            const userRecord = uid ? await auth.getUser(uid) : await auth.getUserByEmail(email);
+            // Keep any other custom claims the user already has
+            await auth.setCustomUserClaims(userRecord.uid, { ...(userRecord.customClaims || {}), role });
+            await recordAuditEntry(req, `admins/${userRecord.uid}`, { role: userRecord.customClaims?.role || null }, { role });
+            res.status(201).json({ message: 'Role granted successfully', uid: userRecord.uid, role });
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            console.error('Error granting role:', error);
+            res.status(500).json({ message: 'Error granting role' });
+        }
+    });
+
+    router.delete('/admins/:uid', requirePermission('admins:manage'), async (req, res) => {
+        try {
+            const uid = req.params.uid;
+            if (uid === req.user.uid) {
+                return res.status(400).json({ message: 'You cannot revoke your own role.' });
+            }
+
+            const userRecord = await auth.getUser(uid);
+            const { role, ...otherClaims } = userRecord.customClaims || {};
+            await auth.setCustomUserClaims(uid, otherClaims);
+            // Invalidate existing sessions so the revoked role cannot keep being used
+            await auth.revokeRefreshTokens(uid);
+            await recordAuditEntry(req, `admins/${uid}`, { role: role || null }, { role: null });
+            res.json({ message: 'Role revoked successfully' });
+        } catch (error) {
+            if (error.code === 'auth/user-not-found') {
+                return res.status(404).json({ message: 'User not found.' });
+            }
+            console.error('Error revoking role:', error);
+            res.status(500).json({ message: 'Error revoking role' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAdminsRouter };
@@ -0,0 +1,162 @@
+// backend/routes/audit.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { AUDIT_COLLECTION, getRevertedDocument } = require('../lib/audit');
+const { formatDateToDDMMYYYY, getMyanmarTimestamp, parseDDMMYYYYToDate } = require('../lib/dates');
+const { createHttpError } = require('../lib/errors');
+const { SEASONS_COLLECTION, getLeagueCollections, getSeasonIdFromPath } = require('../lib/paths');
+const { requirePermission } = require('../lib/permissions');
+const { SCHEMAS, REFERENCE_LABELS, isValidFormat } = require('../lib/schemas');
+const { getMatchStandingsContribution, diffStandingsContributions } = require('../lib/standings');
+
+// --- Audit Log ---
+function createAuditRouter({ db, audit, standings, matchEvents, statistics, teams, players }) {
+    const { addAuditEntry } = audit;
+    const { applyStandingsDelta } = standings;
+    const { commitMatchEventChange } = matchEvents;
+    const { updateSuspensionsForEventChange } = statistics;
+    const router = express.Router();
+
+    // Filters: ?uid=, ?resource= (collection name, e.g. teams, events, seasons, admins), ?path= (full
+    // document path), ?from= and ?to= (DD-MM-YYYY in Myanmar time, inclusive) and ?limit= (default 50, max 200).
+    // Combining filters with the date range needs the matching composite indexes in Firestore.
+    router.get('/audit', requirePermission('audit:read'), async (req, res) => {
+        try {
+            const { uid, resource, path, from, to } = req.query;
+            if ([from, to].some(date => date && !isValidFormat('date', date))) {
+                return res.status(400).json({ message: 'Audit date filters must be in "DD-MM-YYYY" format.' });
+            }
+
+            let query = db.collection(AUDIT_COLLECTION);
+            if (uid) {
+                query = query.where('uid', '==', uid);
+            }
+            if (resource) {
+                query = query.where('resource', '==', resource);
+            }
+            if (path) {
+                query = query.where('path', '==', path);
+            }
+            if (from) {
+                query = query.where('timestamp', '>=', getMyanmarTimestamp(from));
+            }
+            if (to) {
+                const dayAfter = parseDDMMYYYYToDate(to);
+                dayAfter.setDate(dayAfter.getDate() + 1);
+                query = query.where('timestamp', '<', getMyanmarTimestamp(formatDateToDDMMYYYY(dayAfter)));
+            }
+            const limit = Math.min(Math.max(parseInt(String(req.query.limit), 10) || 50, 1), 200);
+
+            const snapshot = await query.orderBy('timestamp', 'desc').limit(limit).get();
+            const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            res.json(entries);
+        } catch (error) {
+            console.error('Error fetching audit log:', error);
+            res.status(500).json({ message: 'Error fetching audit log' });
+        }
+    });
+
+    // Restores the document to how it was before the entry's change, and records the revert itself as a
+    // new entry. Match side effects are replayed: reverting a match result corrects the standings, and
+    // reverting a match event corrects the score and the player's suspension. As with DELETE, a team or player that is still
+    // referenced is not deleted (409 with `dependents`), and a restored document must not reference
+    // teams or players that no longer exist (409).
+    router.post('/audit/:id/revert', requirePermission('audit:revert'), async (req, res) => {
+        try {
+            const entryRef = db.collection(AUDIT_COLLECTION).doc(req.params.id);
+            const revert = await db.runTransaction(async (transaction) => {
+                const entryDoc = await transaction.get(entryRef);
+                if (!entryDoc.exists) {
+                    throw createHttpError(404, 'Audit entry not found.');
+                }
+                const entry = entryDoc.data();
+                if (entry.resource === 'admins') {
+                    throw createHttpError(400, 'Role changes cannot be reverted; grant or revoke the role instead.');
+                }
+                if (entry.resource === 'webhooks') {
+                    throw createHttpError(400, 'Webhook changes cannot be reverted; edit the webhook instead.');
+                }
+                if (entry.revertedAt) {
+                    throw createHttpError(409, 'This change has already been reverted.');
+                }
+                if (entry.seasonId) {
+                    const seasonDoc = await transaction.get(db.collection(SEASONS_COLLECTION).doc(entry.seasonId));
+                    if (seasonDoc.exists && seasonDoc.data().status === 'archived') {
+                        throw createHttpError(409, 'This change belongs to an archived season and can no longer be reverted.');
+                    }
+                }
+
+                const docRef = db.doc(entry.path);
+                const currentDoc = await transaction.get(docRef);
+                const current = currentDoc.exists ? currentDoc.data() : null;
+                const restored = getRevertedDocument(entry, current);
+                const collections = getLeagueCollections(entry.seasonId);
+                const auditExtra = { revertOf: entryRef.id, seasonId: entry.seasonId };
+
+                if (current && !restored && ['teams', 'players'].includes(entry.resource)) {
+                    const dependents = entry.resource === 'teams'
+                        ? (await teams.findDependents(transaction, collections, docRef.id)).dependents
+                        : await players.findDependents(collections, docRef.id);
+                    if (dependents) {
+                        throw Object.assign(createHttpError(409, `The ${REFERENCE_LABELS[entry.resource]} is still referenced, so this change cannot be reverted.`), {
+                            dependents,
+                        });
+                    }
+                }
+                const references = Object.entries(SCHEMAS[entry.resource]?.fields || {})
+                    .filter(([field, rule]) => rule.ref && restored?.[field]);
+                const referencedDocs = await Promise.all(references.map(([field, rule]) => (
+                    transaction.get(db.collection(collections[rule.ref]).doc(restored[field]))
+                )));
+                const missingReferences = references
+                    .filter((reference, index) => !referencedDocs[index].exists)
+                    .map(([field, rule]) => ({ field, message: `${field} refers to a ${REFERENCE_LABELS[rule.ref]} that no longer exists.` }));
+                if (missingReferences.length) {
+                    throw createHttpError(409, 'The restored document refers to deleted documents, so this change cannot be reverted.', missingReferences);
+                }
+
+                if (entry.resource === 'events' && docRef.parent.parent) {
+                    const matchRef = docRef.parent.parent;
+                    const matchDoc = await transaction.get(matchRef);
+                    if (!matchDoc.exists) {
+                        throw createHttpError(409, 'The match this event belongs to no longer exists.');
+                    }
+                    // Entries from before events carried a seasonId restore it too
+                    const restoredEvent = restored && { ...restored, seasonId: getSeasonIdFromPath(docRef.path) };
+                    const updatedMatch = await commitMatchEventChange(transaction, collections, matchRef, matchDoc.data(), docRef, current, restoredEvent);
+                    addAuditEntry(transaction, req, matchRef.path, matchDoc.data(), updatedMatch, auditExtra);
+                } else {
+                    if (entry.resource === 'matches') {
+                        const delta = diffStandingsContributions(
+                            getMatchStandingsContribution(current),
+                            getMatchStandingsContribution(restored)
+                        );
+                        await applyStandingsDelta(transaction, collections, delta);
+                    }
+                    if (restored) {
+                        transaction.set(docRef, restored);
+                    } else {
+                        transaction.delete(docRef);
+                    }
+                }
+                addAuditEntry(transaction, req, docRef.path, current, restored, auditExtra);
+                transaction.update(entryRef, { revertedAt: admin.firestore.Timestamp.now(), revertedBy: req.user.uid });
+                return { resource: entry.resource, collections, current, restored };
+            });
+            if (revert.resource === 'events') {
+                await updateSuspensionsForEventChange(revert.collections, revert.current, revert.restored);
+            }
+            res.json({ message: 'Change reverted successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors, dependents: error.dependents });
+            }
+            console.error('Error reverting change:', error);
+            res.status(500).json({ message: 'Error reverting change' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createAuditRouter };
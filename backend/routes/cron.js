@@ -0,0 +1,72 @@
+// backend/routes/cron.js
+const express = require('express');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { WEBHOOKS_COLLECTION } = require('../lib/webhooks');
+
+// --- Cron Routes (before auth middleware) ---
+// Called by a scheduler (e.g. Vercel Cron, which sends GET) with "Authorization: Bearer <CRON_SECRET>".
+function isCronRequest(req) {
+    const secret = process.env.CRON_SECRET;
+    const expected = Buffer.from(`Bearer ${secret}`);
+    const received = Buffer.from(req.headers.authorization || '');
+    return Boolean(secret) && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+// Audit entries and revisions written by cron jobs are attributed to this pseudo user
+const CRON_ACTOR = { user: { uid: 'cron', email: '' } };
+
+function createCronRouter({ db, news, webhooks }) {
+    const { attemptWebhookDelivery } = webhooks;
+    const router = express.Router();
+
+    // Publishes every scheduled article (in any season) whose publishAt has passed; see news.publishScheduled
+    async function publishScheduledNews(req, res) {
+        if (!isCronRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized: Invalid cron secret.' });
+        }
+        try {
+            const published = await news.publishScheduled(CRON_ACTOR);
+            res.json({ message: `Published ${published.length} scheduled news article(s)`, published });
+        } catch (error) {
+            console.error('Error publishing scheduled news:', error);
+            res.status(500).json({ message: 'Error publishing scheduled news' });
+        }
+    }
+    router.get('/cron/publish-news', publishScheduledNews);
+    router.post('/cron/publish-news', publishScheduledNews);
+
+    // Retries webhook deliveries that are due (see attemptWebhookDelivery), oldest first, up to 50 per
+    // run. Needs a collection group index on deliveries (status, nextAttemptAt).
+    async function retryWebhookDeliveries(req, res) {
+        if (!isCronRequest(req)) {
+            return res.status(401).json({ message: 'Unauthorized: Invalid cron secret.' });
+        }
+        try {
+            const snapshot = await db.collectionGroup('deliveries')
+                .where('status', '==', 'pending')
+                .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+                .orderBy('nextAttemptAt')
+                .limit(50)
+                .get();
+            const results = { delivered: 0, pending: 0, failed: 0 };
+            // One at a time, so a run never has more than one slow receiver open
+            for (const doc of snapshot.docs.filter(doc => doc.ref.path.startsWith(`${WEBHOOKS_COLLECTION}/`))) {
+                const delivery = await attemptWebhookDelivery(doc.ref);
+                if (delivery) {
+                    results[delivery.status] += 1;
+                }
+            }
+            res.json({ message: `Attempted ${results.delivered + results.pending + results.failed} webhook deliveries`, ...results });
+        } catch (error) {
+            console.error('Error retrying webhook deliveries:', error);
+            res.status(500).json({ message: 'Error retrying webhook deliveries' });
+        }
+    }
+    router.get('/cron/webhook-deliveries', retryWebhookDeliveries);
+    router.post('/cron/webhook-deliveries', retryWebhookDeliveries);
+
+    return router;
+}
+
+module.exports = { createCronRouter };
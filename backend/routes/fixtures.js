@@ -0,0 +1,109 @@
+// backend/routes/fixtures.js
+const express = require('express');
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { FIRESTORE_BATCH_LIMIT, generateDailySequentialId } = require('../lib/firestore');
+const { parseWeekday, generateRoundRobinRounds, scheduleFixtures } = require('../lib/fixtures');
+const { requirePermission } = require('../lib/permissions');
+const { isValidFormat } = require('../lib/schemas');
+
+// --- Fixture Generation ---
+// The schedule is saved in one batch, so that it is written completely or not at all. Each fixture
+// takes two writes: the match and its audit entry.
+const MAX_FIXTURES = FIRESTORE_BATCH_LIMIT / 2;
+
+function createFixturesRouter({ db, audit }) {
+    const { addAuditEntry } = audit;
+    const router = express.Router();
+
+    // Body: startDate(DD-MM-YYYY), weekdays(array, e.g. ["sat", "sun"] or [6, 0]), kickoffTimes(array of HH:MM),
+    //       venues(array, optional), teamIds(array, optional, defaults to every team that is not archived), doubleRoundRobin(boolean)
+    // With ?dryRun=true the schedule is returned without being saved, so it can be previewed first.
+    router.post('/fixtures/generate', requirePermission('matches:write'), async (req, res) => {
+        try {
+            const { startDate } = req.body;
+            if (!isValidFormat('date', startDate)) {
+                return res.status(400).json({ message: 'Start date must be a valid "DD-MM-YYYY" date.' });
+            }
+            const weekdays = Array.isArray(req.body.weekdays) ? req.body.weekdays.map(parseWeekday) : [];
+            if (!weekdays.length || weekdays.includes(null)) {
+                return res.status(400).json({ message: 'Weekdays must be a non-empty list of day names or numbers (0 = Sunday).' });
+            }
+            const kickoffTimes = Array.isArray(req.body.kickoffTimes) ? req.body.kickoffTimes : [];
+            if (!kickoffTimes.length || kickoffTimes.some(time => !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+                return res.status(400).json({ message: 'Kick-off times must be a non-empty list of "HH:MM" times.' });
+            }
+            const venues = Array.isArray(req.body.venues) ? req.body.venues.filter(Boolean) : [];
+            const doubleRoundRobin = req.body.doubleRoundRobin === true || req.body.doubleRoundRobin === 'true';
+            const dryRun = req.query.dryRun === 'true';
+
+            const teamsSnapshot = await db.collection(req.collections.teams).get();
+            const existingTeamIds = teamsSnapshot.docs.map(doc => doc.id);
+            const archivedTeamIds = teamsSnapshot.docs.filter(doc => doc.data().archived).map(doc => doc.id);
+            const teamIds = Array.isArray(req.body.teamIds)
+                ? [...new Set(req.body.teamIds)]
+                : existingTeamIds.filter(teamId => !archivedTeamIds.includes(teamId));
+            const unknownTeamIds = teamIds.filter(teamId => !existingTeamIds.includes(teamId));
+            if (unknownTeamIds.length) {
+                return res.status(400).json({ message: `Unknown team IDs: ${unknownTeamIds.join(', ')}.` });
+            }
+            const archivedTeamIdsGiven = teamIds.filter(teamId => archivedTeamIds.includes(teamId));
+            if (archivedTeamIdsGiven.length) {
+                return res.status(400).json({ message: `Archived teams cannot be scheduled: ${archivedTeamIdsGiven.join(', ')}.` });
+            }
+            if (teamIds.length < 2) {
+                return res.status(400).json({ message: 'At least two teams are needed to generate fixtures.' });
+            }
+
+            const rounds = generateRoundRobinRounds(teamIds, doubleRoundRobin);
+            const fixtures = scheduleFixtures(rounds, { startDate, weekdays: [...new Set(weekdays)], kickoffTimes, venues });
+
+            // Match IDs follow the usual DDMMYYYY-NN scheme, continuing after any matches already on that date
+            const matchesRef = db.collection(req.collections.matches);
+            const allocatedIds = [];
+            for (const fixture of fixtures) {
+                fixture.matchId = await generateDailySequentialId(matchesRef, 'match', fixture.date, allocatedIds);
+                allocatedIds.push(fixture.matchId);
+            }
+
+            if (dryRun) {
+                return res.json({ message: 'Fixture preview generated', dryRun: true, rounds: rounds.length, fixtures });
+            }
+
+            if (fixtures.length > MAX_FIXTURES) {
+                return res.status(400).json({ message: `At most ${MAX_FIXTURES} fixtures can be saved at once; generate the schedule for fewer teams at a time.` });
+            }
+            const batch = db.batch();
+            fixtures.forEach(fixture => {
+                const matchRef = matchesRef.doc(fixture.matchId);
+                const match = {
+                    awayScore: 0,
+                    awayTeamId: fixture.awayTeamId,
+                    date: fixture.date,
+                    homeScore: 0,
+                    homeTeamId: fixture.homeTeamId,
+                    status: 'upcoming',
+                    time: fixture.time,
+                    kickoffAt: getMyanmarTimestamp(fixture.date, fixture.time),
+                    venue: fixture.venue,
+                    round: fixture.round,
+                    matchId: fixture.matchId,
+                };
+                // create() fails the whole batch instead of overwriting a match saved since the IDs were picked
+                batch.create(matchRef, match);
+                addAuditEntry(batch, req, matchRef.path, null, match);
+            });
+            await batch.commit();
+            res.status(201).json({ message: 'Fixtures generated successfully', rounds: rounds.length, fixtures });
+        } catch (error) {
+            if (error.code === 6) { // ALREADY_EXISTS
+                return res.status(409).json({ message: 'Matches were added on these dates while the fixtures were generated; nothing was saved, so generate them again.' });
+            }
+            console.error('Error generating fixtures:', error);
+            res.status(500).json({ message: 'Error generating fixtures' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createFixturesRouter };
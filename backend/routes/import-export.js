@@ -0,0 +1,154 @@
+// backend/routes/import-export.js
+const express = require('express');
+const { generateDailySequentialId, commitWritesInBatches } = require('../lib/firestore');
+const { IMPORTABLE_RESOURCES, IMPORT_MODES, MAX_IMPORT_ROWS, toCsv, parseImportRows } = require('../lib/imports');
+const { hasPermission } = require('../lib/permissions');
+const { buildRegistration } = require('../lib/transfers');
+const { SCHEMAS } = require('../lib/schemas');
+
+// --- Bulk Import and Export ---
+function createImportExportRouter({ db, audit, standings, imports, webhooks }) {
+    const { addAuditEntry } = audit;
+    const { rebuildStandings } = standings;
+    const { planImport } = imports;
+    const { emitMatchWebhookEvents } = webhooks;
+    const router = express.Router();
+
+    // POST /import/teams|players|matches with a CSV (Content-Type: text/csv) or JSON body.
+    // ?mode=create (default) only adds documents and rejects IDs that exist; ?mode=upsert updates them.
+    // ?dryRun=true validates and reports without writing. If any row is invalid nothing is written and
+    // the response lists each bad row's errors. Writes go out in batches, so a failure part way through
+    // a large import can leave it half applied; re-running it with mode=upsert is safe.
+    router.post('/import/:resource', express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+        try {
+            const { resource } = req.params;
+            if (!IMPORTABLE_RESOURCES.includes(resource)) {
+                return res.status(404).json({ message: `Only ${IMPORTABLE_RESOURCES.join(', ')} can be imported.` });
+            }
+            if (!hasPermission(req.user, `${resource}:write`)) {
+                return res.status(403).json({ message: 'Forbidden: You do not have permission to perform this action.' });
+            }
+            const mode = String(req.query.mode || 'create');
+            if (!IMPORT_MODES.includes(mode)) {
+                return res.status(400).json({ message: `mode must be one of: ${IMPORT_MODES.join(', ')}.` });
+            }
+            const dryRun = req.query.dryRun === 'true';
+
+            const rows = parseImportRows(req);
+            if (!rows.length) {
+                return res.status(400).json({ message: 'The import has no rows.' });
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return res.status(400).json({ message: `At most ${MAX_IMPORT_ROWS} rows can be imported at once.` });
+            }
+
+            const { operations, errors } = await planImport(req, resource, rows, mode);
+            if (errors.length) {
+                return res.status(400).json({
+                    message: `Import failed validation in ${errors.length} row(s); nothing was written.`,
+                    dryRun,
+                    errors,
+                });
+            }
+
+            // New documents without an ID get one the same way the create routes do
+            const collectionRef = db.collection(req.collections[resource]);
+            const allocatedIds = operations.map(operation => operation.id).filter(Boolean);
+            for (const operation of operations.filter(operation => !operation.id)) {
+                if (resource === 'matches') {
+                    operation.id = await generateDailySequentialId(collectionRef, 'match', operation.data.date, allocatedIds);
+                    allocatedIds.push(operation.id);
+                } else {
+                    operation.id = collectionRef.doc().id;
+                }
+            }
+            operations
+                .filter(operation => resource === 'matches' && !operation.before)
+                .forEach(operation => {
+                    operation.data.matchId = operation.id;
+                });
+
+            const summary = {
+                mode,
+                created: operations.filter(operation => !operation.before).length,
+                updated: operations.filter(operation => operation.before).length,
+                rows: operations.map(({ row, id, before }) => ({ row, id, action: before ? 'update' : 'create' })),
+            };
+            if (dryRun) {
+                return res.json({ message: 'Import preview', dryRun, ...summary });
+            }
+
+            await commitWritesInBatches(db, operations.flatMap(({ id, before, data, registeredOn }) => {
+                const docRef = collectionRef.doc(id);
+                const writes = [
+                    // create() fails rather than overwrite a document written since the rows were checked
+                    batch => (before ? batch.update(docRef, data) : batch.create(docRef, data)),
+                    batch => addAuditEntry(batch, req, docRef.path, before, { ...(before || {}), ...data }),
+                ];
+                // New players start their transfer history, as with POST /players
+                if (registeredOn) {
+                    const registrationRef = docRef.collection('transfers').doc();
+                    const record = buildRegistration(req, data, registeredOn);
+                    writes.push(
+                        batch => batch.set(registrationRef, record),
+                        batch => addAuditEntry(batch, req, registrationRef.path, null, record)
+                    );
+                }
+                return writes;
+            }));
+            // Imported results go through the table in one pass rather than match by match
+            const affectsStandings = resource === 'matches' && operations.some(({ before, data }) => (
+                before?.status === 'finished' || data.status === 'finished'
+            ));
+            if (affectsStandings) {
+                await rebuildStandings(req);
+            }
+            if (resource === 'matches') {
+                for (const { id, before, data } of operations) {
+                    await emitMatchWebhookEvents(req, id, before, { ...(before || {}), ...data });
+                }
+            }
+            res.status(201).json({ message: 'Import completed successfully', dryRun, ...summary, standingsRebuilt: affectsStandings });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error importing data:', error);
+            res.status(500).json({ message: 'Error importing data' });
+        }
+    });
+
+    // GET /export/teams|players|matches?format=csv|json (default csv) downloads the season's documents
+    // with an `id` column and the schema fields, i.e. the same columns that POST /import accepts.
+    router.get('/export/:resource', async (req, res) => {
+        try {
+            const { resource } = req.params;
+            if (!IMPORTABLE_RESOURCES.includes(resource)) {
+                return res.status(404).json({ message: `Only ${IMPORTABLE_RESOURCES.join(', ')} can be exported.` });
+            }
+            const format = String(req.query.format || 'csv');
+            if (!['csv', 'json'].includes(format)) {
+                return res.status(400).json({ message: 'format must be csv or json.' });
+            }
+
+            const snapshot = await db.collection(req.collections[resource]).get();
+            const columns = ['id', ...Object.entries(SCHEMAS[resource].fields).filter(([, rule]) => !rule.readOnly).map(([field]) => field)];
+            const rows = snapshot.docs.map(doc => Object.fromEntries(columns.map(column => (
+                [column, column === 'id' ? doc.id : doc.data()[column]]
+            ))));
+
+            res.attachment(`${resource}-${req.season?.id || 'league'}.${format}`);
+            if (format === 'json') {
+                return res.json(rows);
+            }
+            res.type('text/csv').send(toCsv(columns, rows));
+        } catch (error) {
+            console.error('Error exporting data:', error);
+            res.status(500).json({ message: 'Error exporting data' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createImportExportRouter };
@@ -0,0 +1,98 @@
+// backend/routes/live.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { createHttpError, sendValidationErrors } = require('../lib/errors');
+const { LIVE_PERIODS, LIVE_MATCH_TRANSITIONS, getLivePeriod, toLiveMatch } = require('../lib/live');
+const { requirePermission } = require('../lib/permissions');
+const { getMatchStandingsContribution, diffStandingsContributions } = require('../lib/standings');
+
+// --- Live Match Console ---
+function createLiveRouter({ db, audit, standings, webhooks }) {
+    const { addAuditEntry } = audit;
+    const { applyStandingsDelta } = standings;
+    const { emitMatchWebhookEvents } = webhooks;
+    const router = express.Router();
+
+    // POST /matches/:id/live/kickoff | half-time | second-half | full-time moves the match on by one period
+    // and starts or stops the clock. Skipping or repeating a period (e.g. upcoming straight to full-time)
+    // is refused with 409 unless ?force=true; forced changes are flagged in the audit log.
+    // POST /matches/:id/live/score with { team: "home"|"away", delta: 1|-1 } corrects the score while the
+    // match is ongoing. Full-time counts the result in the standings. Every change is pushed to
+    // GET /matches/:id/live.
+    router.post('/matches/:id/live/:action', requirePermission('matches:write', 'matches:score'), async (req, res) => {
+        try {
+            const { action } = req.params;
+            const transition = LIVE_MATCH_TRANSITIONS[action];
+            if (!transition && action !== 'score') {
+                return res.status(404).json({ message: `Unknown live action. Use ${Object.keys(LIVE_MATCH_TRANSITIONS).join(', ')} or score.` });
+            }
+            const force = req.query.force === 'true';
+            const team = req.body.team;
+            const scoreDelta = Number(req.body.delta ?? 1);
+            if (action === 'score') {
+                const errors = [];
+                if (!['home', 'away'].includes(team)) {
+                    errors.push({ field: 'team', message: 'team must be home or away.' });
+                }
+                if (![1, -1].includes(scoreDelta)) {
+                    errors.push({ field: 'delta', message: 'delta must be 1 or -1.' });
+                }
+                if (errors.length) {
+                    return sendValidationErrors(res, errors);
+                }
+            }
+
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            const { previousMatch, match } = await db.runTransaction(async (transaction) => {
+                const matchDoc = await transaction.get(matchRef);
+                if (!matchDoc.exists) {
+                    throw createHttpError(404, 'Match not found.');
+                }
+                const previousMatch = matchDoc.data();
+                const period = getLivePeriod(previousMatch);
+
+                let update;
+                if (transition) {
+                    if (period !== transition.from && !force) {
+                        throw createHttpError(409, `The match is at ${period}, so it cannot move to ${transition.to}. Use force=true to override.`);
+                    }
+                    const { status, running } = LIVE_PERIODS[transition.to];
+                    update = { livePeriod: transition.to, status, periodStartedAt: running ? admin.firestore.Timestamp.now() : null };
+                } else {
+                    if (LIVE_PERIODS[period].status !== 'ongoing' && !force) {
+                        throw createHttpError(409, 'The score can only be changed live while the match is ongoing. Use force=true to override.');
+                    }
+                    const field = `${team}Score`;
+                    const score = (Number(previousMatch[field]) || 0) + scoreDelta;
+                    if (score < 0) {
+                        throw createHttpError(400, `${field} cannot go below 0.`);
+                    }
+                    update = { [field]: score };
+                }
+
+                const match = { ...previousMatch, ...update };
+                // Only full-time, or a forced change to a finished match, moves the table
+                const delta = diffStandingsContributions(
+                    getMatchStandingsContribution(previousMatch),
+                    getMatchStandingsContribution(match)
+                );
+                await applyStandingsDelta(transaction, req.collections, delta);
+                transaction.update(matchRef, update);
+                addAuditEntry(transaction, req, matchRef.path, previousMatch, match, force ? { forced: true } : {});
+                return { previousMatch, match };
+            });
+            await emitMatchWebhookEvents(req, matchRef.id, previousMatch, match);
+            res.json({ message: 'Match updated successfully', match: toLiveMatch(matchRef.id, match) });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating live match:', error);
+            res.status(500).json({ message: 'Error updating live match' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createLiveRouter };
@@ -0,0 +1,123 @@
+// backend/routes/match-events.js
+const express = require('express');
+const { createHttpError } = require('../lib/errors');
+const { parseMatchEventInput } = require('../lib/match-events');
+const { requirePermission } = require('../lib/permissions');
+
+// --- Match Events ---
+// Fields: type(string), minute(number), player_id(string), team_id(string),
+//         assist_player_id(string, goals only), sub_player_id(string, substitutions only: player coming on)
+// Goal, penalty and own_goal events move the match's homeScore/awayScore.
+function createMatchEventsRouter({ db, audit, matchEvents, statistics }) {
+    const { addAuditEntry } = audit;
+    const { buildMatchEvent, commitMatchEventChange } = matchEvents;
+    const { updateSuspensionsForEventChange } = statistics;
+    const router = express.Router();
+
+    router.get('/matches/:id/events', async (req, res) => {
+        try {
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            const matchDoc = await matchRef.get();
+            if (!matchDoc.exists) {
+                return res.status(404).json({ message: 'Match not found.' });
+            }
+            const snapshot = await matchRef.collection('events').orderBy('minute').get();
+            const events = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            res.json(events);
+        } catch (error) {
+            console.error('Error fetching match events:', error);
+            res.status(500).json({ message: 'Error fetching match events' });
+        }
+    });
+
+    router.post('/matches/:id/events', requirePermission('matches:write', 'matches:score'), async (req, res) => {
+        try {
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            const eventRef = matchRef.collection('events').doc();
+            const event = await db.runTransaction(async (transaction) => {
+                const matchDoc = await transaction.get(matchRef);
+                if (!matchDoc.exists) {
+                    throw createHttpError(404, 'Match not found.');
+                }
+                const match = matchDoc.data();
+                const newEvent = await buildMatchEvent(transaction, req.collections, match, parseMatchEventInput(req.body));
+                const updatedMatch = await commitMatchEventChange(transaction, req.collections, matchRef, match, eventRef, null, newEvent);
+                addAuditEntry(transaction, req, eventRef.path, null, newEvent);
+                addAuditEntry(transaction, req, matchRef.path, match, updatedMatch);
+                return newEvent;
+            });
+            await updateSuspensionsForEventChange(req.collections, null, event);
+            res.status(201).json({ message: 'Match event added successfully', id: eventRef.id });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error adding match event:', error);
+            res.status(500).json({ message: 'Error adding match event' });
+        }
+    });
+
+    router.put('/matches/:id/events/:eventId', requirePermission('matches:write', 'matches:score'), async (req, res) => {
+        try {
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            const eventRef = matchRef.collection('events').doc(req.params.eventId);
+            const { previousEvent, updatedEvent } = await db.runTransaction(async (transaction) => {
+                const [matchDoc, eventDoc] = await transaction.getAll(matchRef, eventRef);
+                if (!matchDoc.exists) {
+                    throw createHttpError(404, 'Match not found.');
+                }
+                if (!eventDoc.exists) {
+                    throw createHttpError(404, 'Match event not found.');
+                }
+                const match = matchDoc.data();
+                const previousEvent = eventDoc.data();
+                // Partial update: unspecified fields keep their current values
+                const updatedEvent = await buildMatchEvent(transaction, req.collections, match, { ...previousEvent, ...parseMatchEventInput(req.body) }, previousEvent);
+                const updatedMatch = await commitMatchEventChange(transaction, req.collections, matchRef, match, eventRef, previousEvent, updatedEvent);
+                addAuditEntry(transaction, req, eventRef.path, previousEvent, updatedEvent);
+                addAuditEntry(transaction, req, matchRef.path, match, updatedMatch);
+                return { previousEvent, updatedEvent };
+            });
+            await updateSuspensionsForEventChange(req.collections, previousEvent, updatedEvent);
+            res.json({ message: 'Match event updated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating match event:', error);
+            res.status(500).json({ message: 'Error updating match event' });
+        }
+    });
+
+    router.delete('/matches/:id/events/:eventId', requirePermission('matches:write', 'matches:score'), async (req, res) => {
+        try {
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            const eventRef = matchRef.collection('events').doc(req.params.eventId);
+            const deletedEvent = await db.runTransaction(async (transaction) => {
+                const [matchDoc, eventDoc] = await transaction.getAll(matchRef, eventRef);
+                if (!matchDoc.exists) {
+                    throw createHttpError(404, 'Match not found.');
+                }
+                if (!eventDoc.exists) {
+                    throw createHttpError(404, 'Match event not found.');
+                }
+                const updatedMatch = await commitMatchEventChange(transaction, req.collections, matchRef, matchDoc.data(), eventRef, eventDoc.data(), null);
+                addAuditEntry(transaction, req, eventRef.path, eventDoc.data(), null);
+                addAuditEntry(transaction, req, matchRef.path, matchDoc.data(), updatedMatch);
+                return eventDoc.data();
+            });
+            await updateSuspensionsForEventChange(req.collections, deletedEvent, null);
+            res.json({ message: 'Match event deleted successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error deleting match event:', error);
+            res.status(500).json({ message: 'Error deleting match event' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMatchEventsRouter };
@@ -0,0 +1,82 @@
+// backend/routes/matches.js
+const express = require('express');
+const { sendListError } = require('../lib/errors');
+const { parseLanguage } = require('../lib/localization');
+const { parseListQuery } = require('../lib/pagination');
+const { requirePermission } = require('../lib/permissions');
+
+// --- Matches Management ---
+// Fields: awayScore(number),awayTeamId(string),date(string),homeScore(number),homeTeamId(string),status(string),time(string),venue(string),venue_en(string)
+// kickoffAt(Timestamp) is derived from date and time whenever either is written.
+// livePeriod(string) and periodStartedAt(Timestamp) are set by the live console (routes/live.js).
+// Matches created by POST /fixtures/generate also carry round(number).
+function createMatchesRouter({ matches }) {
+    const router = express.Router();
+
+    // List: ?status=&teamId=&from=&to=&lang=&limit=&cursor=&sort= (date, status, round; default -date)
+    // teamId matches either side; from/to are inclusive DD-MM-YYYY days in Myanmar time.
+    // Dates are ordered and filtered by kickoffAt, so matches created before it existed only show up
+    // once POST /admin/migrations/match-dates has been run.
+    router.get('/matches', async (req, res) => { // Removed /api/
+        try {
+            // "date" and "time" both sort by the kickoff timestamp; the DD-MM-YYYY strings are not chronological
+            const listQuery = parseListQuery(
+                req.query,
+                { date: 'kickoffAt', time: 'kickoffAt', status: 'status', round: 'round' },
+                '-date'
+            );
+            const lang = parseLanguage(req.query);
+            const { status, teamId, from, to } = req.query;
+            const filters = {
+                status: status ? String(status) : null,
+                teamId: teamId ? String(teamId) : null,
+                from,
+                to,
+            };
+            res.json(await matches.list(req.collections, filters, listQuery, lang));
+        } catch (error) {
+            sendListError(res, error, 'matches');
+        }
+    });
+
+    router.post('/matches', requirePermission('matches:write'), async (req, res) => { // Removed /api/
+        try {
+            const id = await matches.create(req, req.body);
+            res.status(201).json({ message: 'Match added successfully', id });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error adding match:', error);
+            res.status(500).json({ message: 'Error adding match' });
+        }
+    });
+
+    // ?force=true allows status changes outside upcoming -> ongoing -> finished, e.g. un-finishing a match
+    router.put('/matches/:id', requirePermission('matches:write', 'matches:score'), async (req, res) => { // Removed /api/
+        try {
+            await matches.update(req, req.params.id, req.body, { force: req.query.force === 'true' });
+            res.json({ message: 'Match updated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating match:', error);
+            res.status(500).json({ message: 'Error updating match' });
+        }
+    });
+
+    router.delete('/matches/:id', requirePermission('matches:write'), async (req, res) => { // Removed /api/
+        try {
+            await matches.delete(req, req.params.id);
+            res.json({ message: 'Match deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting match:', error);
+            res.status(500).json({ message: 'Error deleting match' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMatchesRouter };
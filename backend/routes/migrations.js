@@ -0,0 +1,178 @@
+// backend/routes/migrations.js
+const express = require('express');
+const { valuesEqual } = require('../lib/audit');
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { LOCALIZED_FIELDS, normalizeMyanmarText, getLocalizedStoredFields, SEARCH_FIELDS, getSearchTokens } = require('../lib/localization');
+const { LEAGUE_BASE_PATH, getSeasonIdFromPath } = require('../lib/paths');
+const { requirePermission } = require('../lib/permissions');
+const { isValidFormat } = require('../lib/schemas');
+
+// --- Data Migrations ---
+// One-off conversions of existing documents. Each supports ?dryRun=true to preview the changes.
+function createMigrationsRouter({ db, audit }) {
+    const router = express.Router();
+
+    // The batch writes for a list of { doc, update }, each followed by an audit entry that names the migration
+    function getMigrationWrites(req, migration, updates) {
+        return updates.flatMap(({ doc, update }) => [
+            batch => batch.update(doc.ref, update),
+            batch => audit.addAuditEntry(batch, req, doc.ref.path, doc.data(), { ...doc.data(), ...update }, {
+                seasonId: getSeasonIdFromPath(doc.ref.path),
+                migration,
+            }),
+        ]);
+    }
+
+    // Adds kickoffAt to every match (legacy collection and all seasons) from its date and time strings.
+    // Matches whose date or time cannot be parsed are left alone and reported as skipped.
+    router.post('/admin/migrations/match-dates', requirePermission('migrations:run'), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const snapshot = await db.collectionGroup('matches').get();
+            const updates = [];
+            const skipped = [];
+            snapshot.docs
+                .filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`))
+                .forEach(doc => {
+                    const { date, time = '00:00', kickoffAt } = doc.data();
+                    if (typeof date !== 'string' || !isValidFormat('date', date) || !isValidFormat('time', time)) {
+                        skipped.push({ path: doc.ref.path, date: date ?? null, time });
+                        return;
+                    }
+                    const computed = getMyanmarTimestamp(date, time);
+                    if (!kickoffAt || !kickoffAt.isEqual(computed)) {
+                        updates.push({ doc, kickoffAt: computed });
+                    }
+                });
+
+            if (!dryRun) {
+                await commitWritesInBatches(db, getMigrationWrites(req, 'match-dates', updates.map(({ doc, kickoffAt }) => ({ doc, update: { kickoffAt } }))));
+            }
+            res.json({
+                message: dryRun ? 'Migration preview' : 'Match dates migrated successfully',
+                dryRun,
+                updated: updates.map(({ doc, kickoffAt }) => ({ path: doc.ref.path, kickoffAt: kickoffAt.toDate().toISOString() })),
+                skipped,
+            });
+        } catch (error) {
+            console.error('Error migrating match dates:', error);
+            res.status(500).json({ message: 'Error migrating match dates' });
+        }
+    });
+
+
+    // Sets status "published" on news articles from before the publishing workflow, so that status
+    // filters (including GET /public/news) include them.
+    router.post('/admin/migrations/news-status', requirePermission('migrations:run'), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const snapshot = await db.collectionGroup('news').get();
+            const missing = snapshot.docs.filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`) && !doc.data().status);
+            if (!dryRun) {
+                await commitWritesInBatches(db, getMigrationWrites(req, 'news-status', missing.map(doc => ({ doc, update: { status: 'published' } }))));
+            }
+            res.json({
+                message: dryRun ? 'Migration preview' : 'News statuses migrated successfully',
+                dryRun,
+                updated: missing.map(doc => ({ path: doc.ref.path })),
+            });
+        } catch (error) {
+            console.error('Error migrating news statuses:', error);
+            res.status(500).json({ message: 'Error migrating news statuses' });
+        }
+    });
+
+
+    // Sets archived: false on teams and players that have no archived field. GET /teams and GET /players
+    // filter on it, and Firestore equality filters leave out documents without the field.
+    router.post('/admin/migrations/archived-flags', requirePermission('migrations:run'), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const snapshots = await Promise.all(['teams', 'players'].map(name => db.collectionGroup(name).get()));
+            const missing = snapshots.flatMap(snapshot => snapshot.docs).filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`) && typeof doc.data().archived !== 'boolean');
+            if (!dryRun) {
+                await commitWritesInBatches(db, getMigrationWrites(req, 'archived-flags', missing.map(doc => ({ doc, update: { archived: false } }))));
+            }
+            res.json({
+                message: dryRun ? 'Migration preview' : 'Archive flags migrated successfully',
+                dryRun,
+                updated: missing.map(doc => ({ path: doc.ref.path })),
+            });
+        } catch (error) {
+            console.error('Error migrating archive flags:', error);
+            res.status(500).json({ message: 'Error migrating archive flags' });
+        }
+    });
+
+    // Adds seasonId to match events and transfers from before they carried it. The statistics and
+    // squad queries filter on it.
+    router.post('/admin/migrations/season-ids', requirePermission('migrations:run'), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const snapshots = await Promise.all(['events', 'transfers'].map(name => db.collectionGroup(name).get()));
+            const missing = snapshots
+                .flatMap(snapshot => snapshot.docs)
+                .filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`) && doc.data().seasonId === undefined);
+            if (!dryRun) {
+                await commitWritesInBatches(db, getMigrationWrites(req, 'season-ids', missing.map(doc => ({ doc, update: { seasonId: getSeasonIdFromPath(doc.ref.path) } }))));
+            }
+            res.json({
+                message: dryRun ? 'Migration preview' : 'Season IDs migrated successfully',
+                dryRun,
+                updated: missing.map(doc => ({ path: doc.ref.path, seasonId: getSeasonIdFromPath(doc.ref.path) })),
+            });
+        } catch (error) {
+            console.error('Error migrating season IDs:', error);
+            res.status(500).json({ message: 'Error migrating season IDs' });
+        }
+    });
+
+    // Converts Zawgyi text in the localized fields (see LOCALIZED_FIELDS) of every team, player, news
+    // article and match to Unicode, and adds searchTokens to documents from before GET /search existed.
+    router.post('/admin/migrations/localized-content', requirePermission('migrations:run'), async (req, res) => {
+        try {
+            const dryRun = req.query.dryRun === 'true';
+            const updates = [];
+            for (const resource of Object.keys(LOCALIZED_FIELDS)) {
+                const snapshot = await db.collectionGroup(resource).get();
+                snapshot.docs
+                    .filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`))
+                    .forEach(doc => {
+                        const stored = doc.data();
+                        const update = {};
+                        getLocalizedStoredFields(resource)
+                            .filter(field => typeof stored[field] === 'string' && normalizeMyanmarText(stored[field]) !== stored[field])
+                            .forEach(field => {
+                                update[field] = normalizeMyanmarText(stored[field]);
+                            });
+                        if (SEARCH_FIELDS[resource]) {
+                            const searchTokens = getSearchTokens(resource, { ...stored, ...update });
+                            if (!valuesEqual(searchTokens, stored.searchTokens)) {
+                                update.searchTokens = searchTokens;
+                            }
+                        }
+                        if (Object.keys(update).length) {
+                            updates.push({ doc, update });
+                        }
+                    });
+            }
+
+            if (!dryRun) {
+                await commitWritesInBatches(db, getMigrationWrites(req, 'localized-content', updates));
+            }
+            res.json({
+                message: dryRun ? 'Migration preview' : 'Localized content migrated successfully',
+                dryRun,
+                updated: updates.map(({ doc, update }) => ({ path: doc.ref.path, fields: Object.keys(update) })),
+            });
+        } catch (error) {
+            console.error('Error migrating localized content:', error);
+            res.status(500).json({ message: 'Error migrating localized content' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createMigrationsRouter };
@@ -0,0 +1,98 @@
+// backend/routes/news.js
+const express = require('express');
+const { sendListError } = require('../lib/errors');
+const { parseLanguage } = require('../lib/localization');
+const { parseListQuery } = require('../lib/pagination');
+const { requirePermission } = require('../lib/permissions');
+
+// --- News Management ---
+// Fields: body(string), body_en(string), date(Timestamp), imgUrl(array), publishAt(Timestamp), status(string), tags(array), title(string), title_en(string)
+// status is draft, scheduled, published or archived. Scheduled articles are published at publishAt
+// by the /cron/publish-news job; GET /public/news only lists published ones.
+function createNewsRouter({ news, images }) {
+    const { createImageUploadHandler } = images;
+    const router = express.Router();
+
+    // List: ?status=&tag=&lang=&limit=&cursor=&sort= (date, title; default -date, newest first)
+    router.get('/news', async (req, res) => { // Removed /api/
+        try {
+            const listQuery = parseListQuery(req.query, ['date', 'title'], '-date');
+            const lang = parseLanguage(req.query);
+            const filters = {
+                status: req.query.status ? String(req.query.status) : null,
+                tag: req.query.tag ? String(req.query.tag) : null,
+            };
+            res.json(await news.list(req.collections, filters, listQuery, lang));
+        } catch (error) {
+            sendListError(res, error, 'news');
+        }
+    });
+
+    router.post('/news', requirePermission('news:write'), async (req, res) => { // Removed /api/
+        try {
+            const id = await news.create(req, req.body);
+            res.status(201).json({ message: 'News article added successfully', id });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error adding news:', error);
+            res.status(500).json({ message: 'Error adding news' });
+        }
+    });
+
+    router.put('/news/:id', requirePermission('news:write'), async (req, res) => { // Removed /api/
+        try {
+            await news.update(req, req.params.id, req.body);
+            res.json({ message: 'News article updated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating news:', error);
+            res.status(500).json({ message: 'Error updating news' });
+        }
+    });
+
+    router.delete('/news/:id', requirePermission('news:write'), async (req, res) => { // Removed /api/
+        try {
+            await news.delete(req, req.params.id);
+            res.json({ message: 'News article deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting news:', error);
+            res.status(500).json({ message: 'Error deleting news' });
+        }
+    });
+
+    // Multipart upload of up to 10 images in the "images" form field; see IMAGE_UPLOAD_TARGETS
+    router.post('/news/:id/images', requirePermission('news:write'), createImageUploadHandler('news'));
+
+    // Every write to an article stores a revision; ?limit=&cursor= page through them, newest first
+    router.get('/news/:id/revisions', async (req, res) => {
+        try {
+            const listQuery = parseListQuery(req.query, ['revisedAt'], '-revisedAt');
+            res.json(await news.listRevisions(req.collections, req.params.id, listQuery));
+        } catch (error) {
+            sendListError(res, error, 'news revisions');
+        }
+    });
+
+    // Puts back the title, body, tags and images of a revision. The publishing status is left alone,
+    // so restoring never publishes or unpublishes an article.
+    router.post('/news/:id/revisions/:revisionId/restore', requirePermission('news:write'), async (req, res) => {
+        try {
+            await news.restoreRevision(req, req.params.id, req.params.revisionId);
+            res.json({ message: 'Revision restored successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error restoring news revision:', error);
+            res.status(500).json({ message: 'Error restoring news revision' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createNewsRouter };
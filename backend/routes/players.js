@@ -0,0 +1,122 @@
+// backend/routes/players.js
+const express = require('express');
+const { sendListError } = require('../lib/errors');
+const { parseDeleteOptions } = require('../lib/integrity');
+const { parseLanguage } = require('../lib/localization');
+const { parseListQuery } = require('../lib/pagination');
+const { requirePermission } = require('../lib/permissions');
+
+// --- Players Management ---
+// Fields: imageUrl(string), name(string), name_en(string), number(number), position(string), team_id(string)
+// team_id is null for free agents, e.g. after their team was deleted with cascade=detach.
+// archived(boolean) is false until the player is archived (DELETE ?archive=true), which also sets archivedAt(Timestamp).
+// name is the Myanmar name and name_en the English one (see LOCALIZED_FIELDS); searchTokens is derived from both.
+function createPlayersRouter({ players, images }) {
+    const { createImageUploadHandler } = images;
+    const router = express.Router();
+
+    // List: ?team_id=&position=&archived=true|false (default false) &lang=&limit=&cursor=&sort= (name, number, position; default name)
+    router.get('/players', async (req, res) => { // Removed /api/
+        try {
+            if (req.query.archived !== undefined && !['true', 'false'].includes(String(req.query.archived))) {
+                return res.status(400).json({ message: 'archived must be true or false.' });
+            }
+            const listQuery = parseListQuery(req.query, ['name', 'number', 'position'], 'name');
+            const lang = parseLanguage(req.query);
+            const filters = {
+                teamId: req.query.team_id ? String(req.query.team_id) : null,
+                position: req.query.position ? String(req.query.position) : null,
+                archived: req.query.archived === 'true',
+            };
+            res.json(await players.list(req.collections, filters, listQuery, lang));
+        } catch (error) {
+            sendListError(res, error, 'players');
+        }
+    });
+
+    router.post('/players', requirePermission('players:write'), async (req, res) => { // Removed /api/
+        try {
+            const id = await players.create(req, req.body);
+            res.status(201).json({ message: 'Player added successfully', id }); // Return Firestore's auto-generated ID
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error adding player:', error);
+            res.status(500).json({ message: 'Error adding player' });
+        }
+    });
+
+    router.put('/players/:id', requirePermission('players:write'), async (req, res) => { // Removed /api/
+        try {
+            await players.update(req, req.params.id, req.body);
+            res.json({ message: 'Player updated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating player:', error);
+            res.status(500).json({ message: 'Error updating player' });
+        }
+    });
+
+    // ?archive=true keeps a player who appears in match events or earlier squads; see parseDeleteOptions
+    router.delete('/players/:id', requirePermission('players:write'), async (req, res) => { // Removed /api/
+        try {
+            const { cascade, archive } = parseDeleteOptions(req.query);
+            const result = await players.delete(req, req.params.id, { cascade, archive });
+            if (result.dependents) {
+                return res.status(409).json({
+                    message: 'Player appears in match events or earlier squads. Use archive=true to keep their history readable.',
+                    dependents: result.dependents,
+                });
+            }
+            res.json({ message: archive ? 'Player archived successfully' : 'Player deleted successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error deleting player:', error);
+            res.status(500).json({ message: 'Error deleting player' });
+        }
+    });
+
+    // Multipart upload of one image in the "image" form field; see IMAGE_UPLOAD_TARGETS
+    router.post('/players/:id/photo', requirePermission('players:write'), createImageUploadHandler('players'));
+
+    // Moves a player to toTeamId, or releases them as a free agent (type "release"), and records the
+    // move in their transfer history. Body: see SCHEMAS.transfers; date defaults to today (Myanmar time).
+    // Transfers can't be dated in the future or before the player's previous transfer, and outside a
+    // release they must fall in one of the season's transfer windows. Shirt numbers must be unique in
+    // the destination squad (0 means no number).
+    router.post('/players/:id/transfer', requirePermission('players:write'), async (req, res) => {
+        try {
+            const id = await players.recordTransfer(req, req.params.id, req.body);
+            res.status(201).json({ message: 'Transfer recorded successfully', id });
+        } catch (error) {
+            if (error.status) {
+                // A transfer outside the windows also lists them
+                return res.status(error.status).json({ message: error.message, errors: error.errors, transferWindows: error.transferWindows });
+            }
+            console.error('Error recording transfer:', error);
+            res.status(500).json({ message: 'Error recording transfer' });
+        }
+    });
+
+    // A player's transfer history, most recent first
+    router.get('/players/:id/transfers', async (req, res) => {
+        try {
+            res.json(await players.listTransfers(req.collections, req.params.id));
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error fetching transfers:', error);
+            res.status(500).json({ message: 'Error fetching transfers' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPlayersRouter };
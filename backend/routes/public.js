@@ -0,0 +1,79 @@
+// backend/routes/public.js
+const express = require('express');
+const { sendListError } = require('../lib/errors');
+const { parseLanguage } = require('../lib/localization');
+const { toLiveMatch } = require('../lib/live');
+const { parseListQuery } = require('../lib/pagination');
+
+// --- Public Routes (before auth middleware) ---
+function createPublicRouter({ db, seasons, news }) {
+    const { resolveSeason } = seasons;
+    const router = express.Router();
+
+    // Published news for the public site. Same query parameters as the admin GET /news list
+    // (?season=, ?tag=, ?lang=, ?limit=, ?cursor=, ?sort=), but drafts, scheduled and archived articles are left out.
+    router.get('/public/news', resolveSeason, async (req, res) => {
+        try {
+            const listQuery = parseListQuery(req.query, ['date', 'title'], '-date');
+            const lang = parseLanguage(req.query);
+            const tag = req.query.tag ? String(req.query.tag) : null;
+            res.json(await news.listPublished(req.collections, { tag }, listQuery, lang));
+        } catch (error) {
+            sendListError(res, error, 'news');
+        }
+    });
+
+    // Live updates for one match as Server-Sent Events (no auth, so EventSource can use it directly).
+    // Sends a "match" event (see toLiveMatch) whenever the match changes and an "events" event with its
+    // timeline whenever an event is recorded, plus a comment every 25 seconds so proxies keep the
+    // connection open. On Vercel the stream ends at the function's maximum duration and the browser's
+    // EventSource reconnects on its own.
+    router.get('/matches/:id/live', resolveSeason, async (req, res) => {
+        try {
+            const matchRef = db.collection(req.collections.matches).doc(req.params.id);
+            if (!(await matchRef.get()).exists) {
+                return res.status(404).json({ message: 'Match not found.' });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                Connection: 'keep-alive',
+                'X-Accel-Buffering': 'no', // Stops nginx-style proxies from buffering the stream
+            });
+            res.flushHeaders();
+            res.write('retry: 3000\n\n');
+            const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+            let unsubscribers = [];
+            const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+            const close = () => {
+                clearInterval(heartbeat);
+                unsubscribers.forEach(unsubscribe => unsubscribe());
+                unsubscribers = [];
+            };
+            const fail = (error) => {
+                console.error('Error streaming live match:', error);
+                send('error', { message: 'Live updates stopped.' });
+                close();
+                res.end();
+            };
+            unsubscribers = [
+                matchRef.onSnapshot(doc => (
+                    doc.exists ? send('match', toLiveMatch(doc.id, doc.data())) : send('deleted', { id: doc.id })
+                ), fail),
+                matchRef.collection('events').orderBy('minute').onSnapshot(snapshot => (
+                    send('events', snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })))
+                ), fail),
+            ];
+            req.on('close', close);
+        } catch (error) {
+            console.error('Error opening live match stream:', error);
+            res.status(500).json({ message: 'Error opening live match stream' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createPublicRouter };
@@ -0,0 +1,61 @@
+// backend/routes/search.js
+const express = require('express');
+const { parseLanguage, localizeDocument, SEARCH_FIELDS, getSearchQueryTokens } = require('../lib/localization');
+
+// --- Search ---
+// GET /search?q= finds the season's teams, players and news articles (by title) whose Myanmar or
+// English text contains every word of q. Myanmar words match at any syllable, other words from the
+// start of a word, and Zawgyi input is converted first. ?types= (comma-separated, default all) picks
+// what to search, ?lang= works as on the list routes and ?limit= (default 10, max 50) caps the
+// results per type. Results are in no particular order.
+const SEARCH_TYPES = Object.keys(SEARCH_FIELDS);
+// Documents Firestore returns for the first token before the other tokens are checked
+const SEARCH_SCAN_LIMIT = 200;
+
+function createSearchRouter({ db }) {
+    const router = express.Router();
+
+    router.get('/search', async (req, res) => {
+        try {
+            const lang = parseLanguage(req.query);
+            const tokens = getSearchQueryTokens(req.query.q || '');
+            if (!tokens.length) {
+                return res.status(400).json({ message: 'q must contain at least one letter or digit.' });
+            }
+            const types = req.query.types ? String(req.query.types).split(',').map(type => type.trim()) : SEARCH_TYPES;
+            if (types.some(type => !SEARCH_TYPES.includes(type))) {
+                return res.status(400).json({ message: `types must be a comma-separated list of: ${SEARCH_TYPES.join(', ')}.` });
+            }
+            const limit = req.query.limit === undefined ? 10 : Number(req.query.limit);
+            if (!Number.isInteger(limit) || limit < 1 || limit > 50) {
+                return res.status(400).json({ message: 'limit must be an integer between 1 and 50.' });
+            }
+
+            // Firestore allows a single array-contains filter, so it gets the longest token
+            const [firstToken, ...otherTokens] = tokens;
+            const results = await Promise.all(types.map(async (type) => {
+                const snapshot = await db.collection(req.collections[type])
+                    .where('searchTokens', 'array-contains', firstToken)
+                    .limit(SEARCH_SCAN_LIMIT)
+                    .get();
+                const items = snapshot.docs
+                    .map(doc => ({ id: doc.id, ...doc.data() }))
+                    .filter(item => otherTokens.every(token => item.searchTokens.includes(token)))
+                    .slice(0, limit)
+                    .map(item => localizeDocument(type, item, lang));
+                return [type, items];
+            }));
+            res.json(Object.fromEntries(results));
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error searching:', error);
+            res.status(500).json({ message: 'Error searching' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSearchRouter };
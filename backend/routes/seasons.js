@@ -0,0 +1,205 @@
+// backend/routes/seasons.js
+const express = require('express');
+const admin = require('firebase-admin');
+const { parseDDMMYYYYToDate } = require('../lib/dates');
+const { createHttpError } = require('../lib/errors');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { SEASONS_COLLECTION, SEASON_ID_PATTERN, LEGACY_SEASON_ID, getLeagueCollections } = require('../lib/paths');
+const { requirePermission } = require('../lib/permissions');
+const { isValidFormat } = require('../lib/schemas');
+const { STANDINGS_FIELDS } = require('../lib/standings');
+
+// --- Seasons ---
+// Fields: name(string), startDate(string DD-MM-YYYY), endDate(string DD-MM-YYYY), status(string),
+//         carriedOverFrom(string|null), transferWindows(array), createdAt/activatedAt/archivedAt(Timestamp)
+// Status: upcoming -> active -> completed (when another season is activated) -> archived (read-only).
+function createSeasonsRouter({ db, audit }) {
+    const { addAuditEntry, createDocumentWithAudit, updateDocumentWithAudit } = audit;
+    const router = express.Router();
+
+    router.get('/seasons', async (req, res) => {
+        try {
+            const snapshot = await db.collection(SEASONS_COLLECTION).orderBy('createdAt', 'desc').get();
+            const seasons = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+            res.json(seasons);
+        } catch (error) {
+            console.error('Error fetching seasons:', error);
+            res.status(500).json({ message: 'Error fetching seasons' });
+        }
+    });
+
+    // Creates a season and, unless carryOver is false, copies the squads into it: teams (with their table
+    // stats reset) and players keep their IDs, so references between them stay valid. Squads come from
+    // carryOverFrom if given (`legacy` for the data from before seasons existed), otherwise from the
+    // current season. Matches and news are not copied.
+    // Archived teams stay behind, and their players start the new season as free agents.
+    router.post('/seasons', requirePermission('seasons:manage'), async (req, res) => {
+        try {
+            const name = req.body.name || '';
+            if (!name) {
+                return res.status(400).json({ message: 'Season name is required.' });
+            }
+            const seasonId = req.body.id || name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+            if (typeof seasonId !== 'string' || !SEASON_ID_PATTERN.test(seasonId)) {
+                return res.status(400).json({ message: 'Season ID may only contain lowercase letters, numbers and dashes.' });
+            }
+            if (seasonId === LEGACY_SEASON_ID) {
+                return res.status(400).json({ message: `"${LEGACY_SEASON_ID}" is reserved for the data from before seasons existed.` });
+            }
+            const startDate = req.body.startDate || '';
+            const endDate = req.body.endDate || '';
+            if ([startDate, endDate].some(date => date && !isValidFormat('date', date))) {
+                return res.status(400).json({ message: 'Season dates must be valid "DD-MM-YYYY" dates.' });
+            }
+
+            const carryOver = req.body.carryOver !== false && req.body.carryOver !== 'false';
+            let sourceCollections = req.collections;
+            let sourceSeasonId = req.season?.id || null;
+            if (carryOver && req.body.carryOverFrom === LEGACY_SEASON_ID) {
+                sourceCollections = getLeagueCollections(null);
+                sourceSeasonId = null;
+            } else if (carryOver && req.body.carryOverFrom) {
+                const sourceDoc = await db.collection(SEASONS_COLLECTION).doc(req.body.carryOverFrom).get();
+                if (!sourceDoc.exists) {
+                    return res.status(400).json({ message: 'Season to carry squads over from was not found.' });
+                }
+                sourceCollections = getLeagueCollections(sourceDoc.id);
+                sourceSeasonId = sourceDoc.id;
+            }
+
+            const seasonRef = db.collection(SEASONS_COLLECTION).doc(seasonId);
+            if ((await seasonRef.get()).exists) {
+                return res.status(409).json({ message: 'A season with this ID already exists.' });
+            }
+            await createDocumentWithAudit(req, seasonRef, {
+                name,
+                startDate,
+                endDate,
+                status: 'upcoming',
+                carriedOverFrom: carryOver ? sourceSeasonId : null,
+                createdAt: admin.firestore.Timestamp.now(),
+            });
+
+            let teamsCarriedOver = 0;
+            let playersCarriedOver = 0;
+            if (carryOver) {
+                const targetCollections = getLeagueCollections(seasonId);
+                const [teamsSnapshot, playersSnapshot] = await Promise.all([
+                    db.collection(sourceCollections.teams).get(),
+                    db.collection(sourceCollections.players).get(),
+                ]);
+                const resetStats = Object.fromEntries(STANDINGS_FIELDS.map(field => [field, 0]));
+                const teamDocs = teamsSnapshot.docs.filter(doc => !doc.data().archived);
+                const teamIds = teamDocs.map(doc => doc.id);
+                const playerDocs = playersSnapshot.docs.filter(doc => !doc.data().archived);
+                await commitWritesInBatches(db, [
+                    ...teamDocs.map(doc => (
+                        batch => batch.set(db.collection(targetCollections.teams).doc(doc.id), { ...doc.data(), ...resetStats, archived: false })
+                    )),
+                    // Card counts start again each season; an unserved suspension carries over
+                    ...playerDocs.map(doc => {
+                        const player = { ...doc.data(), yellow_suspensions: 0, archived: false };
+                        if (player.team_id && !teamIds.includes(player.team_id)) {
+                            player.team_id = null;
+                        }
+                        return batch => batch.set(db.collection(targetCollections.players).doc(doc.id), player);
+                    }),
+                ]);
+                teamsCarriedOver = teamDocs.length;
+                playersCarriedOver = playerDocs.length;
+            }
+
+            res.status(201).json({ message: 'Season added successfully', id: seasonId, teamsCarriedOver, playersCarriedOver });
+        } catch (error) {
+            console.error('Error adding season:', error);
+            res.status(500).json({ message: 'Error adding season' });
+        }
+    });
+
+    // Makes a season the default for all routes. The previously active season becomes completed.
+    router.post('/seasons/:id/activate', requirePermission('seasons:manage'), async (req, res) => {
+        try {
+            const seasonRef = db.collection(SEASONS_COLLECTION).doc(req.params.id);
+            await db.runTransaction(async (transaction) => {
+                const seasonDoc = await transaction.get(seasonRef);
+                if (!seasonDoc.exists) {
+                    throw createHttpError(404, 'Season not found.');
+                }
+                if (seasonDoc.data().status === 'archived') {
+                    throw createHttpError(409, 'Archived seasons cannot be activated.');
+                }
+                const activeSnapshot = await transaction.get(db.collection(SEASONS_COLLECTION).where('status', '==', 'active'));
+                activeSnapshot.docs
+                    .filter(doc => doc.id !== seasonRef.id)
+                    .forEach(doc => {
+                        transaction.update(doc.ref, { status: 'completed' });
+                        addAuditEntry(transaction, req, doc.ref.path, doc.data(), { ...doc.data(), status: 'completed' });
+                    });
+                const activation = { status: 'active', activatedAt: admin.firestore.Timestamp.now() };
+                transaction.update(seasonRef, activation);
+                addAuditEntry(transaction, req, seasonRef.path, seasonDoc.data(), { ...seasonDoc.data(), ...activation });
+            });
+            res.json({ message: 'Season activated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error activating season:', error);
+            res.status(500).json({ message: 'Error activating season' });
+        }
+    });
+
+    // Body: windows(array of { start, end } in DD-MM-YYYY, inclusive). Transfers other than releases
+    // must fall inside one of them; an empty list opens transfers for the whole season.
+    router.put('/seasons/:id/transfer-windows', requirePermission('seasons:manage'), async (req, res) => {
+        try {
+            const { windows } = req.body;
+            const isValidWindow = window => window
+                && isValidFormat('date', window.start)
+                && isValidFormat('date', window.end)
+                && parseDDMMYYYYToDate(window.start) <= parseDDMMYYYYToDate(window.end);
+            if (!Array.isArray(windows) || !windows.every(isValidWindow)) {
+                return res.status(400).json({ message: 'windows must be a list of { start, end } "DD-MM-YYYY" dates, with start on or before end.' });
+            }
+            const transferWindows = windows.map(({ start, end }) => ({ start, end }));
+            await updateDocumentWithAudit(req, db.collection(SEASONS_COLLECTION).doc(req.params.id), { transferWindows }, 'Season not found.');
+            res.json({ message: 'Transfer windows updated successfully', transferWindows });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating transfer windows:', error);
+            res.status(500).json({ message: 'Error updating transfer windows' });
+        }
+    });
+
+    // Freezes a season: its data stays readable through ?season= but can no longer be modified.
+    router.post('/seasons/:id/archive', requirePermission('seasons:manage'), async (req, res) => {
+        try {
+            const seasonRef = db.collection(SEASONS_COLLECTION).doc(req.params.id);
+            await db.runTransaction(async (transaction) => {
+                const seasonDoc = await transaction.get(seasonRef);
+                if (!seasonDoc.exists) {
+                    throw createHttpError(404, 'Season not found.');
+                }
+                if (seasonDoc.data().status === 'active') {
+                    throw createHttpError(409, 'Activate another season before archiving the active one.');
+                }
+                const archival = { status: 'archived', archivedAt: admin.firestore.Timestamp.now() };
+                transaction.update(seasonRef, archival);
+                addAuditEntry(transaction, req, seasonRef.path, seasonDoc.data(), { ...seasonDoc.data(), ...archival });
+            });
+            res.json({ message: 'Season archived successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error archiving season:', error);
+            res.status(500).json({ message: 'Error archiving season' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createSeasonsRouter };
@@ -0,0 +1,25 @@
+// backend/routes/standings.js
+const express = require('express');
+const { requirePermission } = require('../lib/permissions');
+
+// --- Standings ---
+function createStandingsRouter({ standings }) {
+    const { rebuildStandings } = standings;
+    const router = express.Router();
+
+    // Recomputes every team's table fields from scratch using the finished matches.
+    // Use this to repair drift, e.g. after stats were edited by hand or matches were imported.
+    router.post('/standings/rebuild', requirePermission('standings:rebuild'), async (req, res) => {
+        try {
+            const counts = await rebuildStandings(req);
+            res.json({ message: 'Standings rebuilt successfully', ...counts });
+        } catch (error) {
+            console.error('Error rebuilding standings:', error);
+            res.status(500).json({ message: 'Error rebuilding standings' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStandingsRouter };
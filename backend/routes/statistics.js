@@ -0,0 +1,91 @@
+// backend/routes/statistics.js
+const express = require('express');
+const { YELLOW_CARD_SUSPENSION_THRESHOLD, GOAL_EVENT_TYPES, aggregatePlayerStats, parseLeaderboardQuery } = require('../lib/statistics');
+
+// --- Player Statistics and Leaderboards ---
+// All figures are computed from the match events. Leaderboards accept ?team_id= (the team the
+// player was playing for at the time) and ?limit= (default 20, max 100).
+function createStatisticsRouter({ db, statistics }) {
+    const { fetchLeagueMatchEvents, buildLeaderboard } = statistics;
+    const router = express.Router();
+
+    router.get('/players/:id/stats', async (req, res) => {
+        try {
+            const playerId = req.params.id;
+            const playerDoc = await db.collection(req.collections.players).doc(playerId).get();
+            if (!playerDoc.exists) {
+                return res.status(404).json({ message: 'Player not found.' });
+            }
+
+            // A player can appear in an event as the main player, the assist or the substitute coming on
+            const eventLists = await Promise.all([
+                fetchLeagueMatchEvents(req.collections, 'player_id', playerId),
+                fetchLeagueMatchEvents(req.collections, 'assist_player_id', playerId),
+                fetchLeagueMatchEvents(req.collections, 'sub_player_id', playerId),
+            ]);
+            const events = new Map();
+            eventLists.flat().forEach(event => events.set(`${event.matchId}/${event.id}`, event));
+
+            const stats = aggregatePlayerStats([...events.values()])[playerId] || { appearances: 0, goals: 0, assists: 0, yellows: 0, reds: 0 };
+            res.json({
+                player_id: playerId,
+                ...stats,
+                suspended: playerDoc.data().suspended === true,
+                yellowCardSuspensionThreshold: YELLOW_CARD_SUSPENSION_THRESHOLD,
+            });
+        } catch (error) {
+            console.error('Error fetching player stats:', error);
+            res.status(500).json({ message: 'Error fetching player stats' });
+        }
+    });
+
+    router.get('/leaderboards/scorers', async (req, res) => {
+        try {
+            const { teamId, limit } = parseLeaderboardQuery(req.query);
+            const events = (await fetchLeagueMatchEvents(req.collections, 'type', GOAL_EVENT_TYPES))
+                .filter(event => !teamId || event.team_id === teamId);
+            const leaderboard = await buildLeaderboard(req.collections, aggregatePlayerStats(events), stats => stats.goals, limit);
+            res.json(leaderboard.map(({ player_id, name, name_en, imageUrl, current_team_id, goals, assists }) => (
+                { player_id, name, name_en, imageUrl, current_team_id, goals, assists }
+            )));
+        } catch (error) {
+            console.error('Error fetching top scorers:', error);
+            res.status(500).json({ message: 'Error fetching top scorers' });
+        }
+    });
+
+    router.get('/leaderboards/assists', async (req, res) => {
+        try {
+            const { teamId, limit } = parseLeaderboardQuery(req.query);
+            const events = (await fetchLeagueMatchEvents(req.collections, 'type', 'goal'))
+                .filter(event => event.assist_player_id && (!teamId || event.team_id === teamId));
+            const leaderboard = await buildLeaderboard(req.collections, aggregatePlayerStats(events), stats => stats.assists, limit);
+            res.json(leaderboard.map(({ player_id, name, name_en, imageUrl, current_team_id, assists }) => (
+                { player_id, name, name_en, imageUrl, current_team_id, assists }
+            )));
+        } catch (error) {
+            console.error('Error fetching assists leaderboard:', error);
+            res.status(500).json({ message: 'Error fetching assists leaderboard' });
+        }
+    });
+
+    router.get('/leaderboards/discipline', async (req, res) => {
+        try {
+            const { teamId, limit } = parseLeaderboardQuery(req.query);
+            const events = (await fetchLeagueMatchEvents(req.collections, 'type', ['yellow', 'red']))
+                .filter(event => !teamId || event.team_id === teamId);
+            // Disciplinary points: 1 per yellow card, 3 per red card
+            const leaderboard = await buildLeaderboard(req.collections, aggregatePlayerStats(events), stats => stats.yellows + stats.reds * 3, limit);
+            res.json(leaderboard.map(({ player_id, name, name_en, imageUrl, current_team_id, yellows, reds, suspended }) => (
+                { player_id, name, name_en, imageUrl, current_team_id, yellows, reds, points: yellows + reds * 3, suspended }
+            )));
+        } catch (error) {
+            console.error('Error fetching discipline table:', error);
+            res.status(500).json({ message: 'Error fetching discipline table' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createStatisticsRouter };
@@ -0,0 +1,112 @@
+// backend/routes/teams.js
+const express = require('express');
+const { formatMyanmarDate } = require('../lib/dates');
+const { sendListError } = require('../lib/errors');
+const { parseDeleteOptions } = require('../lib/integrity');
+const { parseLanguage } = require('../lib/localization');
+const { parseListQuery } = require('../lib/pagination');
+const { requirePermission } = require('../lib/permissions');
+const { isValidFormat } = require('../lib/schemas');
+
+// --- Teams Management ---
+// Fields: LogoUrl(string),draw(number),ga(number),gf(number),lost(number),name(string),name_mm(string),played(number),won(number)
+// played/won/draw/lost/gf/ga are read-only, kept in sync by the match routes; see POST /standings/rebuild to recompute them.
+// archived(boolean) is false until the team is archived (DELETE ?archive=true), which also sets archivedAt(Timestamp).
+// name is the English name and name_mm the Myanmar one (see LOCALIZED_FIELDS); searchTokens is derived from both.
+function createTeamsRouter({ teams, images }) {
+    const { createImageUploadHandler } = images;
+    const router = express.Router();
+
+    // List: ?archived=true|false (default false) &lang=&limit=&cursor=&sort= (name, played, won, draw, lost, gf, ga; default name)
+    router.get('/teams', async (req, res) => { // Removed /api/
+        try {
+            if (req.query.archived !== undefined && !['true', 'false'].includes(String(req.query.archived))) {
+                return res.status(400).json({ message: 'archived must be true or false.' });
+            }
+            const listQuery = parseListQuery(req.query, ['name', 'played', 'won', 'draw', 'lost', 'gf', 'ga'], 'name');
+            const lang = parseLanguage(req.query);
+            res.json(await teams.list(req.collections, { archived: req.query.archived === 'true' }, listQuery, lang));
+        } catch (error) {
+            sendListError(res, error, 'teams');
+        }
+    });
+
+    router.post('/teams', requirePermission('teams:write'), async (req, res) => { // Removed /api/
+        try {
+            const id = await teams.create(req, req.body);
+            res.status(201).json({ message: 'Team added successfully', id });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error adding team:', error);
+            res.status(500).json({ message: 'Error adding team' });
+        }
+    });
+
+    router.put('/teams/:id', requirePermission('teams:write'), async (req, res) => { // Removed /api/
+        try {
+            await teams.update(req, req.params.id, req.body);
+            res.json({ message: 'Team updated successfully' });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating team:', error);
+            res.status(500).json({ message: 'Error updating team' });
+        }
+    });
+
+    // ?cascade=block|detach and ?archive=true; see parseDeleteOptions
+    router.delete('/teams/:id', requirePermission('teams:write'), async (req, res) => { // Removed /api/
+        try {
+            const { cascade, archive } = parseDeleteOptions(req.query);
+            const result = await teams.delete(req, req.params.id, { cascade, archive });
+            if (result.dependents) {
+                return res.status(409).json({
+                    message: 'Team is still referenced. Use cascade=detach to make its players free agents, or archive=true to keep its matches readable.',
+                    dependents: result.dependents,
+                });
+            }
+            res.json({
+                message: archive ? 'Team archived successfully' : 'Team deleted successfully',
+                detachedPlayers: result.detachedPlayers,
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error deleting team:', error);
+            res.status(500).json({ message: 'Error deleting team' });
+        }
+    });
+
+    // Multipart upload of one image in the "image" form field; see IMAGE_UPLOAD_TARGETS
+    router.post('/teams/:id/logo', requirePermission('teams:write'), createImageUploadHandler('teams'));
+
+    // The team's registered players on ?date= (DD-MM-YYYY, default today), rebuilt from the transfer
+    // histories of everyone who is or was in the squad this season. Transfers count from their date on.
+    // Player fields such as number are their current values. ?lang= works as on GET /players.
+    router.get('/teams/:id/squad', async (req, res) => {
+        try {
+            const date = req.query.date || formatMyanmarDate(new Date());
+            if (!isValidFormat('date', date)) {
+                return res.status(400).json({ message: 'date must be in "DD-MM-YYYY" format.' });
+            }
+            const lang = parseLanguage(req.query);
+            const teamId = req.params.id;
+            const players = await teams.getSquad(req.collections, teamId, date, lang);
+            res.json({ teamId, date, players });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error fetching squad:', error);
+            res.status(500).json({ message: 'Error fetching squad' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createTeamsRouter };
@@ -0,0 +1,173 @@
+// backend/routes/webhooks.js
+const express = require('express');
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const { createHttpError, sendValidationErrors, sendListError } = require('../lib/errors');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { parseListQuery, paginateQuery } = require('../lib/pagination');
+const { requirePermission } = require('../lib/permissions');
+const { WEBHOOKS_COLLECTION, toPublicWebhook, withoutSecret } = require('../lib/webhooks');
+
+// --- Webhooks ---
+function createWebhooksRouter({ db, audit, validation, webhooks }) {
+    const { addAuditEntry } = audit;
+    const { validateResource } = validation;
+    const { attemptWebhookDelivery } = webhooks;
+    const router = express.Router();
+
+    // Fields: url(string), events(array of WEBHOOK_EVENTS or "*"), description(string), active(boolean)
+    // The signing secret is returned once, by POST /webhooks and by PUT with { rotateSecret: true };
+    // lists and updates only show its last four characters.
+    router.get('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const snapshot = await db.collection(WEBHOOKS_COLLECTION).orderBy('createdAt').get();
+            res.json(snapshot.docs.map(doc => toPublicWebhook(doc.id, doc.data())));
+        } catch (error) {
+            console.error('Error fetching webhooks:', error);
+            res.status(500).json({ message: 'Error fetching webhooks' });
+        }
+    });
+
+    router.post('/webhooks', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const { data, errors } = await validateResource('webhooks', req.body, { collections: req.collections });
+            if (errors.length) {
+                return sendValidationErrors(res, errors);
+            }
+            const webhook = {
+                ...data,
+                secret: crypto.randomBytes(32).toString('hex'),
+                createdAt: admin.firestore.Timestamp.now(),
+                createdBy: req.user.uid,
+            };
+            const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc();
+            const batch = db.batch();
+            batch.set(webhookRef, webhook);
+            addAuditEntry(batch, req, webhookRef.path, null, withoutSecret(webhook), { seasonId: null });
+            await batch.commit();
+            res.status(201).json({ message: 'Webhook added successfully', id: webhookRef.id, secret: webhook.secret });
+        } catch (error) {
+            console.error('Error adding webhook:', error);
+            res.status(500).json({ message: 'Error adding webhook' });
+        }
+    });
+
+    router.put('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc(req.params.id);
+            const rotateSecret = req.body.rotateSecret === true || req.body.rotateSecret === 'true';
+            const updated = await db.runTransaction(async (transaction) => {
+                const webhookDoc = await transaction.get(webhookRef);
+                if (!webhookDoc.exists) {
+                    throw createHttpError(404, 'Webhook not found.');
+                }
+                const previous = webhookDoc.data();
+                const { data, errors } = await validateResource('webhooks', req.body, { collections: req.collections, partial: true, existing: previous });
+                if (errors.length) {
+                    throw createHttpError(400, 'Validation failed.', errors);
+                }
+                const update = rotateSecret ? { ...data, secret: crypto.randomBytes(32).toString('hex') } : data;
+                if (!Object.keys(update).length) {
+                    return previous;
+                }
+                transaction.update(webhookRef, update);
+                // The audit entry can't show a rotation, so it is recorded as an extra flag
+                addAuditEntry(transaction, req, webhookRef.path, withoutSecret(previous), withoutSecret({ ...previous, ...update }), {
+                    seasonId: null,
+                    ...(rotateSecret ? { secretRotated: true } : {}),
+                });
+                return { ...previous, ...update };
+            });
+            res.json({
+                message: 'Webhook updated successfully',
+                webhook: toPublicWebhook(webhookRef.id, updated),
+                ...(rotateSecret ? { secret: updated.secret } : {}),
+            });
+        } catch (error) {
+            if (error.status) {
+                return res.status(error.status).json({ message: error.message, errors: error.errors });
+            }
+            console.error('Error updating webhook:', error);
+            res.status(500).json({ message: 'Error updating webhook' });
+        }
+    });
+
+    router.delete('/webhooks/:id', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc(req.params.id);
+            await db.runTransaction(async (transaction) => {
+                const webhookDoc = await transaction.get(webhookRef);
+                if (webhookDoc.exists) {
+                    addAuditEntry(transaction, req, webhookRef.path, withoutSecret(webhookDoc.data()), null, { seasonId: null });
+                }
+                transaction.delete(webhookRef);
+            });
+            const deliveriesSnapshot = await webhookRef.collection('deliveries').get();
+            await commitWritesInBatches(db, deliveriesSnapshot.docs.map(doc => batch => batch.delete(doc.ref)));
+            res.json({ message: 'Webhook deleted successfully' });
+        } catch (error) {
+            console.error('Error deleting webhook:', error);
+            res.status(500).json({ message: 'Error deleting webhook' });
+        }
+    });
+
+    // Delivery log, newest first: ?status=pending|delivered|failed&limit=&cursor=
+    router.get('/webhooks/:id/deliveries', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const listQuery = parseListQuery(req.query, ['createdAt'], '-createdAt');
+            const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc(req.params.id);
+            if (!(await webhookRef.get()).exists) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            const deliveriesRef = webhookRef.collection('deliveries');
+            let query = deliveriesRef;
+            if (req.query.status) {
+                query = query.where('status', '==', String(req.query.status));
+            }
+            res.json(await paginateQuery(deliveriesRef, query, listQuery));
+        } catch (error) {
+            sendListError(res, error, 'webhook deliveries');
+        }
+    });
+
+    // Sends a delivery again, whatever its status, as a new delivery with the same body, and waits for
+    // the attempt so the response shows how it went. Failed attempts are retried like any other.
+    router.post('/webhooks/:id/deliveries/:deliveryId/redeliver', requirePermission('webhooks:manage'), async (req, res) => {
+        try {
+            const webhookRef = db.collection(WEBHOOKS_COLLECTION).doc(req.params.id);
+            const [webhookDoc, deliveryDoc] = await db.getAll(webhookRef, webhookRef.collection('deliveries').doc(req.params.deliveryId));
+            if (!webhookDoc.exists) {
+                return res.status(404).json({ message: 'Webhook not found.' });
+            }
+            if (!deliveryDoc.exists) {
+                return res.status(404).json({ message: 'Delivery not found.' });
+            }
+            if (!webhookDoc.data().active) {
+                return res.status(409).json({ message: 'The webhook is inactive; activate it before redelivering.' });
+            }
+            const { webhookId, event, body } = deliveryDoc.data();
+            const now = admin.firestore.Timestamp.now();
+            const redeliveryRef = webhookRef.collection('deliveries').doc();
+            await redeliveryRef.set({
+                webhookId,
+                event,
+                body,
+                status: 'pending',
+                attempts: 0,
+                nextAttemptAt: now,
+                createdAt: now,
+                redeliveryOf: deliveryDoc.id,
+                requestedBy: req.user.uid,
+            });
+            const delivery = await attemptWebhookDelivery(redeliveryRef);
+            res.status(201).json({ message: 'Delivery sent', delivery: delivery || { id: redeliveryRef.id, status: 'pending' } });
+        } catch (error) {
+            console.error('Error redelivering webhook:', error);
+            res.status(500).json({ message: 'Error redelivering webhook' });
+        }
+    });
+
+    return router;
+}
+
+module.exports = { createWebhooksRouter };
@@ -0,0 +1,88 @@
+// backend/services/audit.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('../lib/errors');
+const { AUDIT_COLLECTION, diffDocuments } = require('../lib/audit');
+
+// --- Audit Log ---
+// Writes the audit entries described in lib/audit.js.
+function createAuditService({ db }) {
+    // Adds the audit entry for a write to a transaction or batch (anything with set()), so it is committed
+    // atomically with the change. `before` is null for creates and `after` is null for deletes.
+    // Updates that change nothing are not recorded. `extra` is merged into the entry.
+    function addAuditEntry(writer, req, path, before, after, extra = {}) {
+        const diff = diffDocuments(before || {}, after || {});
+        if (before && after && !Object.keys(diff).length) {
+            return;
+        }
+        const segments = path.split('/');
+        writer.set(db.collection(AUDIT_COLLECTION).doc(), {
+            uid: req.user.uid,
+            email: req.user.email || '',
+            action: !before ? 'create' : !after ? 'delete' : 'update',
+            resource: segments[segments.length - 2], // Collection name, e.g. "teams" or "events"
+            path,
+            seasonId: req.season?.id || null,
+            before: before || null,
+            after: after || null,
+            diff,
+            timestamp: admin.firestore.Timestamp.now(),
+            ...extra,
+        });
+    }
+
+    // Single-document writes together with their audit entry
+    async function createDocumentWithAudit(req, docRef, data) {
+        const batch = db.batch();
+        batch.set(docRef, data);
+        addAuditEntry(batch, req, docRef.path, null, data);
+        await batch.commit();
+    }
+
+    // Throws a 404 error with `notFoundMessage` if the document does not exist. The optional `check`
+    // is called with the stored document and may throw to refuse the update. `updatedData` can also be
+    // a function that gets the stored document and returns the data to write. Returns the updated document.
+    async function updateDocumentWithAudit(req, docRef, updatedData, notFoundMessage, check) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (!doc.exists) {
+                throw createHttpError(404, notFoundMessage);
+            }
+            if (check) {
+                check(doc.data());
+            }
+            const update = typeof updatedData === 'function' ? updatedData(doc.data()) : updatedData;
+            transaction.update(docRef, update);
+            addAuditEntry(transaction, req, docRef.path, doc.data(), { ...doc.data(), ...update });
+            return { ...doc.data(), ...update };
+        });
+    }
+
+    // For writes that are not otherwise batched, e.g. role changes, which live in Firebase Auth
+    async function recordAuditEntry(req, path, before, after) {
+        const batch = db.batch();
+        addAuditEntry(batch, req, path, before, after);
+        await batch.commit();
+    }
+
+    // Returns the deleted document's data, or null if it did not exist
+    async function deleteDocumentWithAudit(req, docRef) {
+        return db.runTransaction(async (transaction) => {
+            const doc = await transaction.get(docRef);
+            if (doc.exists) {
+                addAuditEntry(transaction, req, docRef.path, doc.data(), null);
+            }
+            transaction.delete(docRef);
+            return doc.exists ? doc.data() : null;
+        });
+    }
+
+    return {
+        addAuditEntry,
+        createDocumentWithAudit,
+        updateDocumentWithAudit,
+        recordAuditEntry,
+        deleteDocumentWithAudit,
+    };
+}
+
+module.exports = { createAuditService };
@@ -0,0 +1,196 @@
+// backend/services/images.js
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { createHttpError } = require('../lib/errors');
+const { addNewsRevision } = require('../lib/news');
+
+// --- Helpers for Image Uploads ---
+const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_UPLOAD_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 10;
+// Every upload is stored as these WebP variants; "large" is the URL written to the document
+const IMAGE_VARIANTS = {
+    large: { width: 1200, height: 1200, fit: sharp.fit.inside, withoutEnlargement: true },
+    medium: { width: 600, height: 600, fit: sharp.fit.inside, withoutEnlargement: true },
+    thumb: { width: 150, height: 150, fit: sharp.fit.cover },
+};
+// Team logos and player photos replace the previous image; news images are appended.
+// storageFiles on the document lists the storage keys to remove when it is deleted.
+// `webhook` names the webhook event sent after an upload and the payload key of the document.
+const IMAGE_UPLOAD_TARGETS = {
+    teams: { field: 'LogoUrl', variantsField: 'logoVariants', label: 'Team', webhook: { event: 'team.updated', key: 'team' } },
+    players: { field: 'imageUrl', variantsField: 'imageVariants', label: 'Player' },
+    news: { field: 'imgUrl', variantsField: 'imgVariants', label: 'News article', multiple: true, revisions: true },
+};
+
+const imageUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_IMAGES_PER_UPLOAD },
+    fileFilter: (req, file, callback) => {
+        if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+            return callback(createHttpError(400, `${file.originalname} is not a JPEG, PNG or WebP image.`));
+        }
+        callback(null, true);
+    },
+});
+
+// Runs multer inside the route so upload errors are reported like any other 400.
+// Files are sent as multipart form data in the "image" field, or "images" for several.
+function receiveImages(req, res, multiple) {
+    const fieldName = multiple ? 'images' : 'image';
+    const middleware = multiple ? imageUpload.array(fieldName, MAX_IMAGES_PER_UPLOAD) : imageUpload.single(fieldName);
+    return new Promise((resolve, reject) => {
+        middleware(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                const messages = {
+                    LIMIT_FILE_SIZE: `Images must be at most ${(MAX_IMAGE_BYTES / (1024 * 1024)).toFixed(1)} MB.`,
+                    LIMIT_FILE_COUNT: `At most ${MAX_IMAGES_PER_UPLOAD} images can be uploaded at once.`,
+                    LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}". Send images in the "${fieldName}" form field.`,
+                };
+                return reject(createHttpError(400, messages[error.code] || error.message));
+            }
+            if (error) {
+                return reject(error);
+            }
+            const files = multiple ? (req.files || []) : [req.file].filter(Boolean);
+            if (!files.length) {
+                return reject(createHttpError(400, `No image uploaded. Send it in the "${fieldName}" form field.`));
+            }
+            resolve(files);
+        });
+    });
+}
+
+// Files are kept per season, so documents carried over into a new season never share files
+// that deleting them there would remove.
+function getStoragePrefix(req) {
+    return req.season ? `seasons/${req.season.id}` : 'league';
+}
+
+// Stores files through `fileStorage` (see lib/storage.js)
+function createImageService({ db, fileStorage, audit, webhooks }) {
+    const { addAuditEntry } = audit;
+    const { emitWebhookEvent } = webhooks;
+
+    // Resizes an uploaded image into IMAGE_VARIANTS and stores each of them.
+    // Returns { urls: { large, medium, thumb }, keys: [storage keys] }.
+    async function storeImageVariants(req, resource, docId, file) {
+        let variants;
+        try {
+            variants = await Promise.all(Object.entries(IMAGE_VARIANTS).map(async ([name, resize]) => (
+                // rotate() applies the EXIF orientation from phone cameras before it is stripped
+                [name, await sharp(file.buffer).rotate().resize(resize).webp({ quality: 80 }).toBuffer()]
+            )));
+        } catch (error) {
+            throw createHttpError(400, `${file.originalname} could not be read as an image.`);
+        }
+        const baseKey = `${getStoragePrefix(req)}/${resource}/${docId}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const urls = {};
+        const keys = [];
+        await Promise.all(variants.map(async ([name, buffer]) => {
+            const key = `${baseKey}-${name}.webp`;
+            keys.push(key);
+            urls[name] = await fileStorage.save(key, buffer, 'image/webp');
+        }));
+        return { urls, keys };
+    }
+
+    // Removes stored files belonging to the current season, so copies carried over from earlier seasons
+    // stay. Failures are only logged, since the document change they follow has already been saved.
+    async function removeStoredFiles(req, keys = []) {
+        const prefix = `${getStoragePrefix(req)}/`;
+        const results = await Promise.allSettled(keys.filter(key => key.startsWith(prefix)).map(key => fileStorage.remove(key)));
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error('Error removing stored file:', result.reason));
+    }
+
+    // For a document with several images (news) whose image URLs are set to `urls`: the update that drops
+    // the uploads no longer listed, and the storage keys of their variants. storeImageVariants keeps each
+    // image's keys together in IMAGE_VARIANTS order, so the nth variants entry owns the nth run of keys.
+    function getDroppedImages(resource, current, urls) {
+        const { variantsField } = IMAGE_UPLOAD_TARGETS[resource];
+        const variantCount = Object.keys(IMAGE_VARIANTS).length;
+        const variants = current[variantsField] || [];
+        const storageFiles = current.storageFiles || [];
+        const imageKeys = index => storageFiles.slice(index * variantCount, (index + 1) * variantCount);
+        const dropped = variants.map(image => !urls.includes(image.large));
+        if (!dropped.includes(true)) {
+            return { update: {}, keys: [] };
+        }
+        return {
+            update: {
+                [variantsField]: variants.filter((image, index) => !dropped[index]),
+                storageFiles: [
+                    ...variants.flatMap((image, index) => (dropped[index] ? [] : imageKeys(index))),
+                    ...storageFiles.slice(variants.length * variantCount),
+                ],
+            },
+            keys: variants.flatMap((image, index) => (dropped[index] ? imageKeys(index) : [])),
+        };
+    }
+
+    // Route handler for POST /teams/:id/logo, /players/:id/photo and /news/:id/images
+    function createImageUploadHandler(resource) {
+        const target = IMAGE_UPLOAD_TARGETS[resource];
+        return async (req, res) => {
+            const stored = [];
+            try {
+                const files = await receiveImages(req, res, target.multiple);
+                const docRef = db.collection(req.collections[resource]).doc(req.params.id);
+                if (!(await docRef.get()).exists) {
+                    throw createHttpError(404, `${target.label} not found.`);
+                }
+                for (const file of files) {
+                    stored.push(await storeImageVariants(req, resource, docRef.id, file));
+                }
+
+                const urls = stored.map(image => image.urls);
+                const keys = stored.flatMap(image => image.keys);
+                const { replacedFiles, document } = await db.runTransaction(async (transaction) => {
+                    const doc = await transaction.get(docRef);
+                    if (!doc.exists) {
+                        throw createHttpError(404, `${target.label} not found.`);
+                    }
+                    const current = doc.data();
+                    const update = target.multiple ? {
+                        [target.field]: [...(current[target.field] || []), ...urls.map(image => image.large)],
+                        [target.variantsField]: [...(current[target.variantsField] || []), ...urls],
+                        storageFiles: [...(current.storageFiles || []), ...keys],
+                    } : {
+                        [target.field]: urls[0].large,
+                        [target.variantsField]: urls[0],
+                        storageFiles: keys,
+                    };
+                    transaction.update(docRef, update);
+                    addAuditEntry(transaction, req, docRef.path, current, { ...current, ...update });
+                    if (target.revisions) {
+                        addNewsRevision(transaction, req, docRef, { ...current, ...update }, 'images');
+                    }
+                    return {
+                        replacedFiles: target.multiple ? [] : (current.storageFiles || []),
+                        document: { ...current, ...update },
+                    };
+                });
+                await removeStoredFiles(req, replacedFiles);
+                if (target.webhook) {
+                    await emitWebhookEvent(target.webhook.event, { [target.webhook.key]: { id: docRef.id, ...document } }, req.season?.id);
+                }
+                res.status(201).json({ message: 'Image uploaded successfully', images: urls });
+            } catch (error) {
+                // Don't leave files behind for an upload that was not saved
+                await removeStoredFiles(req, stored.flatMap(image => image.keys));
+                if (error.status) {
+                    return res.status(error.status).json({ message: error.message, errors: error.errors });
+                }
+                console.error(`Error uploading ${resource} image:`, error);
+                res.status(500).json({ message: 'Error uploading image' });
+            }
+        };
+    }
+
+    return { removeStoredFiles, getDroppedImages, createImageUploadHandler };
+}
+
+module.exports = { createImageService };
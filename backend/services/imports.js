@@ -0,0 +1,74 @@
+// backend/services/imports.js
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { withSearchTokens } = require('../lib/localization');
+const { parseRegistrationDate } = require('../lib/transfers');
+
+// --- Bulk Import ---
+function createImportService({ db, validation }) {
+    const { validateResource } = validation;
+
+    // Validates every row with the same schema as the create/update routes and works out its write.
+    // A row's optional `id` column names the document; in upsert mode rows whose document exists update
+    // only the fields they give. Rows are numbered from 1, the first row after the CSV header.
+    // New players also take a `registeredOn` column, as POST /players does.
+    // Returns { operations: [{ row, id, before, data, registeredOn }], errors: [{ row, id, errors: [{ field, message }] }] },
+    // where registeredOn is only set for new players.
+    async function planImport(req, resource, rows, mode) {
+        const collectionRef = db.collection(req.collections[resource]);
+        const ids = rows.map(row => (row.id === undefined || row.id === null ? '' : String(row.id).trim()));
+        const idErrors = [];
+        const lookupIds = [];
+        ids.forEach((id, index) => {
+            if (!id) {
+                return;
+            }
+            if (id.includes('/') || id === '.' || id === '..') {
+                idErrors[index] = 'id must not contain "/" or be "." or "..".';
+            } else if (lookupIds.includes(id)) {
+                idErrors[index] = 'id appears more than once in this import.';
+            } else {
+                lookupIds.push(id);
+            }
+        });
+
+        const existingDocs = lookupIds.length ? await db.getAll(...lookupIds.map(id => collectionRef.doc(id))) : [];
+        const existing = new Map(existingDocs.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+        const results = await Promise.all(rows.map(async (row, index) => {
+            const id = ids[index];
+            if (idErrors[index]) {
+                return { row: index + 1, id, errors: [{ field: 'id', message: idErrors[index] }] };
+            }
+            const before = existing.get(id) || null;
+            if (before && mode !== 'upsert') {
+                return { row: index + 1, id, errors: [{ field: 'id', message: `${id} already exists; use mode=upsert to update it.` }] };
+            }
+            const { data, errors } = await validateResource(resource, row, { collections: req.collections, partial: Boolean(before), existing: before });
+            const registration = resource === 'players' && !before ? parseRegistrationDate(row.registeredOn) : {};
+            if (registration.error) {
+                errors.push({ field: 'registeredOn', message: registration.error });
+            }
+            if (errors.length) {
+                return { row: index + 1, id, errors };
+            }
+            // As with PUT /players/:id, moves go through the transfer route so they are recorded
+            if (resource === 'players' && before && 'team_id' in data && data.team_id !== before.team_id) {
+                return { row: index + 1, id, errors: [{ field: 'team_id', message: 'Use POST /players/:id/transfer to move a player to another team.' }] };
+            }
+            if (resource === 'matches' && (!before || data.date || data.time)) {
+                const match = { ...(before || {}), ...data };
+                data.kickoffAt = getMyanmarTimestamp(match.date, match.time);
+            }
+            return { row: index + 1, id, before, data: withSearchTokens(resource, before, data), registeredOn: registration.date };
+        }));
+
+        return {
+            operations: results.filter(result => !result.errors),
+            errors: results.filter(result => result.errors),
+        };
+    }
+
+    return { planImport };
+}
+
+module.exports = { createImportService };
@@ -0,0 +1,38 @@
+// backend/services/index.js
+const { createAuditService } = require('./audit');
+const { createImageService } = require('./images');
+const { createImportService } = require('./imports');
+const { createMatchEventService } = require('./match-events');
+const { createMatchService } = require('./matches');
+const { createNewsService } = require('./news');
+const { createPlayerService } = require('./players');
+const { createSeasonService } = require('./seasons');
+const { createStandingsService } = require('./standings');
+const { createStatisticsService } = require('./statistics');
+const { createTeamService } = require('./teams');
+const { createValidationService } = require('./validation');
+const { createWebhookService } = require('./webhooks');
+
+// Builds every service on top of the given Firestore `db`, Firebase `auth` and `fileStorage` (see
+// lib/storage.js). Each service is created from the ones before it, so the order below matters.
+// Routes get the returned object, which also holds the dependencies themselves.
+function createServices({ db, auth, fileStorage }) {
+    /** @type {any} */
+    const services = { db, auth, fileStorage };
+    services.audit = createAuditService(services);
+    services.seasons = createSeasonService(services);
+    services.validation = createValidationService(services);
+    services.standings = createStandingsService(services);
+    services.matchEvents = createMatchEventService(services);
+    services.statistics = createStatisticsService(services);
+    services.webhooks = createWebhookService(services);
+    services.images = createImageService(services);
+    services.imports = createImportService(services);
+    services.teams = createTeamService(services);
+    services.players = createPlayerService(services);
+    services.news = createNewsService(services);
+    services.matches = createMatchService(services);
+    return services;
+}
+
+module.exports = { createServices };
@@ -0,0 +1,131 @@
+// backend/services/match-events.js
+const { createHttpError } = require('../lib/errors');
+const { MATCH_EVENT_TYPES, MAX_EVENT_MINUTE, getEventScoreContribution } = require('../lib/match-events');
+const { getSeasonIdFromPath } = require('../lib/paths');
+const { getMatchStandingsContribution, diffStandingsContributions } = require('../lib/standings');
+const { getTeamAtTime } = require('../lib/transfers');
+
+// --- Match Events ---
+// Events live in an `events` subcollection under each match document.
+function createMatchEventService({ db, standings }) {
+    const { applyStandingsDelta } = standings;
+
+    // Validates a match event and returns the document to store. Player lookups go through the
+    // transaction so they are consistent with the write. Throws a 400 error listing the invalid fields.
+    // Archived players can't be added, but stay on the events they already had (`previousEvent`, on update).
+    async function buildMatchEvent(transaction, collections, match, input, previousEvent = null) {
+        const errors = [];
+        if (!MATCH_EVENT_TYPES.includes(input.type)) {
+            errors.push({ field: 'type', message: `type must be one of: ${MATCH_EVENT_TYPES.join(', ')}.` });
+        }
+        if (!Number.isInteger(input.minute) || input.minute < 0 || input.minute > MAX_EVENT_MINUTE) {
+            errors.push({ field: 'minute', message: `minute must be a whole number between 0 and ${MAX_EVENT_MINUTE}.` });
+        }
+        if (!input.player_id) {
+            errors.push({ field: 'player_id', message: 'player_id is required.' });
+        }
+        if (input.type === 'substitution' && !input.sub_player_id) {
+            errors.push({ field: 'sub_player_id', message: 'sub_player_id (the player coming on) is required for a substitution.' });
+        }
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        // Only goals carry an assist, and only substitutions carry a second player
+        const playerFields = ['player_id'];
+        if (input.type === 'goal' && input.assist_player_id) {
+            playerFields.push('assist_player_id');
+        }
+        if (input.type === 'substitution') {
+            playerFields.push('sub_player_id');
+        }
+        const playerIds = playerFields.map(field => input[field]);
+        if (new Set(playerIds).size !== playerIds.length) {
+            throw createHttpError(400, 'Validation failed.', [{ field: playerFields[playerFields.length - 1], message: 'An event cannot reference the same player twice.' }]);
+        }
+
+        const playerDocs = await transaction.getAll(...playerIds.map(playerId => db.collection(collections.players).doc(playerId)));
+        playerDocs.forEach((playerDoc, index) => {
+            const field = playerFields[index];
+            if (!playerDoc.exists) {
+                errors.push({ field, message: `${field} does not match an existing player.` });
+            } else if (playerDoc.data().archived && previousEvent?.[field] !== playerDoc.id) {
+                errors.push({ field, message: `${field} refers to an archived player.` });
+            }
+        });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+        // Players are checked against their team at kick-off, so events of earlier matches stay
+        // editable after a transfer. Matches without a kickoffAt fall back to the current team.
+        const teamIds = await Promise.all(playerDocs.map(async (playerDoc) => {
+            if (!match.kickoffAt) {
+                return playerDoc.data().team_id;
+            }
+            const transfersSnapshot = await transaction.get(playerDoc.ref.collection('transfers').orderBy('effectiveAt'));
+            return getTeamAtTime(playerDoc.data().team_id, transfersSnapshot.docs.map(doc => doc.data()), match.kickoffAt);
+        }));
+        const teamId = teamIds[0];
+        if (teamId !== match.homeTeamId && teamId !== match.awayTeamId) {
+            throw createHttpError(400, 'Validation failed.', [{ field: 'player_id', message: 'Player does not belong to either team in this match.' }]);
+        }
+        teamIds.slice(1).forEach((playerTeamId, index) => {
+            if (playerTeamId !== teamId) {
+                errors.push({ field: playerFields[index + 1], message: `${playerFields[index + 1]} must belong to the same team as player_id.` });
+            }
+        });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+        const assistPlayerId = playerFields.includes('assist_player_id') ? input.assist_player_id : null;
+        const subPlayerId = playerFields.includes('sub_player_id') ? input.sub_player_id : null;
+
+        const event = {
+            type: input.type,
+            minute: input.minute,
+            player_id: input.player_id,
+            team_id: teamId, // Team at kick-off, in case the player moves club later
+            seasonId: getSeasonIdFromPath(collections.matches), // Scopes the collection group queries in services/statistics.js
+        };
+        if (input.type === 'goal') {
+            event.assist_player_id = assistPlayerId;
+        }
+        if (input.type === 'substitution') {
+            event.sub_player_id = subPlayerId;
+        }
+        return event;
+    }
+
+    // Writes a match event change (nextEvent = null deletes it) and moves the match score by the
+    // difference in goals, so homeScore/awayScore stay consistent with the recorded goals.
+    // Finished matches also get their standings adjusted. Must run after all transaction reads.
+    // Returns the match as it is after the change.
+    async function commitMatchEventChange(transaction, collections, matchRef, match, eventRef, previousEvent, nextEvent) {
+        const before = getEventScoreContribution(previousEvent, match);
+        const after = getEventScoreContribution(nextEvent, match);
+        const score = {
+            homeScore: Math.max(0, (Number(match.homeScore) || 0) + after.homeScore - before.homeScore),
+            awayScore: Math.max(0, (Number(match.awayScore) || 0) + after.awayScore - before.awayScore),
+        };
+
+        const delta = diffStandingsContributions(
+            getMatchStandingsContribution(match),
+            getMatchStandingsContribution({ ...match, ...score })
+        );
+        await applyStandingsDelta(transaction, collections, delta);
+
+        if (nextEvent) {
+            transaction.set(eventRef, nextEvent);
+        } else {
+            transaction.delete(eventRef);
+        }
+        if (score.homeScore !== match.homeScore || score.awayScore !== match.awayScore) {
+            transaction.update(matchRef, score);
+        }
+        return { ...match, ...score };
+    }
+
+    return { buildMatchEvent, commitMatchEventChange };
+}
+
+module.exports = { createMatchEventService };
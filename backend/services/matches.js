@@ -0,0 +1,173 @@
+// backend/services/matches.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('../lib/errors');
+const { formatDateToDDMMYYYY, getMyanmarTimestamp, parseDDMMYYYYToDate } = require('../lib/dates');
+const { generateDailySequentialId } = require('../lib/firestore');
+const { localizePage } = require('../lib/localization');
+const { isLiveStatusTransition } = require('../lib/live');
+const { paginateQuery } = require('../lib/pagination');
+const { hasPermission } = require('../lib/permissions');
+const { SCHEMAS, isValidFormat } = require('../lib/schemas');
+const { getMatchStandingsContribution, diffStandingsContributions } = require('../lib/standings');
+
+// --- Matches ---
+// `req` is the request the change is made for, as in services/teams.js. Match writes keep the team
+// standings in step (see services/standings.js) within the same transaction.
+function createMatchService({ db, audit, validation, standings, statistics, webhooks }) {
+    const { addAuditEntry } = audit;
+    const { validateResource } = validation;
+    const { applyStandingsDelta } = standings;
+    const { updateSuspensionsForEventChange } = statistics;
+    const { emitMatchWebhookEvents } = webhooks;
+
+    // Filters: status, teamId (either side) and from/to (inclusive DD-MM-YYYY days in Myanmar time),
+    // all optional. Dates are filtered on kickoffAt, which listQuery must sort by first.
+    async function listMatches(collections, { status, teamId, from, to }, listQuery, lang) {
+        const matchesRef = db.collection(collections.matches);
+        let query = matchesRef;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        if (teamId) {
+            query = query.where(admin.firestore.Filter.or(
+                admin.firestore.Filter.where('homeTeamId', '==', teamId),
+                admin.firestore.Filter.where('awayTeamId', '==', teamId)
+            ));
+        }
+        if ([from, to].some(date => date && !isValidFormat('date', date))) {
+            throw createHttpError(400, 'from and to must be in "DD-MM-YYYY" format.');
+        }
+        if ((from || to) && listQuery.sort[0].field !== 'kickoffAt') {
+            // Firestore needs the first sort to be on the field a range filter uses
+            throw createHttpError(400, 'Results filtered by from/to must be sorted by date first.');
+        }
+        if (from) {
+            query = query.where('kickoffAt', '>=', getMyanmarTimestamp(from));
+        }
+        if (to) {
+            const dayAfter = parseDDMMYYYYToDate(to);
+            dayAfter.setDate(dayAfter.getDate() + 1);
+            query = query.where('kickoffAt', '<', getMyanmarTimestamp(formatDateToDDMMYYYY(dayAfter)));
+        }
+        return localizePage('matches', await paginateQuery(matchesRef, query, listQuery), lang);
+    }
+
+    // The date is given as DD-MM-YYYY and the time as HH:MM (Myanmar time). Both are stored as strings,
+    // together with kickoffAt, the Timestamp used for ordering and date ranges. Returns the new
+    // match's ID, DDMMYYYY-NN for its date.
+    async function createMatch(req, body) {
+        const { data, errors } = await validateResource('matches', body, { collections: req.collections });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        const newMatchId = await generateDailySequentialId(db.collection(req.collections.matches), 'match', data.date);
+        const newMatchData = {
+            ...data,
+            kickoffAt: getMyanmarTimestamp(data.date, data.time),
+            matchId: newMatchId, // Store the generated ID
+        };
+
+        const matchRef = db.collection(req.collections.matches).doc(newMatchId);
+        await db.runTransaction(async (transaction) => {
+            // Prevent overwrite: check if matchId already exists
+            const existing = await transaction.get(matchRef);
+            if (existing.exists) {
+                throw createHttpError(409, 'A match with this ID already exists for this date.');
+            }
+            // A match entered as already finished counts towards the table straight away
+            await applyStandingsDelta(transaction, req.collections, getMatchStandingsContribution(newMatchData));
+            transaction.set(matchRef, newMatchData);
+            addAuditEntry(transaction, req, matchRef.path, null, newMatchData);
+        });
+        await emitMatchWebhookEvents(req, newMatchId, null, newMatchData);
+        return newMatchId;
+    }
+
+    // Partial update. Users without matches:write (match officials) may only change the score and status.
+    // Status moves follow the live console (upcoming -> ongoing -> finished); others need `force`,
+    // and forced changes are flagged in the audit log.
+    async function updateMatch(req, matchId, body, { force = false } = {}) {
+        const { data: updatedData, errors } = await validateResource('matches', body, { collections: req.collections, partial: true });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        if (!hasPermission(req.user, 'matches:write')) {
+            const scoreFields = ['homeScore', 'awayScore', 'status'];
+            if (Object.keys(updatedData).some(key => !scoreFields.includes(key))) {
+                throw createHttpError(403, 'Forbidden: You can only update the score and status of a match.');
+            }
+        }
+
+        const matchRef = db.collection(req.collections.matches).doc(matchId);
+        const { previousMatch, match } = await db.runTransaction(async (transaction) => {
+            const matchDoc = await transaction.get(matchRef);
+            if (!matchDoc.exists) {
+                throw createHttpError(404, 'Match not found.');
+            }
+            const previousMatch = matchDoc.data();
+            // Cross-field rules (e.g. home team != away team) need the stored match as well
+            const crossFieldErrors = SCHEMAS.matches.checks
+                .map(check => check({ ...previousMatch, ...updatedData }))
+                .filter(Boolean);
+            if (crossFieldErrors.length) {
+                throw createHttpError(400, 'Validation failed.', crossFieldErrors);
+            }
+            const { status } = updatedData;
+            if (status && status !== previousMatch.status && !isLiveStatusTransition(previousMatch.status, status) && !force) {
+                throw createHttpError(409, `The match is ${previousMatch.status}, so it cannot become ${status}. Use force=true to override.`);
+            }
+            if (updatedData.date || updatedData.time) {
+                const rescheduled = { ...previousMatch, ...updatedData };
+                updatedData.kickoffAt = getMyanmarTimestamp(rescheduled.date, rescheduled.time);
+            }
+            // Swap the match's old table contribution for its new one. This covers a match
+            // becoming finished, a finished score being corrected, and a match being un-finished.
+            const delta = diffStandingsContributions(
+                getMatchStandingsContribution(previousMatch),
+                getMatchStandingsContribution({ ...previousMatch, ...updatedData })
+            );
+            await applyStandingsDelta(transaction, req.collections, delta);
+            transaction.update(matchRef, updatedData);
+            addAuditEntry(transaction, req, matchRef.path, previousMatch, { ...previousMatch, ...updatedData }, force ? { forced: true } : {});
+            return { previousMatch, match: { ...previousMatch, ...updatedData } };
+        });
+        await emitMatchWebhookEvents(req, matchId, previousMatch, match);
+        return match;
+    }
+
+    // Deletes the match and its events, taking a finished match back out of the table first
+    async function deleteMatch(req, matchId) {
+        const matchRef = db.collection(req.collections.matches).doc(matchId);
+        const deletedEvents = await db.runTransaction(async (transaction) => {
+            const matchDoc = await transaction.get(matchRef);
+            const eventsSnapshot = await transaction.get(matchRef.collection('events'));
+            if (matchDoc.exists) {
+                const delta = diffStandingsContributions(getMatchStandingsContribution(matchDoc.data()), {});
+                await applyStandingsDelta(transaction, req.collections, delta);
+                addAuditEntry(transaction, req, matchRef.path, matchDoc.data(), null);
+            }
+            // Firestore does not remove subcollections with their parent document
+            eventsSnapshot.docs.forEach(eventDoc => {
+                transaction.delete(eventDoc.ref);
+                addAuditEntry(transaction, req, eventDoc.ref.path, eventDoc.data(), null);
+            });
+            transaction.delete(matchRef);
+            return eventsSnapshot.docs.map(eventDoc => eventDoc.data());
+        });
+        // Yellow cards from the match no longer count towards suspensions
+        for (const event of deletedEvents) {
+            await updateSuspensionsForEventChange(req.collections, event, null);
+        }
+    }
+
+    return {
+        list: listMatches,
+        create: createMatch,
+        update: updateMatch,
+        delete: deleteMatch,
+    };
+}
+
+module.exports = { createMatchService };
@@ -0,0 +1,185 @@
+// backend/services/news.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('../lib/errors');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { localizeDocument, localizePage, withSearchTokens } = require('../lib/localization');
+const { NEWS_CONTENT_FIELDS, prepareNewsWrite, addNewsRevision } = require('../lib/news');
+const { paginateQuery } = require('../lib/pagination');
+const { LEAGUE_BASE_PATH, getSeasonIdFromPath } = require('../lib/paths');
+
+// --- News ---
+// `req` is the request the change is made for, as in services/teams.js. Every write to an article
+// also stores a revision (see addNewsRevision).
+function createNewsService({ db, audit, validation, images, webhooks }) {
+    const { addAuditEntry, deleteDocumentWithAudit } = audit;
+    const { validateResource } = validation;
+    const { removeStoredFiles, getDroppedImages } = images;
+    const { emitWebhookEvent } = webhooks;
+
+    // Filters: status and tag, both optional
+    async function listNews(collections, { status, tag }, listQuery, lang) {
+        const newsRef = db.collection(collections.news);
+        let query = newsRef;
+        if (status) {
+            query = query.where('status', '==', status);
+        }
+        if (tag) {
+            query = query.where('tags', 'array-contains', tag);
+        }
+        return localizePage('news', await paginateQuery(newsRef, query, listQuery), lang);
+    }
+
+    // Published articles only, without their storage keys, for the public site
+    async function listPublishedNews(collections, { tag }, listQuery, lang) {
+        const newsRef = db.collection(collections.news);
+        let query = newsRef.where('status', '==', 'published');
+        if (tag) {
+            query = query.where('tags', 'array-contains', tag);
+        }
+        const page = await paginateQuery(newsRef, query, listQuery);
+        return { ...page, items: page.items.map(({ storageFiles, ...article }) => localizeDocument('news', article, lang)) };
+    }
+
+    // Returns the new article's ID, DDMMYYYY-NN for the day it was created
+    async function createNews(req, body) {
+        const { data, errors } = await validateResource('news', body, { collections: req.collections });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+        const newNewsData = withSearchTokens('news', null, prepareNewsWrite(null, data)); // Stamps the current time as `date`
+
+        // `date` holds a Timestamp on news, so the day's IDs can't be counted by date like matches;
+        // the next free one is looked up instead, and create() refuses to overwrite a concurrent one
+        const dateForId = new Date().toLocaleDateString('en-GB').replace(/\//g, ''); // "DDMMYYYY"
+        let newsRef;
+        for (let sequence = 1; !newsRef || (await newsRef.get()).exists; sequence += 1) {
+            newsRef = db.collection(req.collections.news).doc(`${dateForId}-${String(sequence).padStart(2, '0')}`);
+        }
+        const newNewsId = newsRef.id;
+        const batch = db.batch();
+        batch.create(newsRef, newNewsData);
+        addAuditEntry(batch, req, newsRef.path, null, newNewsData);
+        addNewsRevision(batch, req, newsRef, newNewsData, 'create');
+        await batch.commit();
+        if (newNewsData.status === 'published') {
+            await emitWebhookEvent('news.published', { article: { id: newNewsId, ...newNewsData } }, req.season?.id);
+        }
+        return newNewsId;
+    }
+
+    // Partial update, validated against the stored article so e.g. scheduling checks see its publishAt.
+    // Uploaded images left out of a new imgUrl are removed along with their variants.
+    async function updateNews(req, newsId, body) {
+        const newsRef = db.collection(req.collections.news).doc(newsId);
+        const { previous, article, droppedFiles } = await db.runTransaction(async (transaction) => {
+            const newsDoc = await transaction.get(newsRef);
+            if (!newsDoc.exists) {
+                throw createHttpError(404, 'News article not found.');
+            }
+            const previous = newsDoc.data();
+            const { data, errors } = await validateResource('news', body, { collections: req.collections, partial: true, existing: previous });
+            if (errors.length) {
+                throw createHttpError(400, 'Validation failed.', errors);
+            }
+            const dropped = 'imgUrl' in data ? getDroppedImages('news', previous, data.imgUrl) : { update: {}, keys: [] };
+            const updatedData = { ...withSearchTokens('news', previous, prepareNewsWrite(previous, data)), ...dropped.update };
+            transaction.update(newsRef, updatedData);
+            addAuditEntry(transaction, req, newsRef.path, previous, { ...previous, ...updatedData });
+            addNewsRevision(transaction, req, newsRef, { ...previous, ...updatedData }, 'update');
+            return { previous, article: { ...previous, ...updatedData }, droppedFiles: dropped.keys };
+        });
+        await removeStoredFiles(req, droppedFiles);
+        if (article.status === 'published' && (previous.status || 'published') !== 'published') {
+            await emitWebhookEvent('news.published', { article: { id: newsId, ...article } }, req.season?.id);
+        }
+        return article;
+    }
+
+    async function deleteNews(req, newsId) {
+        const newsRef = db.collection(req.collections.news).doc(newsId);
+        const deleted = await deleteDocumentWithAudit(req, newsRef);
+        const revisionsSnapshot = await newsRef.collection('revisions').get();
+        await commitWritesInBatches(db, revisionsSnapshot.docs.map(doc => batch => batch.delete(doc.ref)));
+        await removeStoredFiles(req, deleted?.storageFiles);
+    }
+
+    async function listRevisions(collections, newsId, listQuery) {
+        const newsRef = db.collection(collections.news).doc(newsId);
+        if (!(await newsRef.get()).exists) {
+            throw createHttpError(404, 'News article not found.');
+        }
+        const revisionsRef = newsRef.collection('revisions');
+        return paginateQuery(revisionsRef, revisionsRef, listQuery);
+    }
+
+    // Puts back the title, body, tags and images of a revision. The publishing status is left alone,
+    // so restoring never publishes or unpublishes an article. Uploads removed by a later update have
+    // lost their files, so re-upload them if the restored imgUrl still lists them.
+    async function restoreRevision(req, newsId, revisionId) {
+        const newsRef = db.collection(req.collections.news).doc(newsId);
+        const revisionRef = newsRef.collection('revisions').doc(revisionId);
+        await db.runTransaction(async (transaction) => {
+            const [newsDoc, revisionDoc] = await transaction.getAll(newsRef, revisionRef);
+            if (!newsDoc.exists) {
+                throw createHttpError(404, 'News article not found.');
+            }
+            if (!revisionDoc.exists) {
+                throw createHttpError(404, 'Revision not found.');
+            }
+            const previous = newsDoc.data();
+            const revision = revisionDoc.data();
+            const restored = withSearchTokens('news', previous, Object.fromEntries(NEWS_CONTENT_FIELDS
+                .filter(field => revision[field] !== undefined)
+                .map(field => [field, revision[field]])));
+            transaction.update(newsRef, restored);
+            addAuditEntry(transaction, req, newsRef.path, previous, { ...previous, ...restored });
+            addNewsRevision(transaction, req, newsRef, { ...previous, ...restored }, 'restore');
+        });
+    }
+
+    // Publishes every scheduled article (in any season) whose publishAt has passed, attributing the
+    // change to `actor`. Returns the paths of the published articles. Needs a collection group index
+    // on news (status, publishAt).
+    async function publishScheduledNews(actor) {
+        const now = admin.firestore.Timestamp.now();
+        const snapshot = await db.collectionGroup('news')
+            .where('status', '==', 'scheduled')
+            .where('publishAt', '<=', now)
+            .get();
+        const published = [];
+        for (const doc of snapshot.docs.filter(doc => doc.ref.path.startsWith(`${LEAGUE_BASE_PATH}/`))) {
+            // Checked again inside the transaction in case an editor changed the article meanwhile
+            const publishedArticle = await db.runTransaction(async (transaction) => {
+                const current = await transaction.get(doc.ref);
+                const article = current.data();
+                if (!current.exists || article.status !== 'scheduled' || article.publishAt.toMillis() > now.toMillis()) {
+                    return null;
+                }
+                // The article is dated at its scheduled time, not whenever the cron happened to run
+                const update = { status: 'published', date: article.publishAt };
+                transaction.update(doc.ref, update);
+                addAuditEntry(transaction, actor, doc.ref.path, article, { ...article, ...update }, { seasonId: getSeasonIdFromPath(doc.ref.path) });
+                addNewsRevision(transaction, actor, doc.ref, { ...article, ...update }, 'publish');
+                return { ...article, ...update };
+            });
+            if (publishedArticle) {
+                published.push(doc.ref.path);
+                await emitWebhookEvent('news.published', { article: { id: doc.id, ...publishedArticle } }, getSeasonIdFromPath(doc.ref.path));
+            }
+        }
+        return published;
+    }
+
+    return {
+        list: listNews,
+        listPublished: listPublishedNews,
+        create: createNews,
+        update: updateNews,
+        delete: deleteNews,
+        listRevisions,
+        restoreRevision,
+        publishScheduled: publishScheduledNews,
+    };
+}
+
+module.exports = { createNewsService };
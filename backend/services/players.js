@@ -0,0 +1,218 @@
+// backend/services/players.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('../lib/errors');
+const { formatMyanmarDate, getMyanmarTimestamp } = require('../lib/dates');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { localizePage, withSearchTokens } = require('../lib/localization');
+const { paginateQuery } = require('../lib/pagination');
+const { getSeasonIdFromPath } = require('../lib/paths');
+const { isInTransferWindow, parseRegistrationDate, buildRegistration } = require('../lib/transfers');
+
+// --- Players ---
+// `req` is the request the change is made for, as in services/teams.js.
+function createPlayerService({ db, audit, validation, images, statistics }) {
+    const { addAuditEntry, updateDocumentWithAudit, deleteDocumentWithAudit } = audit;
+    const { validateResource } = validation;
+    const { removeStoredFiles } = images;
+    const { fetchLeagueMatchEvents } = statistics;
+
+    // Filters: teamId and position, both optional. Archived players are listed only when asked for with `archived`
+    async function listPlayers(collections, { teamId, position, archived }, listQuery, lang) {
+        const playersRef = db.collection(collections.players);
+        let query = playersRef.where('archived', '==', archived);
+        if (teamId) {
+            query = query.where('team_id', '==', teamId);
+        }
+        if (position) {
+            query = query.where('position', '==', position);
+        }
+        return localizePage('players', await paginateQuery(playersRef, query, listQuery), lang);
+    }
+
+    // Returns the new player's ID, which Firestore generates. The player's transfer history starts with
+    // a registration on `registeredOn` (see buildRegistration).
+    async function createPlayer(req, body) {
+        const { data: newPlayerData, errors } = await validateResource('players', body, { collections: req.collections });
+        const registration = parseRegistrationDate(body.registeredOn);
+        if (registration.error) {
+            errors.push({ field: 'registeredOn', message: registration.error });
+        }
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        const playerRef = db.collection(req.collections.players).doc();
+        const player = withSearchTokens('players', null, newPlayerData);
+        const registrationRef = playerRef.collection('transfers').doc();
+        const record = buildRegistration(req, player, registration.date);
+        const batch = db.batch();
+        batch.set(playerRef, player);
+        batch.set(registrationRef, record);
+        addAuditEntry(batch, req, playerRef.path, null, player);
+        addAuditEntry(batch, req, registrationRef.path, null, record);
+        await batch.commit();
+        return playerRef.id;
+    }
+
+    async function updatePlayer(req, playerId, body) {
+        const { data: updatedData, errors } = await validateResource('players', body, { collections: req.collections, partial: true });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        const playerRef = db.collection(req.collections.players).doc(playerId);
+        return updateDocumentWithAudit(req, playerRef, previous => withSearchTokens('players', previous, updatedData), 'Player not found.', (player) => {
+            // Moving a player goes through the transfer route so that it is recorded in their history
+            if ('team_id' in updatedData && updatedData.team_id !== player.team_id) {
+                throw createHttpError(400, 'Use POST /players/:id/transfer to move a player to another team.');
+            }
+        });
+    }
+
+    // What deleting a player would lose, or null if nothing: the match events that reference them, and
+    // the transfers (including the registration) that put them in a squad before today, which
+    // GET /teams/:id/squad needs. Events are found with collection group queries, so this runs
+    // outside any transaction.
+    async function findPlayerDependents(collections, playerId) {
+        const [eventLists, transfersSnapshot] = await Promise.all([
+            Promise.all(['player_id', 'assist_player_id', 'sub_player_id'].map(field => (
+                fetchLeagueMatchEvents(collections, field, playerId)
+            ))),
+            db.collection(collections.players).doc(playerId).collection('transfers')
+                .where('effectiveAt', '<', getMyanmarTimestamp(formatMyanmarDate(new Date())))
+                .get(),
+        ]);
+        const events = [...new Map(eventLists.flat().map(event => [`${event.matchId}/${event.id}`, event])).values()];
+        const dependents = {};
+        if (events.length) {
+            dependents.events = events.map(({ id, matchId, type, minute }) => ({ id, matchId, type, minute }));
+        }
+        if (transfersSnapshot.size) {
+            dependents.transfers = transfersSnapshot.docs.map(doc => ({ id: doc.id, type: doc.data().type, date: doc.data().date }));
+        }
+        return Object.keys(dependents).length ? dependents : null;
+    }
+
+    // Deletes or archives a player; see parseDeleteOptions. A player who appears in match events or in
+    // an earlier squad can only be archived. Returns { dependents } when that is the case.
+    async function deletePlayer(req, playerId, { cascade, archive }) {
+        if (cascade === 'detach') {
+            throw createHttpError(400, 'Match events cannot be detached from a player; use archive=true to keep them readable.');
+        }
+        const playerRef = db.collection(req.collections.players).doc(playerId);
+
+        if (archive) {
+            await updateDocumentWithAudit(req, playerRef, { archived: true, archivedAt: admin.firestore.Timestamp.now() }, 'Player not found.');
+            return {};
+        }
+
+        const dependents = await findPlayerDependents(req.collections, playerId);
+        if (dependents) {
+            return { dependents };
+        }
+
+        const deleted = await deleteDocumentWithAudit(req, playerRef);
+        const transfersSnapshot = await playerRef.collection('transfers').get();
+        await commitWritesInBatches(db, transfersSnapshot.docs.map(doc => batch => batch.delete(doc.ref)));
+        await removeStoredFiles(req, deleted?.storageFiles);
+        return {};
+    }
+
+    // Moves a player to toTeamId, or releases them as a free agent (type "release"), and records the
+    // move in their transfer history. Returns the transfer's ID. A transfer outside the season's
+    // transfer windows is refused with a 409 error that also carries `transferWindows`.
+    async function recordTransfer(req, playerId, body) {
+        const input = { date: formatMyanmarDate(new Date()), ...body };
+        const { data: transfer, errors } = await validateResource('transfers', input, { collections: req.collections });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+        const effectiveAt = getMyanmarTimestamp(transfer.date);
+        if (effectiveAt.toMillis() > Date.now()) {
+            throw createHttpError(400, 'Validation failed.', [{ field: 'date', message: 'date must not be in the future.' }]);
+        }
+        if (transfer.type !== 'release' && !isInTransferWindow(req.season, transfer.date)) {
+            throw Object.assign(createHttpError(409, `${transfer.date} is outside the season's transfer windows.`), {
+                transferWindows: req.season.transferWindows,
+            });
+        }
+
+        const playerRef = db.collection(req.collections.players).doc(playerId);
+        const transferRef = playerRef.collection('transfers').doc();
+        const toTeamId = transfer.toTeamId || null;
+        await db.runTransaction(async (transaction) => {
+            const playerDoc = await transaction.get(playerRef);
+            if (!playerDoc.exists) {
+                throw createHttpError(404, 'Player not found.');
+            }
+            const player = playerDoc.data();
+            if (player.archived) {
+                throw createHttpError(400, 'Archived players cannot be transferred.');
+            }
+            const fromTeamId = player.team_id || null;
+            if (fromTeamId === toTeamId) {
+                throw createHttpError(400, toTeamId ? 'The player is already registered with this team.' : 'The player is already a free agent.');
+            }
+            const number = transfer.number ?? player.number ?? 0;
+            const [latestSnapshot, numberSnapshot] = await Promise.all([
+                transaction.get(playerRef.collection('transfers').orderBy('effectiveAt', 'desc').limit(1)),
+                toTeamId && number
+                    ? transaction.get(db.collection(req.collections.players).where('team_id', '==', toTeamId).where('number', '==', number))
+                    : null,
+            ]);
+            const latest = latestSnapshot.docs[0]?.data();
+            if (latest && latest.effectiveAt.toMillis() > effectiveAt.toMillis()) {
+                throw createHttpError(400, `The player's last transfer was on ${latest.date}; transfers must be recorded in order.`);
+            }
+            const numberTakenBy = numberSnapshot?.docs.find(doc => doc.id !== playerRef.id);
+            if (numberTakenBy) {
+                throw createHttpError(409, `Shirt number ${number} is already worn by ${numberTakenBy.data().name} at the destination team.`);
+            }
+
+            const record = {
+                fromTeamId,
+                toTeamId,
+                date: transfer.date,
+                effectiveAt,
+                type: transfer.type,
+                fee: transfer.fee,
+                loanEndDate: transfer.loanEndDate,
+                number: toTeamId ? number : null,
+                recordedAt: admin.firestore.Timestamp.now(),
+                recordedBy: req.user.uid,
+                seasonId: getSeasonIdFromPath(req.collections.players), // Scopes the collection group queries in services/teams.js
+            };
+            const playerUpdate = toTeamId ? { team_id: toTeamId, number } : { team_id: null };
+            transaction.set(transferRef, record);
+            transaction.update(playerRef, playerUpdate);
+            addAuditEntry(transaction, req, transferRef.path, null, record);
+            addAuditEntry(transaction, req, playerRef.path, player, { ...player, ...playerUpdate });
+        });
+        return transferRef.id;
+    }
+
+    // A player's transfer history, most recent first
+    async function listTransfers(collections, playerId) {
+        const playerRef = db.collection(collections.players).doc(playerId);
+        const [playerDoc, snapshot] = await Promise.all([
+            playerRef.get(),
+            playerRef.collection('transfers').orderBy('effectiveAt', 'desc').get(),
+        ]);
+        if (!playerDoc.exists) {
+            throw createHttpError(404, 'Player not found.');
+        }
+        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+    }
+
+    return {
+        list: listPlayers,
+        create: createPlayer,
+        update: updatePlayer,
+        delete: deletePlayer,
+        findDependents: findPlayerDependents,
+        recordTransfer,
+        listTransfers,
+    };
+}
+
+module.exports = { createPlayerService };
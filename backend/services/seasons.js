@@ -0,0 +1,62 @@
+// backend/services/seasons.js
+const { SEASONS_COLLECTION, SEASON_ID_PATTERN, LEGACY_SEASON_ID, getLeagueCollections } = require('../lib/paths');
+
+function createSeasonService({ db }) {
+    async function getActiveSeason() {
+        const snapshot = await db.collection(SEASONS_COLLECTION).where('status', '==', 'active').limit(1).get();
+        return snapshot.empty ? null : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    }
+
+    // --- Season Resolution Middleware ---
+    // Every route works on one season: `?season=<id>` picks it explicitly (e.g. to look at past tables
+    // and results), otherwise the active season is used; a malformed ID is a 400 and an unknown one a 404.
+    // `?season=legacy` picks the data from before seasons existed, which is read-only once a season is active.
+    // Sets req.season (null for the pre-season data) and req.collections with the Firestore paths to use.
+    // Public routes registered before the auth middleware use it directly.
+    async function resolveSeason(req, res, next) {
+        if (req.method === 'OPTIONS') {
+            return next();
+        }
+
+        try {
+            let season;
+            if (req.query.season) {
+                const seasonId = String(req.query.season);
+                if (!SEASON_ID_PATTERN.test(seasonId)) {
+                    return res.status(400).json({ message: 'Season ID may only contain lowercase letters, numbers and dashes.' });
+                }
+                if (seasonId === LEGACY_SEASON_ID) {
+                    if (req.method !== 'GET' && await getActiveSeason()) {
+                        return res.status(409).json({ message: 'The data from before seasons existed is read-only once a season is active.' });
+                    }
+                    req.season = null;
+                    req.collections = getLeagueCollections(null);
+                    return next();
+                }
+                const seasonDoc = await db.collection(SEASONS_COLLECTION).doc(seasonId).get();
+                if (!seasonDoc.exists) {
+                    return res.status(404).json({ message: 'Season not found.' });
+                }
+                season = { id: seasonDoc.id, ...seasonDoc.data() };
+            } else {
+                season = await getActiveSeason();
+            }
+
+            // Archived seasons stay queryable but are read-only
+            if (season?.status === 'archived' && req.method !== 'GET') {
+                return res.status(409).json({ message: 'This season is archived and can no longer be modified.' });
+            }
+
+            req.season = season;
+            req.collections = getLeagueCollections(season?.id);
+            next();
+        } catch (error) {
+            console.error('Error resolving season:', error);
+            res.status(500).json({ message: 'Error resolving season' });
+        }
+    }
+
+    return { getActiveSeason, resolveSeason };
+}
+
+module.exports = { createSeasonService };
@@ -0,0 +1,67 @@
+// backend/services/standings.js
+const admin = require('firebase-admin');
+const { commitWritesInBatches } = require('../lib/firestore');
+const { STANDINGS_FIELDS, getMatchStandingsContribution } = require('../lib/standings');
+
+// --- League Table (Standings) ---
+function createStandingsService({ db, audit }) {
+    const { addAuditEntry } = audit;
+
+    // Applies a standings delta to the team documents inside a Firestore transaction.
+    // Reads all teams first, since a transaction cannot read after it has written.
+    async function applyStandingsDelta(transaction, collections, delta) {
+        const teamIds = Object.keys(delta);
+        if (!teamIds.length) {
+            return;
+        }
+        const teamRefs = teamIds.map(teamId => db.collection(collections.teams).doc(teamId));
+        const teamDocs = await transaction.getAll(...teamRefs);
+        teamDocs.forEach((teamDoc, index) => {
+            if (!teamDoc.exists) {
+                // Nothing to update for a team that has since been deleted
+                console.warn(`Skipping standings update for missing team ${teamIds[index]}`);
+                return;
+            }
+            const increments = {};
+            Object.entries(delta[teamIds[index]]).forEach(([field, change]) => {
+                increments[field] = admin.firestore.FieldValue.increment(change);
+            });
+            transaction.update(teamRefs[index], increments);
+        });
+    }
+
+    // Recomputes every team's table fields from scratch using the finished matches.
+    // Returns the number of teams and matches that were counted.
+    async function rebuildStandings(req) {
+        const [teamsSnapshot, matchesSnapshot] = await Promise.all([
+            db.collection(req.collections.teams).get(),
+            db.collection(req.collections.matches).where('status', '==', 'finished').get(),
+        ]);
+
+        const totals = {};
+        teamsSnapshot.docs.forEach(doc => {
+            totals[doc.id] = Object.fromEntries(STANDINGS_FIELDS.map(field => [field, 0]));
+        });
+        matchesSnapshot.docs.forEach(doc => {
+            const contribution = getMatchStandingsContribution(doc.data());
+            Object.entries(contribution).forEach(([teamId, line]) => {
+                if (!totals[teamId]) {
+                    return; // Match references a team that no longer exists
+                }
+                STANDINGS_FIELDS.forEach(field => {
+                    totals[teamId][field] += line[field];
+                });
+            });
+        });
+
+        await commitWritesInBatches(db, teamsSnapshot.docs.flatMap(doc => [
+            batch => batch.update(doc.ref, totals[doc.id]),
+            batch => addAuditEntry(batch, req, doc.ref.path, doc.data(), { ...doc.data(), ...totals[doc.id] }),
+        ]));
+        return { teams: teamsSnapshot.size, matches: matchesSnapshot.size };
+    }
+
+    return { applyStandingsDelta, rebuildStandings };
+}
+
+module.exports = { createStandingsService };
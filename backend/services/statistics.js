@@ -0,0 +1,79 @@
+// backend/services/statistics.js
+const { getSeasonIdFromPath } = require('../lib/paths');
+const { YELLOW_CARD_SUSPENSION_THRESHOLD } = require('../lib/statistics');
+
+// --- Player Statistics ---
+function createStatisticsService({ db }) {
+    // Reads match events across all matches with a collection group query, optionally filtered on one field.
+    // Every season has its own `events` subcollections, so the query is limited to the season's events by
+    // their seasonId (null before seasons existed); the path check leaves out other apps' `events`.
+    async function fetchLeagueMatchEvents(collections, field, value) {
+        let query = db.collectionGroup('events').where('seasonId', '==', getSeasonIdFromPath(collections.matches));
+        if (field) {
+            query = Array.isArray(value) ? query.where(field, 'in', value) : query.where(field, '==', value);
+        }
+        const snapshot = await query.get();
+        return snapshot.docs
+            .filter(doc => doc.ref.path.startsWith(`${collections.matches}/`))
+            .map(doc => ({ id: doc.id, matchId: doc.ref.parent.parent.id, ...doc.data() }));
+    }
+
+    // Flags a player as suspended each time their yellow card total crosses another multiple of the
+    // threshold. `yellow_suspensions` remembers how many bans were issued, so clearing the flag by hand
+    // does not re-trigger it until the next threshold is reached. When yellows are deleted or changed
+    // and the total drops below the last threshold, that ban is withdrawn and the flag cleared.
+    async function updateYellowCardSuspension(collections, playerId) {
+        const events = await fetchLeagueMatchEvents(collections, 'player_id', playerId);
+        const yellows = events.filter(event => event.type === 'yellow').length;
+        const suspensionsDue = Math.floor(yellows / YELLOW_CARD_SUSPENSION_THRESHOLD);
+
+        const playerRef = db.collection(collections.players).doc(playerId);
+        const playerDoc = await playerRef.get();
+        const suspensionsIssued = playerDoc.exists ? playerDoc.data().yellow_suspensions || 0 : suspensionsDue;
+        if (suspensionsDue > suspensionsIssued) {
+            await playerRef.update({ suspended: true, yellow_suspensions: suspensionsDue });
+        } else if (suspensionsDue < suspensionsIssued) {
+            await playerRef.update({ suspended: false, yellow_suspensions: suspensionsDue });
+        }
+    }
+
+    // Re-checks the suspensions of the players whose yellow cards an event write added, removed or
+    // moved. Either event may be null (a create or a delete).
+    async function updateSuspensionsForEventChange(collections, previousEvent, nextEvent) {
+        const playerIds = [previousEvent, nextEvent]
+            .filter(event => event?.type === 'yellow')
+            .map(event => event.player_id);
+        for (const playerId of new Set(playerIds)) {
+            await updateYellowCardSuspension(collections, playerId);
+        }
+    }
+
+    // Builds a leaderboard from per-player stats: keeps players with a non-zero score, sorts by it
+    // and attaches the player's details.
+    async function buildLeaderboard(collections, stats, scoreOf, limit) {
+        const ranked = Object.entries(stats)
+            .map(([playerId, playerStats]) => ({ player_id: playerId, ...playerStats, score: scoreOf(playerStats) }))
+            .filter(row => row.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+        if (!ranked.length) {
+            return [];
+        }
+        const playerDocs = await db.getAll(...ranked.map(row => db.collection(collections.players).doc(row.player_id)));
+        return ranked.map(({ score, ...row }, index) => {
+            const player = playerDocs[index].exists ? playerDocs[index].data() : {};
+            return {
+                ...row,
+                name: player.name || '',
+                name_en: player.name_en || '',
+                imageUrl: player.imageUrl || '',
+                current_team_id: player.team_id || '',
+                suspended: player.suspended === true,
+            };
+        });
+    }
+
+    return { fetchLeagueMatchEvents, updateYellowCardSuspension, updateSuspensionsForEventChange, buildLeaderboard };
+}
+
+module.exports = { createStatisticsService };
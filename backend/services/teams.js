@@ -0,0 +1,160 @@
+// backend/services/teams.js
+const admin = require('firebase-admin');
+const { createHttpError } = require('../lib/errors');
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { localizeDocument, localizePage, withSearchTokens } = require('../lib/localization');
+const { paginateQuery } = require('../lib/pagination');
+const { getSeasonIdFromPath } = require('../lib/paths');
+const { getTeamAtTime } = require('../lib/transfers');
+
+// --- Teams ---
+// `req` is the request the change is made for: its user and season go into the audit log and
+// req.collections says which season's documents are used.
+function createTeamService({ db, audit, validation, images, webhooks }) {
+    const { addAuditEntry, createDocumentWithAudit, updateDocumentWithAudit } = audit;
+    const { validateResource } = validation;
+    const { removeStoredFiles } = images;
+    const { emitWebhookEvent } = webhooks;
+
+    // Archived teams are listed only when asked for with `archived`
+    async function listTeams(collections, { archived }, listQuery, lang) {
+        const teamsRef = db.collection(collections.teams);
+        const query = teamsRef.where('archived', '==', archived);
+        return localizePage('teams', await paginateQuery(teamsRef, query, listQuery), lang);
+    }
+
+    // Returns the new team's ID
+    async function createTeam(req, body) {
+        const { data: newTeamData, errors } = await validateResource('teams', body, { collections: req.collections });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        const teamRef = db.collection(req.collections.teams).doc();
+        await createDocumentWithAudit(req, teamRef, withSearchTokens('teams', null, newTeamData));
+        return teamRef.id;
+    }
+
+    // Partial update: only the fields present in `body` are validated and written
+    async function updateTeam(req, teamId, body) {
+        const { data: updatedData, errors } = await validateResource('teams', body, { collections: req.collections, partial: true });
+        if (errors.length) {
+            throw createHttpError(400, 'Validation failed.', errors);
+        }
+
+        const teamRef = db.collection(req.collections.teams).doc(teamId);
+        const team = await updateDocumentWithAudit(req, teamRef, previous => withSearchTokens('teams', previous, updatedData), 'Team not found.');
+        await emitWebhookEvent('team.updated', { team: { id: teamId, ...team } }, req.season?.id);
+        return team;
+    }
+
+    // The players and matches that would be left referencing a deleted team, read through `transaction`.
+    // An archived team still resolves, so nothing blocks archiving; detached players don't block either.
+    // Returns { dependents } (null when nothing blocks) and the team's current players.
+    async function findTeamDependents(transaction, collections, teamId, { cascade = 'block', archive = false } = {}) {
+        const [playersSnapshot, matchesSnapshot] = await Promise.all([
+            transaction.get(db.collection(collections.players).where('team_id', '==', teamId)),
+            transaction.get(db.collection(collections.matches).where(admin.firestore.Filter.or(
+                admin.firestore.Filter.where('homeTeamId', '==', teamId),
+                admin.firestore.Filter.where('awayTeamId', '==', teamId)
+            ))),
+        ]);
+
+        const dependents = {};
+        if (playersSnapshot.size && cascade !== 'detach' && !archive) {
+            dependents.players = playersSnapshot.docs.map(doc => ({ id: doc.id, name: doc.data().name }));
+        }
+        if (matchesSnapshot.size && !archive) {
+            dependents.matches = matchesSnapshot.docs.map(doc => {
+                const { date, homeTeamId, awayTeamId, status } = doc.data();
+                return { id: doc.id, date, homeTeamId, awayTeamId, status };
+            });
+        }
+        return { dependents: Object.keys(dependents).length ? dependents : null, playersSnapshot };
+    }
+
+    // Deletes or archives a team; see parseDeleteOptions. Matches can't be detached from a team, so a
+    // team that has played or is scheduled to play can only be archived. Returns { dependents } when
+    // other documents still reference the team, otherwise { detachedPlayers }.
+    async function deleteTeam(req, teamId, { cascade, archive }) {
+        const teamRef = db.collection(req.collections.teams).doc(teamId);
+        const result = await db.runTransaction(async (transaction) => {
+            const teamDoc = await transaction.get(teamRef);
+            if (!teamDoc.exists) {
+                return { deleted: null, detachedPlayers: 0 };
+            }
+            const { dependents, playersSnapshot } = await findTeamDependents(transaction, req.collections, teamId, { cascade, archive });
+            if (dependents) {
+                return { dependents };
+            }
+
+            const detachedPlayers = cascade === 'detach' ? playersSnapshot.docs : [];
+            detachedPlayers.forEach(doc => {
+                transaction.update(doc.ref, { team_id: null });
+                addAuditEntry(transaction, req, doc.ref.path, doc.data(), { ...doc.data(), team_id: null });
+            });
+            if (archive) {
+                const archival = { archived: true, archivedAt: admin.firestore.Timestamp.now() };
+                transaction.update(teamRef, archival);
+                addAuditEntry(transaction, req, teamRef.path, teamDoc.data(), { ...teamDoc.data(), ...archival });
+                return { deleted: null, detachedPlayers: detachedPlayers.length };
+            }
+            transaction.delete(teamRef);
+            addAuditEntry(transaction, req, teamRef.path, teamDoc.data(), null);
+            return { deleted: teamDoc.data(), detachedPlayers: detachedPlayers.length };
+        });
+
+        if (result.dependents) {
+            return { dependents: result.dependents };
+        }
+        await removeStoredFiles(req, result.deleted?.storageFiles);
+        return { detachedPlayers: result.detachedPlayers };
+    }
+
+    // The team's registered players on `date` (DD-MM-YYYY), rebuilt from the transfer histories of
+    // everyone who is or was in the squad this season. Transfers count from their date on. The
+    // collection group queries only read this season's transfers, by their seasonId.
+    async function getSquad(collections, teamId, date, lang) {
+        if (!(await db.collection(collections.teams).doc(teamId).get()).exists) {
+            throw createHttpError(404, 'Team not found.');
+        }
+
+        const playersRef = db.collection(collections.players);
+        const seasonTransfers = db.collectionGroup('transfers').where('seasonId', '==', getSeasonIdFromPath(collections.players));
+        const [currentSnapshot, joinedSnapshot, leftSnapshot] = await Promise.all([
+            playersRef.where('team_id', '==', teamId).get(),
+            seasonTransfers.where('toTeamId', '==', teamId).get(),
+            seasonTransfers.where('fromTeamId', '==', teamId).get(),
+        ]);
+        const playerIds = new Set(currentSnapshot.docs.map(doc => doc.id));
+        [...joinedSnapshot.docs, ...leftSnapshot.docs]
+            .filter(doc => doc.ref.path.startsWith(`${collections.players}/`))
+            .forEach(doc => playerIds.add(doc.ref.parent.parent.id));
+
+        const playerRefs = [...playerIds].map(id => playersRef.doc(id));
+        const [playerDocs, histories] = await Promise.all([
+            playerRefs.length ? db.getAll(...playerRefs) : [],
+            Promise.all(playerRefs.map(ref => ref.collection('transfers').orderBy('effectiveAt').get())),
+        ]);
+        const at = getMyanmarTimestamp(date);
+        return playerDocs
+            .filter((doc, index) => doc.exists && getTeamAtTime(
+                doc.data().team_id || null,
+                histories[index].docs.map(transferDoc => transferDoc.data()),
+                at
+            ) === teamId)
+            .map(doc => localizeDocument('players', { id: doc.id, ...doc.data() }, lang))
+            .sort((a, b) => (a.number || 100) - (b.number || 100) || a.name.localeCompare(b.name));
+    }
+
+    return {
+        list: listTeams,
+        create: createTeam,
+        update: updateTeam,
+        delete: deleteTeam,
+        findDependents: findTeamDependents,
+        getSquad,
+    };
+}
+
+module.exports = { createTeamService };
@@ -0,0 +1,80 @@
+// backend/services/validation.js
+const { SCHEMAS, REFERENCE_LABELS, validateFieldValue } = require('../lib/schemas');
+const { expandLocalizedInput, getLocalizedStoredFields, normalizeMyanmarText } = require('../lib/localization');
+
+// --- Schema Validation ---
+// Applies the rules in lib/schemas.js; references are looked up in `db`.
+function createValidationService({ db }) {
+    // Validates a request body against a resource schema and returns { data, errors }, where `data` only
+    // holds the schema's fields. With `partial` (updates) missing fields are left out instead of defaulted.
+    // `existing` is the stored document, used by cross-field checks on updates. References are looked up
+    // in `collections`; errors have the form { field, message }. Localized fields may also be given as
+    // `i18n` (see LOCALIZED_FIELDS) and their Myanmar text is normalized.
+    async function validateResource(resource, body, { collections, partial = false, existing = null }) {
+        const schema = SCHEMAS[resource];
+        const input = expandLocalizedInput(resource, body);
+        const data = {};
+        const errors = [];
+
+        Object.entries(schema.fields).forEach(([field, rule]) => {
+            const value = input[field];
+            const missing = value === undefined || value === null || (value === '' && rule.type !== 'string');
+            if (rule.readOnly && !missing) {
+                errors.push({ field, message: `${field} is read-only.` });
+                return;
+            }
+            if (missing) {
+                if (partial) {
+                    return;
+                }
+                if (rule.required) {
+                    errors.push({ field, message: `${field} is required.` });
+                } else if (rule.default !== undefined) {
+                    data[field] = Array.isArray(rule.default) ? [...rule.default] : rule.default;
+                }
+                return;
+            }
+            const result = validateFieldValue(field, rule, value);
+            if (result.error) {
+                errors.push({ field, message: result.error });
+            } else {
+                data[field] = result.value;
+            }
+        });
+        getLocalizedStoredFields(resource)
+            .filter(field => typeof data[field] === 'string')
+            .forEach(field => {
+                data[field] = normalizeMyanmarText(data[field]);
+            });
+
+        const referenceFields = Object.keys(data).filter(field => schema.fields[field].ref && data[field]);
+        if (referenceFields.length) {
+            const refDocs = await db.getAll(...referenceFields.map(field => (
+                db.collection(collections[schema.fields[field].ref]).doc(data[field])
+            )));
+            refDocs.forEach((refDoc, index) => {
+                const field = referenceFields[index];
+                const label = REFERENCE_LABELS[schema.fields[field].ref];
+                if (!refDoc.exists) {
+                    errors.push({ field, message: `${field} does not match an existing ${label}.` });
+                } else if (refDoc.data().archived) {
+                    errors.push({ field, message: `${field} refers to an archived ${label}.` });
+                }
+            });
+        }
+
+        const document = { ...(existing || {}), ...data };
+        (schema.checks || []).forEach(check => {
+            const error = check(document);
+            if (error && !errors.some(existingError => existingError.field === error.field)) {
+                errors.push(error);
+            }
+        });
+
+        return { data, errors };
+    }
+
+    return { validateResource };
+}
+
+module.exports = { createValidationService };
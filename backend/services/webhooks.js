@@ -0,0 +1,148 @@
+// backend/services/webhooks.js
+const admin = require('firebase-admin');
+const {
+    WEBHOOKS_COLLECTION,
+    WEBHOOK_TIMEOUT_MS,
+    WEBHOOK_MAX_ATTEMPTS,
+    WEBHOOK_RETRY_BASE_MS,
+    toWebhookData,
+    signWebhookBody,
+} = require('../lib/webhooks');
+
+// --- Webhooks ---
+// Queues and sends the deliveries described in lib/webhooks.js.
+function createWebhookService({ db }) {
+    // Queues a delivery of `event` for every active webhook subscribed to it and starts sending them.
+    // Called after the triggering write has been committed; failures are logged and never reach the
+    // caller, so a webhook problem cannot fail an admin's change.
+    async function emitWebhookEvent(event, data, seasonId) {
+        try {
+            const snapshot = await db.collection(WEBHOOKS_COLLECTION)
+                .where('active', '==', true)
+                .where('events', 'array-contains-any', [event, '*'])
+                .get();
+            if (snapshot.empty) {
+                return;
+            }
+            const now = admin.firestore.Timestamp.now();
+            const batch = db.batch();
+            const deliveryRefs = snapshot.docs.map(doc => {
+                const deliveryRef = doc.ref.collection('deliveries').doc();
+                const body = JSON.stringify({
+                    id: deliveryRef.id,
+                    event,
+                    occurredAt: now.toDate().toISOString(),
+                    seasonId: seasonId || null,
+                    data: toWebhookData(data),
+                });
+                batch.set(deliveryRef, {
+                    webhookId: doc.id,
+                    event,
+                    body,
+                    status: 'pending',
+                    attempts: 0,
+                    nextAttemptAt: now,
+                    createdAt: now,
+                });
+                return deliveryRef;
+            });
+            await batch.commit();
+            // Not awaited so the response isn't held up by slow receivers; the cron job retries anything
+            // that doesn't finish
+            deliveryRefs.forEach(deliveryRef => attemptWebhookDelivery(deliveryRef).catch(error => {
+                console.error(`Error delivering ${event} webhook:`, error);
+            }));
+        } catch (error) {
+            console.error(`Error emitting ${event} webhooks:`, error);
+        }
+    }
+
+    // match.status_changed whenever a match's status changes, plus match.finished when it becomes finished.
+    // `previousMatch` is null for a new match, which only sends match.finished if it is entered as finished.
+    async function emitMatchWebhookEvents(req, matchId, previousMatch, match) {
+        if (previousMatch?.status === match.status) {
+            return;
+        }
+        const seasonId = req.season?.id || null;
+        const payload = { id: matchId, ...match };
+        if (previousMatch) {
+            await emitWebhookEvent('match.status_changed', { match: payload, previousStatus: previousMatch.status || null }, seasonId);
+        }
+        if (match.status === 'finished') {
+            await emitWebhookEvent('match.finished', { match: payload }, seasonId);
+        }
+    }
+
+    // Sends one pending delivery that is due and records the outcome. The delivery is claimed first (its
+    // next attempt is pushed past the request timeout) so the cron job and an immediate attempt never
+    // send it twice. Returns the delivery as stored afterwards, or null if it was not due.
+    async function attemptWebhookDelivery(deliveryRef) {
+        const webhookRef = deliveryRef.parent.parent;
+        const claimed = await db.runTransaction(async (transaction) => {
+            const [deliveryDoc, webhookDoc] = await transaction.getAll(deliveryRef, webhookRef);
+            const delivery = deliveryDoc.data();
+            if (!deliveryDoc.exists || delivery.status !== 'pending' || delivery.nextAttemptAt.toMillis() > Date.now()) {
+                return null;
+            }
+            if (!webhookDoc.exists || !webhookDoc.data().active) {
+                const update = { status: 'failed', error: 'The webhook was deleted or deactivated.', nextAttemptAt: null };
+                transaction.update(deliveryRef, update);
+                return { delivery: { ...delivery, ...update } };
+            }
+            transaction.update(deliveryRef, { nextAttemptAt: admin.firestore.Timestamp.fromMillis(Date.now() + 2 * WEBHOOK_TIMEOUT_MS) });
+            return { delivery, webhook: webhookDoc.data() };
+        });
+        if (!claimed) {
+            return null;
+        }
+        const { delivery, webhook } = claimed;
+        if (!webhook) {
+            return { id: deliveryRef.id, ...delivery };
+        }
+
+        const attempts = delivery.attempts + 1;
+        const result = { attempts, lastAttemptAt: admin.firestore.Timestamp.now(), responseStatus: null, responseBody: '', error: '' };
+        try {
+            const timestamp = String(Math.floor(Date.now() / 1000));
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'HKPL-Webhooks/1.0',
+                    'X-HKPL-Event': delivery.event,
+                    'X-HKPL-Delivery': deliveryRef.id,
+                    'X-HKPL-Timestamp': timestamp,
+                    'X-HKPL-Signature': signWebhookBody(webhook.secret, timestamp, delivery.body),
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+            });
+            result.responseStatus = response.status;
+            result.responseBody = (await response.text()).slice(0, 500);
+            if (!response.ok) {
+                result.error = `The endpoint responded with HTTP ${response.status}.`;
+            }
+        } catch (error) {
+            result.error = error.name === 'TimeoutError'
+                ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds.`
+                : `Request failed: ${error.cause?.message || error.message}`;
+        }
+
+        let update;
+        if (!result.error) {
+            update = { ...result, status: 'delivered', deliveredAt: result.lastAttemptAt, nextAttemptAt: null };
+        } else if (attempts >= WEBHOOK_MAX_ATTEMPTS) {
+            update = { ...result, status: 'failed', nextAttemptAt: null };
+        } else {
+            const retryAt = Date.now() + WEBHOOK_RETRY_BASE_MS * 4 ** (attempts - 1);
+            update = { ...result, nextAttemptAt: admin.firestore.Timestamp.fromMillis(retryAt) };
+        }
+        await deliveryRef.update(update);
+        return { id: deliveryRef.id, ...delivery, ...update };
+    }
+
+    return { emitWebhookEvent, emitMatchWebhookEvents, attemptWebhookDelivery };
+}
+
+module.exports = { createWebhookService };
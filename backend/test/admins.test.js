@@ -0,0 +1,92 @@
+// backend/test/admins.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AUDIT_COLLECTION } = require('../lib/audit');
+const { startTestApp } = require('./helpers');
+
+describe('admins', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+        ctx.auth.addUser({ uid: 'new-uid', email: 'new@example.com', displayName: 'New Admin', customClaims: { team: 'red' } });
+    });
+    after(() => ctx.close());
+
+    async function auditEntriesFor(path) {
+        const snapshot = await ctx.db.collection(AUDIT_COLLECTION).where('path', '==', path).get();
+        return snapshot.docs.map(doc => doc.data());
+    }
+
+    describe('GET /admins', () => {
+        it('lists users with an admin role', async () => {
+            const res = await ctx.request('GET', '/admins');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(user => user.role).sort(), ['editor', 'match-official', 'superadmin']);
+            assert.deepEqual(res.body.find(user => user.role === 'editor'), {
+                uid: 'editor-uid', email: 'editor@example.com', displayName: '', disabled: false, role: 'editor',
+            });
+        });
+
+        it('is limited to superadmins', async () => {
+            assert.equal((await ctx.request('GET', '/admins', { token: ctx.tokens.editor })).status, 403);
+        });
+    });
+
+    describe('POST /admins', () => {
+        it('grants a role by email, keeping other claims, and records it', async () => {
+            const res = await ctx.request('POST', '/admins', { body: { email: 'new@example.com', role: 'editor' } });
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body, { message: 'Role granted successfully', uid: 'new-uid', role: 'editor' });
+            assert.deepEqual((await ctx.auth.getUser('new-uid')).customClaims, { team: 'red', role: 'editor' });
+
+            // The role applies once the user gets a fresh ID token
+            const token = ctx.auth.signIn('new-uid');
+            assert.equal((await ctx.request('POST', '/news', { token, body: {} })).status, 400);
+
+            const [entry] = await auditEntriesFor('admins/new-uid');
+            assert.deepEqual([entry.before, entry.after, entry.uid], [{ role: null }, { role: 'editor' }, 'superadmin-uid']);
+        });
+
+        it('grants a role by uid', async () => {
+            const res = await ctx.request('POST', '/admins', { body: { uid: 'fan-uid', role: 'match-official' } });
+            assert.equal(res.status, 201);
+            assert.equal((await ctx.auth.getUser('fan-uid')).customClaims.role, 'match-official');
+        });
+
+        it('validates the request', async () => {
+            const missing = await ctx.request('POST', '/admins', { body: { role: 'editor' } });
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.message, 'User uid or email is required.');
+            const role = await ctx.request('POST', '/admins', { body: { uid: 'new-uid', role: 'owner' } });
+            assert.equal(role.status, 400);
+            assert.equal(role.body.message, 'Invalid role. Must be one of: superadmin, editor, match-official.');
+        });
+
+        it('returns 404 for an unknown user', async () => {
+            const res = await ctx.request('POST', '/admins', { body: { email: 'nobody@example.com', role: 'editor' } });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'User not found.');
+        });
+    });
+
+    describe('DELETE /admins/:uid', () => {
+        it('revokes the role and signs the user out', async () => {
+            const token = ctx.auth.signIn('official-uid');
+            const res = await ctx.request('DELETE', '/admins/official-uid');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Role revoked successfully');
+            assert.equal((await ctx.auth.getUser('official-uid')).customClaims, undefined);
+            assert.equal((await ctx.request('GET', '/teams', { token })).status, 403);
+        });
+
+        it('refuses to revoke your own role', async () => {
+            const res = await ctx.request('DELETE', '/admins/superadmin-uid');
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'You cannot revoke your own role.');
+        });
+
+        it('returns 404 for an unknown user', async () => {
+            assert.equal((await ctx.request('DELETE', '/admins/nobody')).status, 404);
+        });
+    });
+});
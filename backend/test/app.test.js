@@ -0,0 +1,143 @@
+// backend/test/app.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../app');
+const { SEASONS_COLLECTION } = require('../lib/paths');
+const { FakeAuth } = require('./fakes/auth');
+const { TEST_USERS, startTestApp, seed } = require('./helpers');
+
+describe('app', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+    });
+    after(() => ctx.close());
+
+    it('answers the health check without a token', async () => {
+        const res = await ctx.request('GET', '/', { token: null });
+        assert.equal(res.status, 200);
+        assert.equal(res.body, 'Admin Panel Backend is running!');
+    });
+
+    it('lets CORS preflight requests through without a token', async () => {
+        const res = await ctx.request('OPTIONS', '/teams', {
+            token: null,
+            headers: { Origin: 'http://localhost:3000', 'Access-Control-Request-Method': 'POST' },
+        });
+        assert.equal(res.status, 204);
+        assert.equal(res.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+    });
+
+    describe('authentication', () => {
+        it('refuses requests without a token', async () => {
+            const res = await ctx.request('GET', '/teams', { token: null });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.message, 'Unauthorized: No token provided.');
+        });
+
+        it('refuses unknown tokens', async () => {
+            const res = await ctx.request('GET', '/teams', { token: 'not-a-token' });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'Unauthorized: Invalid or expired token.');
+        });
+
+        it('refuses signed-in users without an admin role', async () => {
+            const res = await ctx.request('GET', '/teams', { token: ctx.tokens.fan });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'Forbidden: User is not an admin.');
+        });
+
+        it('refuses revoked tokens', async () => {
+            ctx.auth.addUser({ uid: 'revoked-uid', customClaims: { role: 'editor' } });
+            const token = ctx.auth.signIn('revoked-uid');
+            assert.equal((await ctx.request('GET', '/teams', { token })).status, 200);
+            await ctx.auth.revokeRefreshTokens('revoked-uid');
+            const res = await ctx.request('GET', '/teams', { token });
+            assert.equal(res.status, 403);
+        });
+
+        it('treats SUPERADMIN_UIDS as superadmins', async () => {
+            const previous = process.env.SUPERADMIN_UIDS;
+            process.env.SUPERADMIN_UIDS = `other, ${TEST_USERS.fan.uid}`;
+            try {
+                const res = await ctx.request('POST', '/teams', { token: ctx.tokens.fan, body: { name: 'Bootstrap FC' } });
+                assert.equal(res.status, 201);
+            } finally {
+                process.env.SUPERADMIN_UIDS = previous;
+                if (previous === undefined) {
+                    delete process.env.SUPERADMIN_UIDS;
+                }
+            }
+        });
+
+        it('checks route permissions by role', async () => {
+            const res = await ctx.request('POST', '/teams', { token: ctx.tokens.editor, body: { name: 'Editors FC' } });
+            assert.equal(res.status, 403);
+            assert.equal(res.body.message, 'Forbidden: You do not have permission to perform this action.');
+        });
+    });
+
+    describe('season resolution', () => {
+        it('uses the pre-season collections while no season is active', async () => {
+            await ctx.request('POST', '/teams', { body: { name: 'Legacy FC' } });
+            const res = await ctx.request('GET', '/teams');
+            assert.ok(res.body.items.some(team => team.name === 'Legacy FC'));
+            assert.ok(Object.keys(ctx.db.dump()).some(path => path.startsWith('artifacts/hkplweb/public/data/leagues/hkpl/teams/')));
+        });
+
+        it('reads an explicit ?season=', async () => {
+            await seed(ctx.db, SEASONS_COLLECTION, { old: { name: 'Old', status: 'completed' } });
+            await seed(ctx.db, `${SEASONS_COLLECTION}/old/teams`, { t1: { name: 'Old Boys', archived: false } });
+            const res = await ctx.request('GET', '/teams?season=old');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.items.map(team => team.name), ['Old Boys']);
+        });
+
+        it('returns 404 for an unknown season and 400 for a malformed ID', async () => {
+            const res = await ctx.request('GET', '/teams?season=missing');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Season not found.');
+            for (const query of ['season=..%2Fx', 'season=a%2Fb', 'season=Old', 'season=a&season=b']) {
+                const invalid = await ctx.request('GET', `/teams?${query}`);
+                assert.equal(invalid.status, 400, query);
+                assert.equal(invalid.body.message, 'Season ID may only contain lowercase letters, numbers and dashes.');
+            }
+        });
+
+        it('keeps archived seasons read-only', async () => {
+            await seed(ctx.db, SEASONS_COLLECTION, { archived: { name: 'Archived', status: 'archived' } });
+            assert.equal((await ctx.request('GET', '/teams?season=archived')).status, 200);
+            const res = await ctx.request('POST', '/teams?season=archived', { body: { name: 'Late FC' } });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'This season is archived and can no longer be modified.');
+        });
+    });
+});
+
+describe('app with a failing database', () => {
+    it('reports database errors as 500s', async (t) => {
+        t.mock.method(console, 'log', () => {});
+        t.mock.method(console, 'error', () => {});
+        const auth = new FakeAuth();
+        auth.addUser(TEST_USERS.superadmin);
+        const db = {
+            collection() {
+                throw new Error('Firestore unavailable');
+            },
+        };
+        const app = createApp({ db, auth, fileStorage: null });
+        const server = await new Promise(resolve => {
+            const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+        });
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/teams`, {
+                headers: { Authorization: `Bearer ${auth.signIn(TEST_USERS.superadmin.uid)}` },
+            });
+            assert.equal(response.status, 500);
+            assert.deepEqual(await response.json(), { message: 'Error resolving season' });
+        } finally {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});
@@ -0,0 +1,144 @@
+// backend/test/audit.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { AUDIT_COLLECTION } = require('../lib/audit');
+const { SEASONS_COLLECTION } = require('../lib/paths');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+describe('audit log', () => {
+    let ctx;
+    let collections;
+    let teamId;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        teamId = (await ctx.request('POST', '/teams', { body: { name: 'Audit FC' } })).body.id;
+        await ctx.request('PUT', `/teams/${teamId}`, { body: { name: 'Renamed FC' } });
+    });
+    after(() => ctx.close());
+
+    // The most recent entry for a document and action
+    async function findEntry(path, action) {
+        const res = await ctx.request('GET', `/audit?path=${encodeURIComponent(path)}`);
+        return res.body.find(entry => entry.action === action);
+    }
+
+    describe('GET /audit', () => {
+        it('lists entries with their diff', async () => {
+            const res = await ctx.request('GET', '/audit?resource=teams');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(entry => entry.action).sort(), ['create', 'update']);
+            const update = res.body.find(entry => entry.action === 'update');
+            assert.deepEqual(update.diff.name, { before: 'Audit FC', after: 'Renamed FC' });
+            assert.equal(update.uid, 'superadmin-uid');
+            assert.equal(update.email, 'superadmin@example.com');
+            assert.equal(update.seasonId, '2025');
+        });
+
+        it('filters by user, date range and limit', async () => {
+            assert.equal((await ctx.request('GET', '/audit?uid=editor-uid')).body.length, 0);
+            assert.equal((await ctx.request('GET', '/audit?from=01-01-2020&limit=1')).body.length, 1);
+            assert.equal((await ctx.request('GET', '/audit?to=01-01-2020')).body.length, 0);
+        });
+
+        it('reads the date range in Myanmar time', async () => {
+            // 31-12-2024 19:00 UTC is already 01-01-2025 in Myanmar
+            await seed(ctx.db, AUDIT_COLLECTION, {
+                newYear: { resource: 'news', path: 'x/news/n', action: 'create', timestamp: Timestamp.fromDate(new Date('2024-12-31T19:00:00Z')) },
+            });
+            const byDay = async query => (await ctx.request('GET', `/audit?resource=news&${query}`)).body.map(entry => entry.id);
+            assert.deepEqual(await byDay('from=01-01-2025&to=01-01-2025'), ['newYear']);
+            assert.deepEqual(await byDay('to=31-12-2024'), []);
+        });
+
+        it('validates dates and needs audit:read', async () => {
+            const res = await ctx.request('GET', '/audit?from=2020-01-01');
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Audit date filters must be in "DD-MM-YYYY" format.');
+            assert.equal((await ctx.request('GET', '/audit', { token: ctx.tokens.editor })).status, 403);
+        });
+    });
+
+    describe('POST /audit/:id/revert', () => {
+        it('restores a document and records the revert', async () => {
+            const path = `${collections.teams}/${teamId}`;
+            const entry = await findEntry(path, 'update');
+            const res = await ctx.request('POST', `/audit/${entry.id}/revert`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Change reverted successfully');
+            assert.equal((await readDoc(ctx.db, path)).name, 'Audit FC');
+
+            const stored = await readDoc(ctx.db, `${AUDIT_COLLECTION}/${entry.id}`);
+            assert.equal(stored.revertedBy, 'superadmin-uid');
+            const revert = (await ctx.request('GET', `/audit?path=${encodeURIComponent(path)}`)).body.find(item => item.revertOf === entry.id);
+            assert.deepEqual(revert.diff.name, { before: 'Renamed FC', after: 'Audit FC' });
+
+            const again = await ctx.request('POST', `/audit/${entry.id}/revert`);
+            assert.equal(again.status, 409);
+            assert.equal(again.body.message, 'This change has already been reverted.');
+        });
+
+        it('reverting a create deletes the document', async () => {
+            const id = (await ctx.request('POST', '/teams', { body: { name: 'Mistake FC' } })).body.id;
+            const entry = await findEntry(`${collections.teams}/${id}`, 'create');
+            assert.equal((await ctx.request('POST', `/audit/${entry.id}/revert`)).status, 200);
+            assert.equal(await readDoc(ctx.db, `${collections.teams}/${id}`), undefined);
+        });
+
+        it('does not delete or restore documents that break references', async () => {
+            const id = (await ctx.request('POST', '/teams', { body: { name: 'Referenced FC' } })).body.id;
+            const playerId = (await ctx.request('POST', '/players', { body: { name: 'Member', position: 'FW', team_id: id } })).body.id;
+            const create = await findEntry(`${collections.teams}/${id}`, 'create');
+            const res = await ctx.request('POST', `/audit/${create.id}/revert`);
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'The team is still referenced, so this change cannot be reverted.');
+            assert.deepEqual(res.body.dependents, { players: [{ id: playerId, name: 'Member' }] });
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/${id}`)).name, 'Referenced FC');
+
+            await ctx.request('DELETE', `/players/${playerId}`);
+            await ctx.request('DELETE', `/teams/${id}`);
+            const deletion = await findEntry(`${collections.players}/${playerId}`, 'delete');
+            const restore = await ctx.request('POST', `/audit/${deletion.id}/revert`);
+            assert.equal(restore.status, 409);
+            assert.deepEqual(restore.body.errors, [{ field: 'team_id', message: 'team_id refers to a team that no longer exists.' }]);
+            assert.equal(await readDoc(ctx.db, `${collections.players}/${playerId}`), undefined);
+        });
+
+        it('replays the score when reverting a match event', async () => {
+            await seed(ctx.db, collections.teams, { home: { name: 'Home' }, away: { name: 'Away' } });
+            await seed(ctx.db, collections.players, { p1: { name: 'Scorer', team_id: 'home' } });
+            await seed(ctx.db, collections.matches, { m1: { homeTeamId: 'home', awayTeamId: 'away', status: 'ongoing', homeScore: 0, awayScore: 0 } });
+            const eventId = (await ctx.request('POST', '/matches/m1/events', { body: { type: 'goal', minute: 10, player_id: 'p1' } })).body.id;
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/m1`)).homeScore, 1);
+
+            const entry = await findEntry(`${collections.matches}/m1/events/${eventId}`, 'create');
+            assert.equal((await ctx.request('POST', `/audit/${entry.id}/revert`)).status, 200);
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/m1`)).homeScore, 0);
+            assert.equal(await readDoc(ctx.db, `${collections.matches}/m1/events/${eventId}`), undefined);
+        });
+
+        it('refuses role changes, webhooks and archived seasons', async () => {
+            await seed(ctx.db, AUDIT_COLLECTION, {
+                role: { resource: 'admins', path: 'admins/x', before: null, after: { role: 'editor' } },
+                hook: { resource: 'webhooks', path: 'webhooks/x', before: null, after: {} },
+                old: { resource: 'teams', path: 'x/teams/t', seasonId: 'old', before: null, after: {} },
+            });
+            await seed(ctx.db, SEASONS_COLLECTION, { old: { name: 'Old', status: 'archived' } });
+            const role = await ctx.request('POST', '/audit/role/revert');
+            assert.equal(role.status, 400);
+            assert.equal(role.body.message, 'Role changes cannot be reverted; grant or revoke the role instead.');
+            const hook = await ctx.request('POST', '/audit/hook/revert');
+            assert.equal(hook.body.message, 'Webhook changes cannot be reverted; edit the webhook instead.');
+            const old = await ctx.request('POST', '/audit/old/revert');
+            assert.equal(old.status, 409);
+            assert.equal(old.body.message, 'This change belongs to an archived season and can no longer be reverted.');
+        });
+
+        it('returns 404 for an unknown entry', async () => {
+            const res = await ctx.request('POST', '/audit/missing/revert');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Audit entry not found.');
+        });
+    });
+});
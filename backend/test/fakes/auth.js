@@ -0,0 +1,111 @@
+// backend/test/fakes/auth.js
+const crypto = require('crypto');
+
+// --- In-memory Firebase Auth ---
+// Implements the Admin SDK's Auth methods the app uses. ID tokens are opaque strings minted with
+// signIn(); revokeRefreshTokens() invalidates every token minted for the user before it, so
+// verifyIdToken(token, true) behaves like Firebase's revocation check. Errors carry Firebase's codes.
+
+function createAuthError(code, message) {
+    return Object.assign(new Error(message), { code });
+}
+
+class FakeAuth {
+    constructor() {
+        this._users = new Map(); // uid -> { uid, email, displayName, disabled, customClaims, revokedBefore }
+        this._tokens = new Map(); // token -> { uid, issuedAt }
+        this._clock = 0; // Orders token issues and revocations without relying on wall-clock time
+    }
+
+    // --- Test helpers ---
+
+    addUser({ uid, email = '', displayName = '', disabled = false, customClaims = {} }) {
+        this._users.set(uid, { uid, email, displayName, disabled, customClaims: { ...customClaims }, revokedBefore: 0 });
+        return this._toUserRecord(this._users.get(uid));
+    }
+
+    // Returns an ID token carrying the user's current custom claims, like a fresh client sign-in
+    signIn(uid) {
+        this._getStoredUser(uid);
+        const token = crypto.randomBytes(16).toString('hex');
+        this._clock += 1;
+        this._tokens.set(token, { uid, issuedAt: this._clock, claims: { ...this._users.get(uid).customClaims } });
+        return token;
+    }
+
+    // --- Admin SDK methods ---
+
+    async verifyIdToken(idToken, checkRevoked = false) {
+        const token = this._tokens.get(idToken);
+        if (!token) {
+            throw createAuthError('auth/argument-error', 'Decoding Firebase ID token failed.');
+        }
+        const user = this._users.get(token.uid);
+        if (checkRevoked) {
+            if (!user) {
+                throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+            }
+            if (user.disabled) {
+                throw createAuthError('auth/user-disabled', 'The user record is disabled.');
+            }
+            if (token.issuedAt < user.revokedBefore) {
+                throw createAuthError('auth/id-token-revoked', 'The Firebase ID token has been revoked.');
+            }
+        }
+        return { ...token.claims, uid: token.uid, email: user ? user.email : undefined };
+    }
+
+    async getUser(uid) {
+        return this._toUserRecord(this._getStoredUser(uid));
+    }
+
+    async getUserByEmail(email) {
+        const user = [...this._users.values()].find(candidate => candidate.email === email);
+        if (!user) {
+            throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+        }
+        return this._toUserRecord(user);
+    }
+
+    async setCustomUserClaims(uid, customClaims) {
+        this._getStoredUser(uid).customClaims = { ...(customClaims || {}) };
+    }
+
+    async revokeRefreshTokens(uid) {
+        this._clock += 1;
+        this._getStoredUser(uid).revokedBefore = this._clock;
+    }
+
+    // Page tokens are the index of the next user, as strings
+    async listUsers(maxResults = 1000, pageToken) {
+        const users = [...this._users.values()];
+        const start = pageToken ? Number(pageToken) : 0;
+        const end = start + maxResults;
+        return {
+            users: users.slice(start, end).map(user => this._toUserRecord(user)),
+            pageToken: end < users.length ? String(end) : undefined,
+        };
+    }
+
+    // --- Internals ---
+
+    _getStoredUser(uid) {
+        const user = this._users.get(uid);
+        if (!user) {
+            throw createAuthError('auth/user-not-found', 'There is no user record corresponding to the provided identifier.');
+        }
+        return user;
+    }
+
+    _toUserRecord({ uid, email, displayName, disabled, customClaims }) {
+        return {
+            uid,
+            email: email || undefined,
+            displayName: displayName || undefined,
+            disabled,
+            customClaims: Object.keys(customClaims).length ? { ...customClaims } : undefined,
+        };
+    }
+}
+
+module.exports = { FakeAuth };
@@ -0,0 +1,561 @@
+// backend/test/fakes/firestore.js
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+
+const { Timestamp, Filter } = admin.firestore;
+
+// --- In-memory Firestore ---
+// Implements the part of the Admin SDK's Firestore API the app uses: collection and document
+// references, where/orderBy/limit/startAfter/count queries (including Filter.or), collection group
+// queries, getAll, batches, transactions and onSnapshot listeners. Documents are stored as deep
+// copies keyed by path, and Timestamp, Filter and FieldValue are the SDK's own classes, so the app
+// code runs unchanged. Like Firestore, documents without a filtered or ordered field are left out of
+// a query, updates of missing documents fail and undefined values are refused.
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const MAX_BATCH_WRITES = 500;
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+// Errors carry the gRPC status codes Firestore uses
+function createFirestoreError(code, status, message) {
+    return Object.assign(new Error(`${code} ${status}: ${message}`), { code });
+}
+
+function autoId() {
+    return Array.from(crypto.randomBytes(20), byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+}
+
+function isTransform(value, methodName) {
+    return Boolean(value) && value.methodName === methodName;
+}
+
+// Copies a value into or out of the store. Dates become Timestamps, as Firestore returns them.
+function copyValue(value, path) {
+    if (value === undefined) {
+        throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}").`);
+    }
+    if (value === null || typeof value !== 'object' || value instanceof Timestamp) {
+        return value;
+    }
+    if (value instanceof Date) {
+        return Timestamp.fromDate(value);
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, index) => copyValue(item, `${path}.${index}`));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyValue(item, path ? `${path}.${key}` : key)]));
+}
+
+function getFieldValue(data, field) {
+    return String(field).split('.').reduce((value, key) => (
+        value !== null && typeof value === 'object' && !(value instanceof Timestamp) ? value[key] : undefined
+    ), data);
+}
+
+// Applies set/update data, resolving FieldValue.increment and FieldValue.delete against `target`
+function writeFields(target, data, { dotted }) {
+    Object.entries(data).forEach(([key, value]) => {
+        const keys = dotted ? key.split('.') : [key];
+        let parent = target;
+        keys.slice(0, -1).forEach(part => {
+            if (parent[part] === null || typeof parent[part] !== 'object' || Array.isArray(parent[part])) {
+                parent[part] = {};
+            }
+            parent = parent[part];
+        });
+        const last = keys[keys.length - 1];
+        if (isTransform(value, 'FieldValue.delete')) {
+            delete parent[last];
+        } else if (isTransform(value, 'FieldValue.increment')) {
+            parent[last] = (typeof parent[last] === 'number' ? parent[last] : 0) + value.operand;
+        } else {
+            parent[last] = copyValue(value, key);
+        }
+    });
+    return target;
+}
+
+// Firestore orders values of different types by type first
+function typeRank(value) {
+    if (value === null) return 0;
+    if (typeof value === 'boolean') return 1;
+    if (typeof value === 'number') return 2;
+    if (value instanceof Timestamp) return 3;
+    if (typeof value === 'string') return 4;
+    if (Array.isArray(value)) return 5;
+    return 6;
+}
+
+function compareValues(a, b) {
+    const rankDifference = typeRank(a) - typeRank(b);
+    if (rankDifference) {
+        return rankDifference;
+    }
+    if (a instanceof Timestamp) {
+        return a.seconds - b.seconds || a.nanoseconds - b.nanoseconds;
+    }
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i += 1) {
+            const difference = compareValues(a[i], b[i]);
+            if (difference) {
+                return difference;
+            }
+        }
+        return a.length - b.length;
+    }
+    if (a !== null && typeof a === 'object') {
+        return compareValues(JSON.stringify(a), JSON.stringify(b));
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function valuesEqual(a, b) {
+    return typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+}
+
+// Turns a where() call or a Filter into a predicate over document data
+function toPredicate(fieldOrFilter, operator, value) {
+    if (fieldOrFilter instanceof Filter) {
+        // The SDK's Filter only exposes its parts through these internal getters
+        const filter = /** @type {any} */ (fieldOrFilter);
+        if (typeof filter._getFilters === 'function') {
+            const predicates = filter._getFilters().map(part => toPredicate(part));
+            return filter._getOperator() === 'OR'
+                ? data => predicates.some(predicate => predicate(data))
+                : data => predicates.every(predicate => predicate(data));
+        }
+        return toPredicate(filter._getField(), filter._getOperator(), filter._getValue());
+    }
+    const field = String(fieldOrFilter);
+    return (data) => {
+        const fieldValue = getFieldValue(data, field);
+        if (fieldValue === undefined) {
+            return false;
+        }
+        switch (operator) {
+            case '==': return valuesEqual(fieldValue, value);
+            case '!=': return !valuesEqual(fieldValue, value);
+            case '<': return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) < 0;
+            case '<=': return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) <= 0;
+            case '>': return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) > 0;
+            case '>=': return typeRank(fieldValue) === typeRank(value) && compareValues(fieldValue, value) >= 0;
+            case 'in': return value.some(item => valuesEqual(fieldValue, item));
+            case 'not-in': return !value.some(item => valuesEqual(fieldValue, item));
+            case 'array-contains': return Array.isArray(fieldValue) && fieldValue.some(item => valuesEqual(item, value));
+            case 'array-contains-any': return Array.isArray(fieldValue) && fieldValue.some(item => value.some(other => valuesEqual(item, other)));
+            default: throw new Error(`Unsupported operator "${operator}" in the Firestore fake.`);
+        }
+    };
+}
+
+class DocumentSnapshot {
+    constructor(ref, data) {
+        this.ref = ref;
+        this.id = ref.id;
+        this.exists = data !== undefined;
+        this._data = data;
+    }
+
+    data() {
+        return this.exists ? copyValue(this._data, '') : undefined;
+    }
+
+    get(field) {
+        const value = this.exists ? getFieldValue(this._data, field) : undefined;
+        return value === undefined ? undefined : copyValue(value, field);
+    }
+}
+
+class QuerySnapshot {
+    constructor(docs) {
+        this.docs = docs;
+        this.size = docs.length;
+        this.empty = docs.length === 0;
+    }
+
+    forEach(callback) {
+        this.docs.forEach(callback);
+    }
+}
+
+class Query {
+    constructor(firestore, scope, options = {}) {
+        this.firestore = firestore;
+        this._scope = scope; // { collectionPath } or { collectionId } for collection groups
+        this._filters = options.filters || [];
+        this._orders = options.orders || [];
+        this._limit = options.limit ?? null;
+        this._startAfter = options.startAfter || null;
+    }
+
+    _with(options) {
+        return new Query(this.firestore, this._scope, {
+            filters: this._filters,
+            orders: this._orders,
+            limit: this._limit,
+            startAfter: this._startAfter,
+            ...options,
+        });
+    }
+
+    where(fieldOrFilter, operator, value) {
+        return this._with({ filters: [...this._filters, toPredicate(fieldOrFilter, operator, value)] });
+    }
+
+    orderBy(field, direction = 'asc') {
+        return this._with({ orders: [...this._orders, { field: String(field), direction }] });
+    }
+
+    limit(limit) {
+        return this._with({ limit });
+    }
+
+    startAfter(snapshot) {
+        if (!(snapshot instanceof DocumentSnapshot)) {
+            throw new Error('The Firestore fake only supports startAfter() with a document snapshot.');
+        }
+        return this._with({ startAfter: snapshot });
+    }
+
+    count() {
+        return {
+            get: async () => {
+                const count = this._run().length;
+                return { data: () => ({ count }) };
+            },
+        };
+    }
+
+    async get() {
+        return this._snapshot();
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen(this, () => onNext(this._snapshot()), onError);
+    }
+
+    _matchesPath(path) {
+        const segments = path.split('/');
+        const collectionPath = segments.slice(0, -1).join('/');
+        return this._scope.collectionPath !== undefined
+            ? collectionPath === this._scope.collectionPath
+            : segments[segments.length - 2] === this._scope.collectionId;
+    }
+
+    _compare(a, b) {
+        for (const { field, direction } of this._orders) {
+            const difference = compareValues(getFieldValue(a.data, field), getFieldValue(b.data, field));
+            if (difference) {
+                return direction === 'desc' ? -difference : difference;
+            }
+        }
+        // Ties are broken by document path, in the direction of the last ordering
+        const last = this._orders[this._orders.length - 1];
+        const difference = a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+        return last && last.direction === 'desc' ? -difference : difference;
+    }
+
+    _run() {
+        let entries = this.firestore._entries()
+            .filter(({ path, data }) => this._matchesPath(path)
+                && this._filters.every(predicate => predicate(data))
+                && this._orders.every(({ field }) => getFieldValue(data, field) !== undefined))
+            .sort((a, b) => this._compare(a, b));
+        if (this._startAfter) {
+            const cursor = { path: this._startAfter.ref.path, data: this._startAfter._data };
+            entries = entries.filter(entry => this._compare(entry, cursor) > 0);
+        }
+        return this._limit === null ? entries : entries.slice(0, this._limit);
+    }
+
+    _snapshot() {
+        return new QuerySnapshot(this._run().map(({ path, data }) => new DocumentSnapshot(this.firestore.doc(path), data)));
+    }
+}
+
+class CollectionReference extends Query {
+    constructor(firestore, path) {
+        super(firestore, { collectionPath: path });
+        const segments = path.split('/');
+        this.path = path;
+        this.id = segments[segments.length - 1];
+        this.parent = segments.length > 1 ? new DocumentReference(firestore, segments.slice(0, -1).join('/')) : null;
+    }
+
+    doc(id = autoId()) {
+        if (typeof id !== 'string' || !id) {
+            throw new Error('Path must be a non-empty string.');
+        }
+        return new DocumentReference(this.firestore, `${this.path}/${id}`);
+    }
+
+    async add(data) {
+        const ref = this.doc();
+        await ref.set(data);
+        return ref;
+    }
+}
+
+class DocumentReference {
+    constructor(firestore, path) {
+        const segments = path.split('/');
+        if (segments.length % 2 !== 0 || segments.some(segment => !segment)) {
+            throw new Error(`Value for argument "documentPath" must point to a document, but was "${path}".`);
+        }
+        this.firestore = firestore;
+        this.path = path;
+        this.id = segments[segments.length - 1];
+        this.parent = new CollectionReference(firestore, segments.slice(0, -1).join('/'));
+    }
+
+    collection(id) {
+        return new CollectionReference(this.firestore, `${this.path}/${id}`);
+    }
+
+    isEqual(other) {
+        return other instanceof DocumentReference && other.path === this.path;
+    }
+
+    async get() {
+        return this.firestore._snapshotOf(this);
+    }
+
+    async create(data) {
+        await this.firestore.batch().create(this, data).commit();
+    }
+
+    async set(data, options) {
+        await this.firestore.batch().set(this, data, options).commit();
+    }
+
+    async update(data) {
+        await this.firestore.batch().update(this, data).commit();
+    }
+
+    async delete() {
+        await this.firestore.batch().delete(this).commit();
+    }
+
+    onSnapshot(onNext, onError) {
+        return this.firestore._listen(this, () => onNext(this.firestore._snapshotOf(this)), onError);
+    }
+}
+
+class WriteBatch {
+    constructor(firestore) {
+        this.firestore = firestore;
+        this._writes = [];
+        this._committed = false;
+    }
+
+    _add(write) {
+        if (this._committed) {
+            throw new Error('Cannot modify a WriteBatch that has been committed.');
+        }
+        this._writes.push(write);
+        return this;
+    }
+
+    create(ref, data) {
+        return this._add({ type: 'create', ref, data: copyWriteData(data) });
+    }
+
+    set(ref, data, options = {}) {
+        return this._add({ type: 'set', ref, data: copyWriteData(data), merge: Boolean(options.merge) });
+    }
+
+    update(ref, data) {
+        return this._add({ type: 'update', ref, data: copyWriteData(data) });
+    }
+
+    delete(ref) {
+        return this._add({ type: 'delete', ref });
+    }
+
+    async commit() {
+        if (this._writes.length > MAX_BATCH_WRITES) {
+            throw createFirestoreError(3, 'INVALID_ARGUMENT', `maximum ${MAX_BATCH_WRITES} writes allowed per request`);
+        }
+        this._committed = true;
+        this.firestore._commit(this._writes);
+    }
+}
+
+// Validates write data up front, as the SDK does, while keeping FieldValue transforms intact
+function copyWriteData(data) {
+    return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+        key,
+        isTransform(value, 'FieldValue.increment') || isTransform(value, 'FieldValue.delete') ? value : copyValue(value, key),
+    ]));
+}
+
+class Transaction extends WriteBatch {
+    constructor(firestore) {
+        super(firestore);
+        this._readVersions = new Map();
+    }
+
+    _recordRead(snapshot) {
+        this._readVersions.set(snapshot.ref.path, this.firestore._versionOf(snapshot.ref.path));
+        return snapshot;
+    }
+
+    _checkReadAllowed() {
+        if (this._writes.length) {
+            throw new Error('Firestore transactions require all reads to be executed before all writes.');
+        }
+    }
+
+    async get(refOrQuery) {
+        this._checkReadAllowed();
+        if (refOrQuery instanceof DocumentReference) {
+            return this._recordRead(this.firestore._snapshotOf(refOrQuery));
+        }
+        const snapshot = refOrQuery._snapshot();
+        snapshot.docs.forEach(doc => this._recordRead(doc));
+        return snapshot;
+    }
+
+    async getAll(...refs) {
+        this._checkReadAllowed();
+        return refs.map(ref => this._recordRead(this.firestore._snapshotOf(ref)));
+    }
+
+    _isStale() {
+        return [...this._readVersions].some(([path, version]) => this.firestore._versionOf(path) !== version);
+    }
+}
+
+class FakeFirestore {
+    constructor() {
+        this._documents = new Map(); // path -> { data, version }
+        this._listeners = new Set();
+        this._version = 0;
+    }
+
+    collection(path) {
+        if (path.split('/').length % 2 !== 1) {
+            throw new Error(`Value for argument "collectionPath" must point to a collection, but was "${path}".`);
+        }
+        return new CollectionReference(this, path);
+    }
+
+    doc(path) {
+        return new DocumentReference(this, path);
+    }
+
+    collectionGroup(collectionId) {
+        return new Query(this, { collectionId });
+    }
+
+    async getAll(...refs) {
+        return refs.map(ref => this._snapshotOf(ref));
+    }
+
+    batch() {
+        return new WriteBatch(this);
+    }
+
+    // Runs `updateFunction` and commits its writes together. Like Firestore, the function is run
+    // again if a document it read was changed by someone else before the commit.
+    async runTransaction(updateFunction) {
+        for (let attempt = 1; ; attempt += 1) {
+            const transaction = new Transaction(this);
+            const result = await updateFunction(transaction);
+            if (!transaction._isStale()) {
+                this._commit(transaction._writes);
+                return result;
+            }
+            if (attempt === MAX_TRANSACTION_ATTEMPTS) {
+                throw createFirestoreError(10, 'ABORTED', 'Too much contention on these documents. Please try again.');
+            }
+        }
+    }
+
+    // --- Test helpers ---
+
+    // Every stored document as { path: data }, for assertions
+    dump() {
+        return Object.fromEntries(this._entries().map(({ path, data }) => [path, copyValue(data, '')]));
+    }
+
+    // --- Internals ---
+
+    _entries() {
+        return [...this._documents].map(([path, { data }]) => ({ path, data }));
+    }
+
+    _snapshotOf(ref) {
+        const stored = this._documents.get(ref.path);
+        return new DocumentSnapshot(this.doc(ref.path), stored ? stored.data : undefined);
+    }
+
+    _versionOf(path) {
+        const stored = this._documents.get(path);
+        return stored ? stored.version : 0;
+    }
+
+    // Applies all writes or none of them
+    _commit(writes) {
+        const pending = new Map();
+        const current = path => (pending.has(path) ? pending.get(path) : this._documents.get(path)?.data);
+        writes.forEach(({ type, ref, data, merge }) => {
+            const existing = current(ref.path);
+            if (type === 'create' && existing !== undefined) {
+                throw createFirestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${ref.path}`);
+            }
+            if (type === 'update' && existing === undefined) {
+                throw createFirestoreError(5, 'NOT_FOUND', `No document to update: ${ref.path}`);
+            }
+            if (type === 'delete') {
+                pending.set(ref.path, undefined);
+            } else if (type === 'update' || merge) {
+                pending.set(ref.path, writeFields(copyValue(existing || {}, ''), data, { dotted: type === 'update' }));
+            } else {
+                pending.set(ref.path, writeFields({}, data, { dotted: false }));
+            }
+        });
+        pending.forEach((data, path) => {
+            this._version += 1;
+            if (data === undefined) {
+                this._documents.delete(path);
+            } else {
+                this._documents.set(path, { data, version: this._version });
+            }
+        });
+        this._notify([...pending.keys()]);
+    }
+
+    // Listeners get the current state right away and again after every commit that touches them
+    _listen(target, deliver, onError) {
+        const listener = {
+            affectedBy: paths => paths.some(path => (target instanceof DocumentReference ? path === target.path : target._matchesPath(path))),
+            deliver: () => {
+                if (!this._listeners.has(listener)) {
+                    return;
+                }
+                try {
+                    deliver();
+                } catch (error) {
+                    this._listeners.delete(listener);
+                    if (onError) {
+                        onError(error);
+                    }
+                }
+            },
+        };
+        this._listeners.add(listener);
+        setImmediate(listener.deliver);
+        return () => this._listeners.delete(listener);
+    }
+
+    _notify(paths) {
+        this._listeners.forEach(listener => {
+            if (listener.affectedBy(paths)) {
+                setImmediate(listener.deliver);
+            }
+        });
+    }
+}
+
+module.exports = { FakeFirestore };
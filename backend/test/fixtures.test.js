@@ -0,0 +1,111 @@
+// backend/test/fixtures.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+describe('fixtures', () => {
+    let ctx;
+    let collections;
+    const schedule = { startDate: '01-03-2025', weekdays: ['sat'], kickoffTimes: ['16:00', '18:30'] };
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.teams, { a: { name: 'A' }, b: { name: 'B' }, c: { name: 'C' }, d: { name: 'D' }, old: { name: 'Old', archived: true } });
+        // A friendly already takes the first ID on the opening day
+        await seed(ctx.db, collections.matches, { '01032025-01': { homeTeamId: 'a', awayTeamId: 'b', date: '01-03-2025' } });
+    });
+    after(() => ctx.close());
+
+    describe('POST /fixtures/generate', () => {
+        it('previews the schedule without saving it, leaving out archived teams', async () => {
+            const res = await ctx.request('POST', '/fixtures/generate?dryRun=true', { body: schedule });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Fixture preview generated');
+            assert.equal(res.body.rounds, 3);
+            assert.deepEqual(res.body.fixtures.map(fixture => [fixture.matchId, fixture.time]), [
+                ['01032025-02', '16:00'], ['01032025-03', '18:30'],
+                ['08032025-01', '16:00'], ['08032025-02', '18:30'],
+                ['15032025-01', '16:00'], ['15032025-02', '18:30'],
+            ]);
+            assert.equal(await readDoc(ctx.db, `${collections.matches}/01032025-02`), undefined);
+        });
+
+        it('saves the fixtures as upcoming matches', async () => {
+            const res = await ctx.request('POST', '/fixtures/generate', { body: { ...schedule, teamIds: ['a', 'b'], venues: ['Thuwunna'], doubleRoundRobin: true } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Fixtures generated successfully');
+            assert.equal(res.body.rounds, 2);
+            const [first, second] = res.body.fixtures;
+            const match = await readDoc(ctx.db, `${collections.matches}/${first.matchId}`);
+            assert.equal(match.status, 'upcoming');
+            assert.equal(match.venue, 'Thuwunna');
+            assert.equal(match.round, 1);
+            assert.equal(match.kickoffAt.toDate().toISOString(), '2025-03-01T09:30:00.000Z');
+            // The return leg swaps home and away
+            assert.deepEqual([second.homeTeamId, second.awayTeamId], [first.awayTeamId, first.homeTeamId]);
+        });
+
+        it('skips match IDs left taken by a gap in the sequence', async () => {
+            // One match on the day, but it holds the second number after the first was deleted
+            const finished = { homeTeamId: 'c', awayTeamId: 'd', date: '22-03-2025', status: 'finished', homeScore: 1, awayScore: 0 };
+            await seed(ctx.db, collections.matches, { '22032025-02': finished });
+            const res = await ctx.request('POST', '/fixtures/generate', { body: { ...schedule, startDate: '22-03-2025', kickoffTimes: ['16:00'], teamIds: ['a', 'b'] } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.fixtures[0].matchId, '22032025-03');
+            assert.deepEqual(await readDoc(ctx.db, `${collections.matches}/22032025-02`), finished);
+        });
+
+        it('saves nothing and returns 409 if a match takes one of the IDs first', async () => {
+            const createBatch = ctx.db.batch.bind(ctx.db);
+            ctx.db.batch = () => {
+                const batch = createBatch();
+                const commit = batch.commit.bind(batch);
+                batch.commit = async () => {
+                    ctx.db.batch = createBatch;
+                    await seed(ctx.db, collections.matches, { '05042025-02': { homeTeamId: 'd', awayTeamId: 'c', date: '05-04-2025' } });
+                    return commit();
+                };
+                return batch;
+            };
+            try {
+                const res = await ctx.request('POST', '/fixtures/generate', { body: { ...schedule, startDate: '05-04-2025', teamIds: ['a', 'b', 'c', 'd'] } });
+                assert.equal(res.status, 409);
+                assert.equal(res.body.message, 'Matches were added on these dates while the fixtures were generated; nothing was saved, so generate them again.');
+                assert.equal(await readDoc(ctx.db, `${collections.matches}/05042025-01`), undefined);
+            } finally {
+                ctx.db.batch = createBatch;
+            }
+        });
+
+        it('validates the schedule', async () => {
+            const cases = [
+                [{ ...schedule, startDate: '2025-03-01' }, 'Start date must be a valid "DD-MM-YYYY" date.'],
+                [{ ...schedule, startDate: '31-02-2025' }, 'Start date must be a valid "DD-MM-YYYY" date.'],
+                [{ ...schedule, weekdays: ['someday'] }, 'Weekdays must be a non-empty list of day names or numbers (0 = Sunday).'],
+                [{ ...schedule, kickoffTimes: [] }, 'Kick-off times must be a non-empty list of "HH:MM" times.'],
+                [{ ...schedule, teamIds: ['a', 'z'] }, 'Unknown team IDs: z.'],
+                [{ ...schedule, teamIds: ['a', 'old'] }, 'Archived teams cannot be scheduled: old.'],
+                [{ ...schedule, teamIds: ['a'] }, 'At least two teams are needed to generate fixtures.'],
+            ];
+            for (const [body, message] of cases) {
+                const res = await ctx.request('POST', '/fixtures/generate', { body });
+                assert.equal(res.status, 400);
+                assert.equal(res.body.message, message);
+            }
+        });
+
+        it('needs matches:write', async () => {
+            assert.equal((await ctx.request('POST', '/fixtures/generate', { token: ctx.tokens.official, body: schedule })).status, 403);
+        });
+
+        it('refuses schedules too large to save in one batch', async () => {
+            const teamIds = Array.from({ length: 24 }, (value, index) => `t${index}`);
+            await seed(ctx.db, collections.teams, Object.fromEntries(teamIds.map(teamId => [teamId, { name: teamId }])));
+            const documentCount = Object.keys(ctx.db.dump()).length;
+            const res = await ctx.request('POST', '/fixtures/generate', { body: { ...schedule, teamIds } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'At most 250 fixtures can be saved at once; generate the schedule for fewer teams at a time.');
+            assert.equal(Object.keys(ctx.db.dump()).length, documentCount);
+        });
+    });
+});
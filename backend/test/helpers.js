@@ -0,0 +1,134 @@
+// backend/test/helpers.js
+const { mock } = require('node:test');
+const sharp = require('sharp');
+const { createApp } = require('../app');
+const { getLeagueCollections, SEASONS_COLLECTION } = require('../lib/paths');
+const { FakeAuth } = require('./fakes/auth');
+const { FakeFirestore } = require('./fakes/firestore');
+
+// --- Integration Test Helpers ---
+// Each test file starts the real app on a random port, backed by the in-memory Firestore and Auth
+// fakes and a file storage that keeps uploads in memory. Requests go through fetch, so routing,
+// middleware and JSON handling are exercised exactly as in production.
+
+// One user per role, plus a signed-in user without an admin role
+const TEST_USERS = {
+    superadmin: { uid: 'superadmin-uid', email: 'superadmin@example.com', customClaims: { role: 'superadmin' } },
+    editor: { uid: 'editor-uid', email: 'editor@example.com', customClaims: { role: 'editor' } },
+    official: { uid: 'official-uid', email: 'official@example.com', customClaims: { role: 'match-official' } },
+    fan: { uid: 'fan-uid', email: 'fan@example.com' },
+};
+
+function createMemoryStorage() {
+    const files = new Map();
+    return {
+        files,
+        async save(key, buffer, contentType) {
+            files.set(key, { buffer, contentType });
+            return `https://files.example.com/${key}`;
+        },
+        async remove(key) {
+            files.delete(key);
+        },
+    };
+}
+
+// Starts an app and returns { db, auth, fileStorage, tokens, request, close }. `request(method, path,
+// options)` sends `body` as JSON (or as is for FormData and strings) with the superadmin's token
+// unless `token` is given (null sends none), and resolves to { status, headers, body }.
+async function startTestApp({ quiet = true } = {}) {
+    if (quiet) {
+        // Request logging and the expected error logs of failure tests would drown the test report
+        mock.method(console, 'log', () => {});
+        mock.method(console, 'warn', () => {});
+        mock.method(console, 'error', () => {});
+    }
+    const db = new FakeFirestore();
+    const auth = new FakeAuth();
+    const fileStorage = createMemoryStorage();
+    const tokens = {};
+    Object.entries(TEST_USERS).forEach(([name, user]) => {
+        auth.addUser(user);
+        tokens[name] = auth.signIn(user.uid);
+    });
+
+    const app = createApp({ db, auth, fileStorage });
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    /**
+     * @param {string} method
+     * @param {string} path
+     * @param {{ token?: string | null, body?: any, headers?: Record<string, string>, signal?: AbortSignal }} [options]
+     */
+    async function request(method, path, { token = tokens.superadmin, body, headers = {}, signal } = {}) {
+        const requestHeaders = { ...headers };
+        if (token) {
+            requestHeaders.Authorization = `Bearer ${token}`;
+        }
+        let requestBody = body;
+        if (body !== undefined && !(body instanceof FormData) && typeof body !== 'string') {
+            requestHeaders['Content-Type'] = 'application/json';
+            requestBody = JSON.stringify(body);
+        }
+        const response = await fetch(`${baseUrl}${path}`, { method, headers: requestHeaders, body: requestBody, signal });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+    }
+
+    async function close() {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        mock.restoreAll();
+    }
+
+    return { db, auth, fileStorage, tokens, baseUrl, request, close };
+}
+
+// Writes documents straight into the fake, bypassing the API. `docs` maps IDs to data.
+async function seed(db, collectionPath, docs) {
+    const batch = db.batch();
+    Object.entries(docs).forEach(([id, data]) => batch.set(db.collection(collectionPath).doc(id), data));
+    await batch.commit();
+}
+
+// Creates an active season and returns its collections
+async function seedActiveSeason(db, id = '2025', data = {}) {
+    await seed(db, SEASONS_COLLECTION, {
+        [id]: { name: id, startDate: '01-01-2025', endDate: '31-12-2025', status: 'active', transferWindows: [], ...data },
+    });
+    return getLeagueCollections(id);
+}
+
+async function readDoc(db, path) {
+    const doc = await db.doc(path).get();
+    return doc.exists ? doc.data() : undefined;
+}
+
+// A small PNG for upload tests
+/** @param {keyof import('sharp').FormatEnum} [format] */
+function createTestImage(format = 'png') {
+    return sharp({ create: { width: 32, height: 24, channels: 3, background: { r: 200, g: 30, b: 30 } } })
+        .toFormat(format)
+        .toBuffer();
+}
+
+function imageForm(field, buffers, { type = 'image/png', name = 'image.png' } = {}) {
+    const form = new FormData();
+    buffers.forEach(buffer => form.append(field, new Blob([buffer], { type }), name));
+    return form;
+}
+
+module.exports = {
+    TEST_USERS,
+    startTestApp,
+    seed,
+    seedActiveSeason,
+    readDoc,
+    createTestImage,
+    imageForm,
+    getLeagueCollections,
+};
@@ -0,0 +1,148 @@
+// backend/test/import-export.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+describe('import and export', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.teams, { red: { name: 'Red FC', played: 0, won: 0, draw: 0, lost: 0, gf: 0, ga: 0 } });
+    });
+    after(() => ctx.close());
+
+    function importCsv(resource, csv, query = '') {
+        return ctx.request('POST', `/import/${resource}${query}`, { body: csv, headers: { 'Content-Type': 'text/csv' } });
+    }
+
+    describe('POST /import/:resource', () => {
+        it('imports CSV rows with and without IDs', async () => {
+            const res = await importCsv('teams', 'id,name,name_mm\nblue,Blue FC,\n,"Green, United",ဂရင်း\n');
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Import completed successfully');
+            assert.deepEqual([res.body.created, res.body.updated, res.body.standingsRebuilt], [2, 0, false]);
+            assert.deepEqual(res.body.rows[0], { row: 1, id: 'blue', action: 'create' });
+            const green = await readDoc(ctx.db, `${collections.teams}/${res.body.rows[1].id}`);
+            assert.equal(green.name, 'Green, United');
+            assert.equal(green.played, 0);
+            assert.ok(green.searchTokens.includes('green'));
+        });
+
+        it('refuses the standings columns', async () => {
+            const res = await importCsv('teams', 'name,played,won\nGold FC,3,3\n');
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors[0].errors.map(error => error.field), ['played', 'won']);
+        });
+
+        it('previews without writing', async () => {
+            const res = await ctx.request('POST', '/import/players?dryRun=true', { body: [{ id: 'p9', name: 'Preview', position: 'FW', team_id: 'red' }] });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Import preview');
+            assert.equal(await readDoc(ctx.db, `${collections.players}/p9`), undefined);
+        });
+
+        it('updates existing documents only in upsert mode', async () => {
+            const rows = { rows: [{ id: 'blue', name: 'Blue Star' }] };
+            const create = await ctx.request('POST', '/import/teams', { body: rows });
+            assert.equal(create.status, 400);
+            assert.deepEqual(create.body.errors, [{ row: 1, id: 'blue', errors: [{ field: 'id', message: 'blue already exists; use mode=upsert to update it.' }] }]);
+
+            const upsert = await ctx.request('POST', '/import/teams?mode=upsert', { body: rows });
+            assert.equal(upsert.status, 201);
+            assert.equal(upsert.body.updated, 1);
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/blue`)).name, 'Blue Star');
+        });
+
+        it('refuses to move players between teams', async () => {
+            await seed(ctx.db, collections.players, { p1: { name: 'Stays', position: 'FW', team_id: 'red', archived: false } });
+            const res = await ctx.request('POST', '/import/players?mode=upsert', { body: [{ id: 'p1', name: 'Stays', team_id: 'blue' }] });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors[0].errors, [{ field: 'team_id', message: 'Use POST /players/:id/transfer to move a player to another team.' }]);
+            assert.equal((await ctx.request('POST', '/import/players?mode=upsert', { body: [{ id: 'p1', name: 'Still Here', team_id: 'red' }] })).status, 201);
+            assert.equal((await readDoc(ctx.db, `${collections.players}/p1`)).team_id, 'red');
+        });
+
+        it('registers imported players on their registration date', async () => {
+            const res = await importCsv('players', 'id,name,position,team_id,registeredOn\np2,Newcomer,DF,red,01-02-2025\np3,Typo,DF,red,2025-02-01\n');
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors, [{ row: 2, id: 'p3', errors: [{ field: 'registeredOn', message: 'registeredOn must be a valid "DD-MM-YYYY" date.' }] }]);
+
+            assert.equal((await importCsv('players', 'id,name,position,team_id,registeredOn\np2,Newcomer,DF,red,01-02-2025\n')).status, 201);
+            const transfers = Object.entries(ctx.db.dump()).filter(([path]) => path.startsWith(`${collections.players}/p2/transfers/`));
+            assert.deepEqual(transfers.map(([, transfer]) => [transfer.type, transfer.toTeamId, transfer.date]), [['registration', 'red', '01-02-2025']]);
+        });
+
+        it('gives imported matches daily IDs and rebuilds the table for results', async () => {
+            const csv = 'homeTeamId,awayTeamId,date,time,status,homeScore,awayScore\nred,blue,01-03-2025,16:00,finished,2,1\nblue,red,01-03-2025,18:00,upcoming,0,0\n';
+            const res = await importCsv('matches', csv);
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body.rows.map(row => row.id), ['01032025-01', '01032025-02']);
+            assert.equal(res.body.standingsRebuilt, true);
+            const match = await readDoc(ctx.db, `${collections.matches}/01032025-01`);
+            assert.equal(match.matchId, '01032025-01');
+            assert.equal(match.kickoffAt.toDate().toISOString(), '2025-03-01T09:30:00.000Z');
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/red`)).won, 1);
+        });
+
+        it('skips match IDs that are taken after a gap in the day', async () => {
+            const finished = { homeTeamId: 'red', awayTeamId: 'blue', date: '08-03-2025', status: 'finished', homeScore: 0, awayScore: 0 };
+            await seed(ctx.db, collections.matches, { '08032025-02': finished });
+            const res = await ctx.request('POST', '/import/matches', { body: [{ homeTeamId: 'blue', awayTeamId: 'red', date: '08-03-2025' }] });
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body.rows.map(row => row.id), ['08032025-03']);
+            assert.deepEqual(await readDoc(ctx.db, `${collections.matches}/08032025-02`), finished);
+        });
+
+        it('reports every invalid row and writes nothing', async () => {
+            const res = await ctx.request('POST', '/import/players', { body: [
+                { name: 'Valid', position: 'GK', team_id: 'red' },
+                { name: 'No Team', position: 'GK', team_id: 'ghosts' },
+                { id: 'a/b', name: 'Bad ID', position: 'GK', team_id: 'red' },
+            ] });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Import failed validation in 2 row(s); nothing was written.');
+            assert.deepEqual(res.body.errors.map(error => error.row), [2, 3]);
+            assert.deepEqual((await ctx.request('GET', '/players')).body.items.map(player => player.id), ['p2', 'p1']);
+        });
+
+        it('rejects bad requests', async () => {
+            const unknown = await ctx.request('POST', '/import/news', { body: [] });
+            assert.equal(unknown.status, 404);
+            assert.equal(unknown.body.message, 'Only teams, players, matches can be imported.');
+            assert.equal((await ctx.request('POST', '/import/teams?mode=replace', { body: [] })).body.message, 'mode must be one of: create, upsert.');
+            assert.equal((await ctx.request('POST', '/import/teams', { body: [] })).body.message, 'The import has no rows.');
+            const shape = await ctx.request('POST', '/import/teams', { body: { rows: 'nope' } });
+            assert.equal(shape.status, 400);
+            assert.equal(shape.body.message, 'Send the rows as CSV (Content-Type: text/csv) or as a JSON array of objects.');
+            assert.equal((await ctx.request('POST', '/import/teams', { token: ctx.tokens.editor, body: [{ name: 'X' }] })).status, 403);
+        });
+    });
+
+    describe('GET /export/:resource', () => {
+        it('exports CSV with the import columns', async () => {
+            const res = await ctx.request('GET', '/export/teams');
+            assert.equal(res.status, 200);
+            assert.match(res.headers.get('content-type'), /^text\/csv/);
+            assert.equal(res.headers.get('content-disposition'), 'attachment; filename="teams-2025.csv"');
+            const [header, ...lines] = res.body.trim().split('\r\n');
+            assert.equal(header, 'id,LogoUrl,name,name_mm');
+            assert.ok(lines.includes('red,,Red FC,'));
+            assert.ok(lines.some(line => line.includes('"Green, United"')));
+        });
+
+        it('exports JSON', async () => {
+            const res = await ctx.request('GET', '/export/matches?format=json');
+            assert.deepEqual(res.body.map(match => match.id), ['01032025-01', '01032025-02', '08032025-02', '08032025-03']);
+            assert.equal(res.body[0].homeScore, 2);
+        });
+
+        it('rejects unknown resources and formats', async () => {
+            assert.equal((await ctx.request('GET', '/export/news')).status, 404);
+            const format = await ctx.request('GET', '/export/teams?format=xml');
+            assert.equal(format.status, 400);
+            assert.equal(format.body.message, 'format must be csv or json.');
+        });
+    });
+});
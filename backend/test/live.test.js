@@ -0,0 +1,255 @@
+// backend/test/live.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+describe('match events and live matches', () => {
+    let ctx;
+    let collections;
+    let matchCount = 0;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.teams, {
+            home: { name: 'Home FC', played: 0, won: 0, draw: 0, lost: 0, gf: 0, ga: 0 },
+            away: { name: 'Away FC', played: 0, won: 0, draw: 0, lost: 0, gf: 0, ga: 0 },
+            other: { name: 'Other FC' },
+        });
+        await seed(ctx.db, collections.players, {
+            striker: { name: 'Striker', team_id: 'home', position: 'FW' },
+            winger: { name: 'Winger', team_id: 'home', position: 'MF' },
+            defender: { name: 'Defender', team_id: 'away', position: 'DF' },
+            outsider: { name: 'Outsider', team_id: 'other', position: 'GK' },
+        });
+    });
+    after(() => ctx.close());
+
+    // Seeds a match directly so each test starts from a known score and status
+    async function seedMatch(data = {}) {
+        matchCount += 1;
+        const id = `match-${matchCount}`;
+        await seed(ctx.db, collections.matches, {
+            [id]: { homeTeamId: 'home', awayTeamId: 'away', date: '01-03-2025', status: 'ongoing', homeScore: 0, awayScore: 0, ...data },
+        });
+        return id;
+    }
+
+    async function addEvent(matchId, body, token) {
+        return ctx.request('POST', `/matches/${matchId}/events`, { body, token });
+    }
+
+    describe('match events', () => {
+        it('records goals and moves the score', async () => {
+            const id = await seedMatch();
+            const goal = await addEvent(id, { type: 'goal', minute: 10, player_id: 'striker', assist_player_id: 'winger' });
+            assert.equal(goal.status, 201);
+            assert.equal(goal.body.message, 'Match event added successfully');
+            await addEvent(id, { type: 'own_goal', minute: 30, player_id: 'striker' }, ctx.tokens.official);
+
+            const match = await readDoc(ctx.db, `${collections.matches}/${id}`);
+            assert.equal(match.homeScore, 1);
+            assert.equal(match.awayScore, 1);
+            const event = await readDoc(ctx.db, `${collections.matches}/${id}/events/${goal.body.id}`);
+            assert.deepEqual(event, { type: 'goal', minute: 10, player_id: 'striker', team_id: 'home', seasonId: '2025', assist_player_id: 'winger' });
+        });
+
+        it('lists events by minute', async () => {
+            const id = await seedMatch();
+            await addEvent(id, { type: 'yellow', minute: 70, player_id: 'defender' });
+            await addEvent(id, { type: 'substitution', minute: 46, player_id: 'striker', sub_player_id: 'winger' });
+            const res = await ctx.request('GET', `/matches/${id}/events`);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(event => event.minute), [46, 70]);
+            assert.equal((await ctx.request('GET', '/matches/missing/events')).status, 404);
+        });
+
+        it('updates and deletes events, correcting the score and a finished match\'s standings', async () => {
+            // Seeded directly, so the 0-0 draw is not in the table yet; only the changes are checked
+            const id = await seedMatch({ status: 'finished' });
+            const before = await readDoc(ctx.db, `${collections.teams}/away`);
+            const goal = await addEvent(id, { type: 'goal', minute: 5, player_id: 'defender' });
+            let away = await readDoc(ctx.db, `${collections.teams}/away`);
+            assert.deepEqual([away.won, away.draw], [before.won + 1, before.draw - 1]);
+
+            const update = await ctx.request('PUT', `/matches/${id}/events/${goal.body.id}`, { body: { player_id: 'striker' } });
+            assert.equal(update.status, 200);
+            assert.equal(update.body.message, 'Match event updated successfully');
+            let match = await readDoc(ctx.db, `${collections.matches}/${id}`);
+            assert.deepEqual([match.homeScore, match.awayScore], [1, 0]);
+            away = await readDoc(ctx.db, `${collections.teams}/away`);
+            assert.deepEqual([away.won, away.lost], [before.won, before.lost + 1]);
+
+            const removed = await ctx.request('DELETE', `/matches/${id}/events/${goal.body.id}`);
+            assert.equal(removed.status, 200);
+            assert.equal(removed.body.message, 'Match event deleted successfully');
+            match = await readDoc(ctx.db, `${collections.matches}/${id}`);
+            assert.deepEqual([match.homeScore, match.awayScore], [0, 0]);
+            assert.deepEqual(await readDoc(ctx.db, `${collections.teams}/away`), before);
+            assert.equal(await readDoc(ctx.db, `${collections.matches}/${id}/events/${goal.body.id}`), undefined);
+        });
+
+        it('flags a player as suspended when yellow cards reach the threshold', async () => {
+            const yellows = [];
+            for (let minute = 1; minute <= 5; minute += 1) {
+                const id = await seedMatch();
+                const res = await addEvent(id, { type: 'yellow', minute, player_id: 'winger' });
+                assert.equal(res.status, 201);
+                yellows.push(`/matches/${id}/events/${res.body.id}`);
+            }
+            const suspension = async () => {
+                const player = await readDoc(ctx.db, `${collections.players}/winger`);
+                return [player.suspended, player.yellow_suspensions];
+            };
+            assert.deepEqual(await suspension(), [true, 1]);
+
+            // Turning a yellow into a red or giving it to another player withdraws the ban; deletes do too
+            await ctx.request('PUT', yellows[0], { body: { type: 'red' } });
+            assert.deepEqual(await suspension(), [false, 0]);
+            await ctx.request('PUT', yellows[0], { body: { type: 'yellow' } });
+            assert.deepEqual(await suspension(), [true, 1]);
+            await ctx.request('PUT', yellows[1], { body: { player_id: 'striker' } });
+            assert.deepEqual(await suspension(), [false, 0]);
+            await ctx.request('PUT', yellows[1], { body: { player_id: 'winger' } });
+            await ctx.request('DELETE', yellows[2]);
+            assert.deepEqual(await suspension(), [false, 0]);
+
+            // Deleting a whole match takes its yellow cards out of the count too
+            await addEvent(await seedMatch(), { type: 'yellow', minute: 6, player_id: 'winger' });
+            assert.deepEqual(await suspension(), [true, 1]);
+            await ctx.request('DELETE', yellows[0].split('/events/')[0]);
+            assert.deepEqual(await suspension(), [false, 0]);
+        });
+
+        it('checks players against their team at kick-off', async () => {
+            await seed(ctx.db, collections.players, { mover: { name: 'Mover', team_id: 'home', position: 'MF' } });
+            const id = await seedMatch({ kickoffAt: getMyanmarTimestamp('01-03-2025', '16:00') });
+            const goal = await addEvent(id, { type: 'goal', minute: 10, player_id: 'mover' });
+            await ctx.request('POST', '/players/mover/transfer', { body: { toTeamId: 'other', date: '10-03-2025' } });
+
+            const update = await ctx.request('PUT', `/matches/${id}/events/${goal.body.id}`, { body: { minute: 12 } });
+            assert.equal(update.status, 200);
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/${id}/events/${goal.body.id}`)).team_id, 'home');
+            const later = await seedMatch({ date: '15-03-2025', kickoffAt: getMyanmarTimestamp('15-03-2025', '16:00') });
+            assert.equal((await addEvent(later, { type: 'goal', minute: 10, player_id: 'mover' })).status, 400);
+        });
+
+        it('validates events', async () => {
+            const id = await seedMatch();
+            const invalid = await addEvent(id, { type: 'corner', minute: 131 });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors.map(error => error.field), ['type', 'minute', 'player_id']);
+
+            const twice = await addEvent(id, { type: 'goal', minute: 1, player_id: 'striker', assist_player_id: 'striker' });
+            assert.equal(twice.body.errors[0].message, 'An event cannot reference the same player twice.');
+            const unknown = await addEvent(id, { type: 'red', minute: 1, player_id: 'nobody' });
+            assert.equal(unknown.body.errors[0].message, 'player_id does not match an existing player.');
+            const outsider = await addEvent(id, { type: 'red', minute: 1, player_id: 'outsider' });
+            assert.equal(outsider.body.errors[0].message, 'Player does not belong to either team in this match.');
+            const mixed = await addEvent(id, { type: 'goal', minute: 1, player_id: 'striker', assist_player_id: 'defender' });
+            assert.equal(mixed.body.errors[0].message, 'assist_player_id must belong to the same team as player_id.');
+        });
+
+        it('returns 404s for unknown matches and events', async () => {
+            const id = await seedMatch();
+            assert.equal((await addEvent('missing', { type: 'red', minute: 1, player_id: 'striker' })).status, 404);
+            const put = await ctx.request('PUT', `/matches/${id}/events/missing`, { body: { minute: 3 } });
+            assert.equal(put.status, 404);
+            assert.equal(put.body.message, 'Match event not found.');
+            assert.equal((await ctx.request('DELETE', `/matches/${id}/events/missing`)).status, 404);
+            assert.equal((await ctx.request('DELETE', `/matches/missing/events/missing`)).body.message, 'Match not found.');
+        });
+
+        it('is closed to editors', async () => {
+            const id = await seedMatch();
+            assert.equal((await addEvent(id, { type: 'red', minute: 1, player_id: 'striker' }, ctx.tokens.editor)).status, 403);
+        });
+    });
+
+    describe('POST /matches/:id/live/:action', () => {
+        it('runs a match from kickoff to full-time', async () => {
+            const id = await seedMatch({ status: 'upcoming' });
+            const kickoff = await ctx.request('POST', `/matches/${id}/live/kickoff`, { token: ctx.tokens.official });
+            assert.equal(kickoff.status, 200);
+            assert.equal(kickoff.body.message, 'Match updated successfully');
+            assert.equal(kickoff.body.match.status, 'ongoing');
+            assert.equal(kickoff.body.match.clock.period, 'first_half');
+            assert.equal(kickoff.body.match.clock.minute, 1);
+
+            const score = await ctx.request('POST', `/matches/${id}/live/score`, { body: { team: 'away' } });
+            assert.equal(score.body.match.awayScore, 1);
+            await ctx.request('POST', `/matches/${id}/live/half-time`);
+            await ctx.request('POST', `/matches/${id}/live/second-half`);
+            const before = await readDoc(ctx.db, `${collections.teams}/away`);
+            const fullTime = await ctx.request('POST', `/matches/${id}/live/full-time`);
+            assert.equal(fullTime.body.match.status, 'finished');
+            assert.deepEqual(fullTime.body.match.clock, { period: 'full_time', running: false, minute: 90, periodStartedAt: null });
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/away`)).won, before.won + 1);
+        });
+
+        it('refuses out-of-order periods unless forced', async () => {
+            const id = await seedMatch({ status: 'upcoming' });
+            const res = await ctx.request('POST', `/matches/${id}/live/half-time`);
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'The match is at not_started, so it cannot move to half_time. Use force=true to override.');
+            const forced = await ctx.request('POST', `/matches/${id}/live/half-time?force=true`);
+            assert.equal(forced.status, 200);
+            assert.equal(forced.body.match.clock.period, 'half_time');
+        });
+
+        it('only changes the score of an ongoing match, and never below 0', async () => {
+            const upcoming = await seedMatch({ status: 'upcoming' });
+            const early = await ctx.request('POST', `/matches/${upcoming}/live/score`, { body: { team: 'home' } });
+            assert.equal(early.status, 409);
+            assert.equal(early.body.message, 'The score can only be changed live while the match is ongoing. Use force=true to override.');
+
+            const ongoing = await seedMatch();
+            const negative = await ctx.request('POST', `/matches/${ongoing}/live/score`, { body: { team: 'home', delta: -1 } });
+            assert.equal(negative.status, 400);
+            assert.equal(negative.body.message, 'homeScore cannot go below 0.');
+        });
+
+        it('validates the action and score body', async () => {
+            const id = await seedMatch();
+            const unknown = await ctx.request('POST', `/matches/${id}/live/extra-time`);
+            assert.equal(unknown.status, 404);
+            assert.equal(unknown.body.message, 'Unknown live action. Use kickoff, half-time, second-half, full-time or score.');
+            const invalid = await ctx.request('POST', `/matches/${id}/live/score`, { body: { team: 'both', delta: 2 } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors.map(error => error.field), ['team', 'delta']);
+            assert.equal((await ctx.request('POST', '/matches/missing/live/kickoff')).status, 404);
+        });
+    });
+
+    describe('GET /matches/:id/live', () => {
+        it('streams the match and its events without a token', async () => {
+            const id = await seedMatch({ homeScore: 2 });
+            await seed(ctx.db, `${collections.matches}/${id}/events`, { e1: { type: 'goal', minute: 9, player_id: 'striker', team_id: 'home' } });
+            const controller = new AbortController();
+            const response = await fetch(`${ctx.baseUrl}/matches/${id}/live`, { signal: controller.signal });
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let text = '';
+            while (!text.includes('event: events')) {
+                const { value } = await reader.read();
+                text += decoder.decode(value, { stream: true });
+            }
+            controller.abort();
+
+            assert.ok(text.startsWith('retry: 3000\n\n'));
+            const match = JSON.parse(text.match(/event: match\ndata: (.*)\n/)[1]);
+            assert.equal(match.homeScore, 2);
+            const events = JSON.parse(text.match(/event: events\ndata: (.*)\n/)[1]);
+            assert.deepEqual(events.map(event => event.id), ['e1']);
+        });
+
+        it('returns 404 for an unknown match', async () => {
+            const res = await ctx.request('GET', '/matches/missing/live', { token: null });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Match not found.');
+        });
+    });
+});
@@ -0,0 +1,231 @@
+// backend/test/matches.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+const EMPTY_LINE = { played: 0, won: 0, draw: 0, lost: 0, gf: 0, ga: 0 };
+
+describe('matches', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.teams, {
+            home: { name: 'Home FC', ...EMPTY_LINE },
+            away: { name: 'Away FC', ...EMPTY_LINE },
+            third: { name: 'Third FC', ...EMPTY_LINE },
+        });
+    });
+    after(() => ctx.close());
+
+    async function createMatch(body) {
+        const res = await ctx.request('POST', '/matches', { body: { homeTeamId: 'home', awayTeamId: 'away', date: '01-03-2025', ...body } });
+        assert.equal(res.status, 201, JSON.stringify(res.body));
+        return res.body.id;
+    }
+
+    async function tableLine(teamId) {
+        const team = await readDoc(ctx.db, `${collections.teams}/${teamId}`);
+        return Object.fromEntries(Object.keys(EMPTY_LINE).map(field => [field, team[field]]));
+    }
+
+    describe('POST /matches', () => {
+        it('creates a match with a daily ID and a Myanmar-time kickoff', async () => {
+            const res = await ctx.request('POST', '/matches', { body: { homeTeamId: 'home', awayTeamId: 'away', date: '05-04-2025', time: '16:30', venue: 'Thuwunna' } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Match added successfully');
+            assert.equal(res.body.id, '05042025-01');
+            const match = await readDoc(ctx.db, `${collections.matches}/${res.body.id}`);
+            assert.equal(match.status, 'upcoming');
+            assert.equal(match.matchId, '05042025-01');
+            assert.equal(match.kickoffAt.toDate().toISOString(), '2025-04-05T10:00:00.000Z');
+
+            assert.equal(await createMatch({ date: '05-04-2025', homeTeamId: 'third' }), '05042025-02');
+        });
+
+        it('counts a match entered as finished in the table', async () => {
+            const before = await tableLine('third');
+            await createMatch({ homeTeamId: 'third', awayTeamId: 'away', date: '02-03-2025', status: 'finished', homeScore: 2, awayScore: 0 });
+            const line = await tableLine('third');
+            assert.equal(line.played, before.played + 1);
+            assert.equal(line.won, before.won + 1);
+            assert.equal(line.gf, before.gf + 2);
+        });
+
+        it('validates fields, references and cross-field rules', async () => {
+            const res = await ctx.request('POST', '/matches', { body: { homeTeamId: 'home', awayTeamId: 'home', date: '31-02-2025', time: '25:00', status: 'postponed' } });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map(error => error.field), ['date', 'status', 'time', 'awayTeamId']);
+
+            const unknown = await ctx.request('POST', '/matches', { body: { homeTeamId: 'home', awayTeamId: 'ghosts', date: '01-03-2025' } });
+            assert.deepEqual(unknown.body.errors, [{ field: 'awayTeamId', message: 'awayTeamId does not match an existing team.' }]);
+        });
+
+        it('skips IDs that are still taken after a deletion', async () => {
+            // Deleting a match lowers the count for the day, so the counted ID is already taken
+            const first = await createMatch({ date: '09-09-2025' });
+            const second = await createMatch({ date: '09-09-2025' });
+            await ctx.request('DELETE', `/matches/${first}`);
+            assert.equal(await createMatch({ date: '09-09-2025' }), '09092025-03');
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/${second}`)).matchId, '09092025-02');
+        });
+
+        it('is closed to match officials', async () => {
+            const res = await ctx.request('POST', '/matches', { token: ctx.tokens.official, body: { homeTeamId: 'home', awayTeamId: 'away', date: '01-03-2025' } });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('GET /matches', () => {
+        let listCtx;
+        before(async () => {
+            listCtx = await startTestApp();
+            const listCollections = await seedActiveSeason(listCtx.db);
+            await seed(listCtx.db, listCollections.teams, { a: { name: 'A' }, b: { name: 'B' }, c: { name: 'C' } });
+            for (const [homeTeamId, awayTeamId, date, time, status] of [
+                ['a', 'b', '01-03-2025', '18:00', 'finished'],
+                ['b', 'c', '08-03-2025', '09:00', 'finished'],
+                ['c', 'a', '08-03-2025', '18:00', 'upcoming'],
+                ['a', 'c', '15-03-2025', '18:00', 'upcoming'],
+            ]) {
+                const res = await listCtx.request('POST', '/matches', { body: { homeTeamId, awayTeamId, date, time, status, venue: 'ရန်ကုန်', venue_en: 'Yangon' } });
+                assert.equal(res.status, 201);
+            }
+        });
+        after(() => listCtx.close());
+
+        it('sorts by kickoff, newest first by default', async () => {
+            const res = await listCtx.request('GET', '/matches');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.items.map(match => match.id), ['15032025-01', '08032025-02', '08032025-01', '01032025-01']);
+            const ascending = await listCtx.request('GET', '/matches?sort=time&limit=1');
+            assert.deepEqual(ascending.body.items.map(match => match.id), ['01032025-01']);
+            assert.equal(ascending.body.total, 4);
+        });
+
+        it('filters by status, either team and date range', async () => {
+            const finished = await listCtx.request('GET', '/matches?status=finished');
+            assert.equal(finished.body.total, 2);
+            const teamA = await listCtx.request('GET', '/matches?teamId=a&sort=date');
+            assert.deepEqual(teamA.body.items.map(match => match.id), ['01032025-01', '08032025-02', '15032025-01']);
+            const week = await listCtx.request('GET', '/matches?from=08-03-2025&to=08-03-2025&sort=date');
+            assert.deepEqual(week.body.items.map(match => match.id), ['08032025-01', '08032025-02']);
+            const english = await listCtx.request('GET', '/matches?lang=en&limit=1');
+            assert.equal(english.body.items[0].venue, 'Yangon');
+        });
+
+        it('rejects bad ranges and sorts', async () => {
+            const badDate = await listCtx.request('GET', '/matches?from=2025-03-01');
+            assert.equal(badDate.status, 400);
+            assert.equal(badDate.body.message, 'from and to must be in "DD-MM-YYYY" format.');
+            const badSort = await listCtx.request('GET', '/matches?from=01-03-2025&sort=status');
+            assert.equal(badSort.status, 400);
+            assert.equal(badSort.body.message, 'Results filtered by from/to must be sorted by date first.');
+            assert.equal((await listCtx.request('GET', '/matches?sort=venue')).status, 400);
+        });
+    });
+
+    describe('PUT /matches/:id', () => {
+        it('moves the table when a match finishes and when its score is corrected', async () => {
+            const before = { home: await tableLine('home'), away: await tableLine('away') };
+            const id = await createMatch({ date: '10-03-2025' });
+            await ctx.request('PUT', `/matches/${id}`, { body: { status: 'ongoing' } });
+            const finish = await ctx.request('PUT', `/matches/${id}`, { body: { status: 'finished', homeScore: 1, awayScore: 1 } });
+            assert.equal(finish.status, 200);
+            assert.equal(finish.body.message, 'Match updated successfully');
+            assert.equal((await tableLine('home')).draw, before.home.draw + 1);
+
+            await ctx.request('PUT', `/matches/${id}`, { body: { homeScore: 3 } });
+            const home = await tableLine('home');
+            assert.equal(home.draw, before.home.draw);
+            assert.equal(home.won, before.home.won + 1);
+            assert.equal(home.gf, before.home.gf + 3);
+            assert.equal((await tableLine('away')).lost, before.away.lost + 1);
+
+            // Un-finishing takes it back out
+            await ctx.request('PUT', `/matches/${id}?force=true`, { body: { status: 'ongoing' } });
+            assert.deepEqual(await tableLine('home'), before.home);
+        });
+
+        it('refuses status changes the live console would not make unless forced', async () => {
+            const id = await createMatch({ date: '15-03-2025' });
+            const skip = await ctx.request('PUT', `/matches/${id}`, { token: ctx.tokens.official, body: { status: 'finished' } });
+            assert.equal(skip.status, 409);
+            assert.equal(skip.body.message, 'The match is upcoming, so it cannot become finished. Use force=true to override.');
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/${id}`)).status, 'upcoming');
+
+            assert.equal((await ctx.request('PUT', `/matches/${id}?force=true`, { body: { status: 'finished' } })).status, 200);
+            const audit = Object.values(ctx.db.dump()).find(entry => entry.path === `${collections.matches}/${id}` && entry.action === 'update');
+            assert.equal(audit.forced, true);
+        });
+
+        it('recomputes kickoffAt when the date or time changes', async () => {
+            const id = await createMatch({ date: '11-03-2025', time: '10:00' });
+            await ctx.request('PUT', `/matches/${id}`, { body: { time: '19:30' } });
+            const match = await readDoc(ctx.db, `${collections.matches}/${id}`);
+            assert.equal(match.kickoffAt.toDate().toISOString(), '2025-03-11T13:00:00.000Z');
+        });
+
+        it('lets match officials change only the score and status', async () => {
+            const id = await createMatch({ date: '12-03-2025' });
+            const score = await ctx.request('PUT', `/matches/${id}`, { token: ctx.tokens.official, body: { homeScore: 1, status: 'ongoing' } });
+            assert.equal(score.status, 200);
+            const venue = await ctx.request('PUT', `/matches/${id}`, { token: ctx.tokens.official, body: { venue: 'Elsewhere' } });
+            assert.equal(venue.status, 403);
+            assert.equal(venue.body.message, 'Forbidden: You can only update the score and status of a match.');
+            assert.equal((await ctx.request('PUT', `/matches/${id}`, { token: ctx.tokens.editor, body: { homeScore: 2 } })).status, 403);
+        });
+
+        it('checks cross-field rules against the stored match', async () => {
+            const id = await createMatch({ date: '13-03-2025' });
+            const res = await ctx.request('PUT', `/matches/${id}`, { body: { awayTeamId: 'home' } });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors, [{ field: 'awayTeamId', message: 'awayTeamId must be different from homeTeamId.' }]);
+        });
+
+        it('returns 404 and 400 errors', async () => {
+            assert.equal((await ctx.request('PUT', '/matches/missing', { body: { homeScore: 1 } })).status, 404);
+            assert.equal((await ctx.request('PUT', '/matches/missing', { body: { homeScore: -1 } })).status, 400);
+        });
+    });
+
+    describe('DELETE /matches/:id', () => {
+        it('deletes a match with its events and takes it out of the table', async () => {
+            const before = await tableLine('away');
+            const id = await createMatch({ date: '14-03-2025', status: 'finished', awayScore: 2 });
+            await seed(ctx.db, `${collections.matches}/${id}/events`, { e1: { type: 'yellow', minute: 5, player_id: 'p', team_id: 'away' } });
+            assert.equal((await tableLine('away')).won, before.won + 1);
+
+            const res = await ctx.request('DELETE', `/matches/${id}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Match deleted successfully');
+            assert.deepEqual(await tableLine('away'), before);
+            assert.ok(Object.keys(ctx.db.dump()).every(path => !path.startsWith(`${collections.matches}/${id}`)));
+        });
+
+        it('succeeds for a match that is already gone and needs matches:write', async () => {
+            assert.equal((await ctx.request('DELETE', '/matches/missing')).status, 200);
+            assert.equal((await ctx.request('DELETE', '/matches/missing', { token: ctx.tokens.official })).status, 403);
+        });
+    });
+
+    describe('POST /standings/rebuild', () => {
+        it('recomputes the table from finished matches', async () => {
+            const expected = { home: await tableLine('home'), away: await tableLine('away'), third: await tableLine('third') };
+            await ctx.db.doc(`${collections.teams}/home`).update({ played: 99, won: 42 });
+
+            const res = await ctx.request('POST', '/standings/rebuild');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Standings rebuilt successfully');
+            assert.equal(res.body.teams, 3);
+            for (const teamId of Object.keys(expected)) {
+                assert.deepEqual(await tableLine(teamId), expected[teamId]);
+            }
+        });
+
+        it('is limited to superadmins', async () => {
+            assert.equal((await ctx.request('POST', '/standings/rebuild', { token: ctx.tokens.official })).status, 403);
+        });
+    });
+});
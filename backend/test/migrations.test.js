@@ -0,0 +1,119 @@
+// backend/test/migrations.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { getMyanmarTimestamp } = require('../lib/dates');
+const { startTestApp, seed, seedActiveSeason, readDoc, getLeagueCollections } = require('./helpers');
+
+describe('migrations', () => {
+    let ctx;
+    let collections;
+    let legacy;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+        legacy = getLeagueCollections(null);
+        await seed(ctx.db, legacy.matches, {
+            old: { date: '01-03-2024', time: '16:00' },
+            broken: { date: 'soon' },
+        });
+        await seed(ctx.db, collections.matches, {
+            done: { date: '01-03-2025', time: '16:00', kickoffAt: getMyanmarTimestamp('01-03-2025', '16:00') },
+            untimed: { date: '02-03-2025' },
+        });
+        await seed(ctx.db, legacy.news, { n1: { title: 'Old news' } });
+        await seed(ctx.db, collections.news, { n2: { title: 'Draft', status: 'draft' } });
+        await seed(ctx.db, `${legacy.matches}/old/events`, { e1: { type: 'goal', minute: 3, player_id: 'x' } });
+        await seed(ctx.db, `${collections.matches}/done/events`, {
+            e2: { type: 'yellow', minute: 5, player_id: 'x' },
+            e3: { type: 'red', minute: 9, player_id: 'x', seasonId: '2025' },
+        });
+        await seed(ctx.db, `${collections.players}/current/transfers`, { tr1: { fromTeamId: null, toTeamId: 't1', date: '01-01-2025' } });
+        await seed(ctx.db, collections.teams, { t1: { name: 'Unflagged' }, t2: { name: 'Archived', archived: true } });
+        await seed(ctx.db, collections.players, {
+            zawgyi: { name: 'ေက်ာ္ေဇယ်' },
+            current: { name: 'Current', searchTokens: ['c', 'cu', 'cur', 'curr', 'curre', 'curren', 'current'] },
+        });
+    });
+    after(() => ctx.close());
+
+    describe('POST /admin/migrations/match-dates', () => {
+        it('previews, then adds kickoffAt to matches in every season', async () => {
+            const preview = await ctx.request('POST', '/admin/migrations/match-dates?dryRun=true');
+            assert.equal(preview.status, 200);
+            assert.equal(preview.body.message, 'Migration preview');
+            assert.deepEqual(preview.body.updated.map(update => update.path).sort(), [`${legacy.matches}/old`, `${collections.matches}/untimed`]);
+            assert.deepEqual(preview.body.skipped, [{ path: `${legacy.matches}/broken`, date: 'soon', time: '00:00' }]);
+            assert.equal((await readDoc(ctx.db, `${legacy.matches}/old`)).kickoffAt, undefined);
+
+            const res = await ctx.request('POST', '/admin/migrations/match-dates');
+            assert.equal(res.body.message, 'Match dates migrated successfully');
+            const old = await readDoc(ctx.db, `${legacy.matches}/old`);
+            assert.equal(old.kickoffAt.toDate().toISOString(), '2024-03-01T09:30:00.000Z');
+            assert.equal((await ctx.request('POST', '/admin/migrations/match-dates')).body.updated.length, 0);
+        });
+    });
+
+    describe('POST /admin/migrations/news-status', () => {
+        it('publishes articles without a status', async () => {
+            const preview = await ctx.request('POST', '/admin/migrations/news-status?dryRun=true');
+            assert.deepEqual(preview.body.updated, [{ path: `${legacy.news}/n1` }]);
+            const res = await ctx.request('POST', '/admin/migrations/news-status');
+            assert.equal(res.body.message, 'News statuses migrated successfully');
+            assert.equal((await readDoc(ctx.db, `${legacy.news}/n1`)).status, 'published');
+            assert.equal((await readDoc(ctx.db, `${collections.news}/n2`)).status, 'draft');
+        });
+    });
+
+    describe('POST /admin/migrations/archived-flags', () => {
+        it('flags teams and players without an archived field as not archived', async () => {
+            const preview = await ctx.request('POST', '/admin/migrations/archived-flags?dryRun=true');
+            assert.deepEqual(preview.body.updated.map(update => update.path).sort(), [
+                `${collections.players}/current`,
+                `${collections.players}/zawgyi`,
+                `${collections.teams}/t1`,
+            ]);
+            const res = await ctx.request('POST', '/admin/migrations/archived-flags');
+            assert.equal(res.body.message, 'Archive flags migrated successfully');
+            assert.deepEqual((await ctx.request('GET', '/teams')).body.items.map(team => team.id), ['t1']);
+
+            const [entry] = (await ctx.request('GET', `/audit?path=${encodeURIComponent(`${collections.teams}/t1`)}`)).body;
+            assert.deepEqual([entry.action, entry.migration, entry.seasonId], ['update', 'archived-flags', '2025']);
+            assert.deepEqual(entry.diff.archived, { before: null, after: false });
+        });
+    });
+
+    describe('POST /admin/migrations/season-ids', () => {
+        it('adds the season ID from the path to match events and transfers', async () => {
+            const preview = await ctx.request('POST', '/admin/migrations/season-ids?dryRun=true');
+            assert.deepEqual(preview.body.updated, [
+                { path: `${legacy.matches}/old/events/e1`, seasonId: null },
+                { path: `${collections.matches}/done/events/e2`, seasonId: '2025' },
+                { path: `${collections.players}/current/transfers/tr1`, seasonId: '2025' },
+            ]);
+            const res = await ctx.request('POST', '/admin/migrations/season-ids');
+            assert.equal(res.body.message, 'Season IDs migrated successfully');
+            assert.equal((await readDoc(ctx.db, `${legacy.matches}/old/events/e1`)).seasonId, null);
+            assert.equal((await readDoc(ctx.db, `${collections.matches}/done/events/e2`)).seasonId, '2025');
+            assert.equal((await readDoc(ctx.db, `${collections.players}/current/transfers/tr1`)).seasonId, '2025');
+        });
+    });
+
+    describe('POST /admin/migrations/localized-content', () => {
+        it('converts Zawgyi text and adds search tokens', async () => {
+            const preview = await ctx.request('POST', '/admin/migrations/localized-content?dryRun=true');
+            const zawgyi = preview.body.updated.find(update => update.path === `${collections.players}/zawgyi`);
+            assert.deepEqual(zawgyi.fields, ['name', 'searchTokens']);
+            assert.ok(preview.body.updated.every(update => update.path !== `${collections.players}/current`));
+
+            const res = await ctx.request('POST', '/admin/migrations/localized-content');
+            assert.equal(res.body.message, 'Localized content migrated successfully');
+            const player = await readDoc(ctx.db, `${collections.players}/zawgyi`);
+            assert.equal(player.name, 'ကျော်ဇေယျ');
+            assert.ok(player.searchTokens.length > 0);
+        });
+    });
+
+    it('is limited to superadmins', async () => {
+        assert.equal((await ctx.request('POST', '/admin/migrations/news-status', { token: ctx.tokens.editor })).status, 403);
+    });
+});
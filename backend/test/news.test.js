@@ -0,0 +1,270 @@
+// backend/test/news.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+const { startTestApp, seedActiveSeason, readDoc, createTestImage, imageForm } = require('./helpers');
+
+const { Timestamp } = admin.firestore;
+
+describe('news', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+    });
+    after(() => ctx.close());
+
+    async function createArticle(body, token) {
+        const res = await ctx.request('POST', '/news', { token, body: { title: 'Match report', body: 'Text', ...body } });
+        assert.equal(res.status, 201);
+        return res.body.id;
+    }
+
+    async function listRevisions(id) {
+        const res = await ctx.request('GET', `/news/${id}/revisions`);
+        assert.equal(res.status, 200);
+        return res.body.items;
+    }
+
+    describe('POST /news', () => {
+        it('creates a published article with a daily sequential ID and a revision', async () => {
+            const res = await ctx.request('POST', '/news', { token: ctx.tokens.editor, body: { title: 'Opening day', body: 'Kick-off', tags: ['league'] } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'News article added successfully');
+            assert.match(res.body.id, /^\d{8}-\d{2}$/);
+
+            const article = await readDoc(ctx.db, `${collections.news}/${res.body.id}`);
+            assert.equal(article.status, 'published');
+            assert.ok(article.date instanceof Timestamp);
+            const revisions = await listRevisions(res.body.id);
+            assert.deepEqual(revisions.map(revision => [revision.action, revision.revisedBy]), [['create', 'editor-uid']]);
+        });
+
+        it('never reuses an ID on the same day', async () => {
+            const first = await createArticle({ title: 'First' });
+            const second = await createArticle({ title: 'Second' });
+            assert.notEqual(first, second);
+            assert.equal((await readDoc(ctx.db, `${collections.news}/${first}`)).title, 'First');
+        });
+
+        it('validates articles and scheduling', async () => {
+            const missing = await ctx.request('POST', '/news', { body: { imgUrl: ['ftp://example.com/a.png'] } });
+            assert.equal(missing.status, 400);
+            assert.deepEqual(missing.body.errors.map(error => error.field), ['body', 'imgUrl', 'title']);
+
+            const unscheduled = await ctx.request('POST', '/news', { body: { title: 'Later', body: 'Soon', status: 'scheduled' } });
+            assert.equal(unscheduled.status, 400);
+            assert.deepEqual(unscheduled.body.errors, [{ field: 'publishAt', message: 'publishAt is required for scheduled news.' }]);
+
+            const past = await ctx.request('POST', '/news', { body: { title: 'Later', body: 'Soon', status: 'scheduled', publishAt: '2020-01-01T00:00:00Z' } });
+            assert.equal(past.status, 400);
+            assert.equal(past.body.errors[0].message, 'publishAt must be in the future for scheduled news.');
+        });
+
+        it('is limited to news editors', async () => {
+            const res = await ctx.request('POST', '/news', { token: ctx.tokens.official, body: { title: 'T', body: 'B' } });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('GET /news', () => {
+        it('filters by status and tag', async () => {
+            const draft = await createArticle({ title: 'Draft transfer news', status: 'draft', tags: ['transfers'] });
+            await createArticle({ title: 'Published transfer news', tags: ['transfers'] });
+            const drafts = await ctx.request('GET', '/news?status=draft&tag=transfers');
+            assert.equal(drafts.status, 200);
+            assert.deepEqual(drafts.body.items.map(article => article.id), [draft]);
+
+            const tagged = await ctx.request('GET', '/news?tag=transfers&sort=title&lang=en');
+            assert.deepEqual(tagged.body.items.map(article => article.title), ['Draft transfer news', 'Published transfer news']);
+        });
+
+        it('rejects bad list parameters', async () => {
+            assert.equal((await ctx.request('GET', '/news?sort=body')).status, 400);
+            assert.equal((await ctx.request('GET', '/news?limit=500')).status, 400);
+        });
+    });
+
+    describe('PUT /news/:id', () => {
+        it('updates an article and restamps its date when it goes live', async () => {
+            const id = await createArticle({ status: 'draft' });
+            const created = await readDoc(ctx.db, `${collections.news}/${id}`);
+            const res = await ctx.request('PUT', `/news/${id}`, { token: ctx.tokens.editor, body: { status: 'published', title: 'Final report' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'News article updated successfully');
+            const article = await readDoc(ctx.db, `${collections.news}/${id}`);
+            assert.equal(article.title, 'Final report');
+            assert.ok(article.date.toMillis() >= created.date.toMillis());
+            assert.deepEqual((await listRevisions(id)).map(revision => revision.action), ['update', 'create']);
+        });
+
+        it('checks scheduling against the stored article', async () => {
+            const id = await createArticle({ status: 'draft' });
+            const res = await ctx.request('PUT', `/news/${id}`, { body: { status: 'scheduled' } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.errors[0].field, 'publishAt');
+        });
+
+        it('removes the files of uploaded images left out of imgUrl', async () => {
+            const id = await createArticle({});
+            const image = await createTestImage();
+            const upload = await ctx.request('POST', `/news/${id}/images`, { body: imageForm('images', [image, image]) });
+            const kept = upload.body.images[1];
+            const res = await ctx.request('PUT', `/news/${id}`, { body: { imgUrl: [kept.large, 'https://example.com/photo.jpg'] } });
+            assert.equal(res.status, 200);
+            const article = await readDoc(ctx.db, `${collections.news}/${id}`);
+            assert.deepEqual(article.imgVariants, [kept]);
+            assert.equal(article.storageFiles.length, 3);
+            const stored = [...ctx.fileStorage.files.keys()].filter(key => key.includes(`/news/${id}/`));
+            assert.deepEqual(stored.sort(), [...article.storageFiles].sort());
+            assert.deepEqual(stored.map(key => `https://files.example.com/${key}`), Object.values(kept).sort());
+        });
+
+        it('returns 404 for an unknown article', async () => {
+            const res = await ctx.request('PUT', '/news/missing', { body: { title: 'Nothing' } });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'News article not found.');
+        });
+    });
+
+    describe('DELETE /news/:id', () => {
+        it('deletes the article, its revisions and its images', async () => {
+            const id = await createArticle({});
+            await ctx.request('POST', `/news/${id}/images`, { body: imageForm('images', [await createTestImage()]) });
+            const res = await ctx.request('DELETE', `/news/${id}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'News article deleted successfully');
+            assert.ok(Object.keys(ctx.db.dump()).every(path => !path.startsWith(`${collections.news}/${id}`)));
+            assert.ok([...ctx.fileStorage.files.keys()].every(key => !key.includes(`/news/${id}/`)));
+        });
+
+        it('succeeds for an article that is already gone', async () => {
+            assert.equal((await ctx.request('DELETE', '/news/missing')).status, 200);
+        });
+    });
+
+    describe('POST /news/:id/images', () => {
+        it('appends several images and records a revision', async () => {
+            const id = await createArticle({});
+            const image = await createTestImage();
+            const first = await ctx.request('POST', `/news/${id}/images`, { body: imageForm('images', [image, image]) });
+            assert.equal(first.status, 201);
+            assert.equal(first.body.images.length, 2);
+            await ctx.request('POST', `/news/${id}/images`, { body: imageForm('images', [image]) });
+            const article = await readDoc(ctx.db, `${collections.news}/${id}`);
+            assert.equal(article.imgUrl.length, 3);
+            assert.equal(article.storageFiles.length, 9);
+            assert.equal((await listRevisions(id))[0].action, 'images');
+        });
+
+        it('rejects uploads in the single-image field and for unknown articles', async () => {
+            const id = await createArticle({});
+            const wrongField = await ctx.request('POST', `/news/${id}/images`, { body: imageForm('image', [await createTestImage()]) });
+            assert.equal(wrongField.status, 400);
+            const missing = await ctx.request('POST', '/news/missing/images', { body: imageForm('images', [await createTestImage()]) });
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.message, 'News article not found.');
+        });
+    });
+
+    describe('revisions', () => {
+        it('pages through revisions and restores content without touching the status', async () => {
+            const id = await createArticle({ title: 'Original title', status: 'draft' });
+            await ctx.request('PUT', `/news/${id}`, { body: { title: 'Second title' } });
+            await ctx.request('PUT', `/news/${id}`, { body: { title: 'Third title', status: 'published' } });
+
+            const page = await ctx.request('GET', `/news/${id}/revisions?limit=2`);
+            assert.deepEqual(page.body.items.map(revision => revision.title), ['Third title', 'Second title']);
+            assert.equal(page.body.total, 3);
+            const rest = await ctx.request('GET', `/news/${id}/revisions?limit=2&cursor=${page.body.nextCursor}`);
+            const original = rest.body.items[0];
+            assert.equal(original.title, 'Original title');
+
+            const res = await ctx.request('POST', `/news/${id}/revisions/${original.id}/restore`, { token: ctx.tokens.editor });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Revision restored successfully');
+            const article = await readDoc(ctx.db, `${collections.news}/${id}`);
+            assert.equal(article.title, 'Original title');
+            assert.equal(article.status, 'published');
+            assert.equal((await listRevisions(id))[0].action, 'restore');
+        });
+
+        it('returns 404 for unknown articles and revisions', async () => {
+            const id = await createArticle({});
+            assert.equal((await ctx.request('GET', '/news/missing/revisions')).status, 404);
+            const article = await ctx.request('POST', '/news/missing/revisions/any/restore');
+            assert.equal(article.status, 404);
+            assert.equal(article.body.message, 'News article not found.');
+            const revision = await ctx.request('POST', `/news/${id}/revisions/missing/restore`);
+            assert.equal(revision.status, 404);
+            assert.equal(revision.body.message, 'Revision not found.');
+        });
+    });
+
+    describe('GET /public/news', () => {
+        it('lists published articles without a token or storage keys', async () => {
+            const draft = await createArticle({ title: 'Secret', status: 'draft' });
+            const published = await createArticle({ title: 'ပွဲစဉ်', title_en: 'Fixtures', tags: ['public'] });
+            await ctx.request('POST', `/news/${published}/images`, { body: imageForm('images', [await createTestImage()]) });
+
+            const res = await ctx.request('GET', '/public/news?tag=public&lang=en', { token: null });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.items.map(article => article.id), [published]);
+            assert.equal(res.body.items[0].title, 'Fixtures');
+            assert.equal(res.body.items[0].storageFiles, undefined);
+            assert.equal(res.body.items[0].imgUrl.length, 1);
+
+            const all = await ctx.request('GET', '/public/news', { token: null });
+            assert.ok(all.body.items.every(article => article.id !== draft && article.status === 'published'));
+        });
+
+        it('rejects bad parameters and unknown seasons', async () => {
+            assert.equal((await ctx.request('GET', '/public/news?lang=de', { token: null })).status, 400);
+            assert.equal((await ctx.request('GET', '/public/news?season=1999', { token: null })).status, 404);
+        });
+    });
+
+    describe('cron: /cron/publish-news', () => {
+        before(() => {
+            process.env.CRON_SECRET = 'test-cron-secret';
+        });
+        after(() => {
+            delete process.env.CRON_SECRET;
+        });
+
+        it('publishes scheduled articles whose time has come', async () => {
+            const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+            const due = await createArticle({ title: 'Due', status: 'scheduled', publishAt });
+            const later = await createArticle({ title: 'Later', status: 'scheduled', publishAt });
+            // Move the first one's schedule into the past, as if an hour had gone by
+            const pastPublishAt = Timestamp.fromMillis(Date.now() - 1000);
+            await ctx.db.doc(`${collections.news}/${due}`).update({ publishAt: pastPublishAt });
+
+            const res = await ctx.request('POST', '/cron/publish-news', { token: 'test-cron-secret' });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Published 1 scheduled news article(s)');
+            assert.deepEqual(res.body.published, [`${collections.news}/${due}`]);
+
+            const article = await readDoc(ctx.db, `${collections.news}/${due}`);
+            assert.equal(article.status, 'published');
+            assert.ok(article.date.isEqual(pastPublishAt));
+            assert.equal((await readDoc(ctx.db, `${collections.news}/${later}`)).status, 'scheduled');
+            const revisions = await listRevisions(due);
+            assert.deepEqual([revisions[0].action, revisions[0].revisedBy], ['publish', 'cron']);
+
+            // GET works too, for schedulers that only send GET; nothing is left to publish
+            const again = await ctx.request('GET', '/cron/publish-news', { token: 'test-cron-secret' });
+            assert.deepEqual(again.body.published, []);
+        });
+
+        it('requires the cron secret', async () => {
+            assert.equal((await ctx.request('GET', '/cron/publish-news', { token: null })).status, 401);
+            const wrong = await ctx.request('GET', '/cron/publish-news', { token: 'wrong' });
+            assert.equal(wrong.status, 401);
+            assert.equal(wrong.body.message, 'Unauthorized: Invalid cron secret.');
+            // A user's ID token is not a cron secret
+            assert.equal((await ctx.request('GET', '/cron/publish-news')).status, 401);
+        });
+    });
+});
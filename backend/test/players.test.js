@@ -0,0 +1,253 @@
+// backend/test/players.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seed, seedActiveSeason, readDoc, createTestImage, imageForm } = require('./helpers');
+
+describe('players', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db, '2025', {
+            transferWindows: [{ start: '01-01-2025', end: '31-01-2025' }, { start: '01-06-2025', end: '30-06-2025' }],
+        });
+        await seed(ctx.db, collections.teams, {
+            red: { name: 'Red FC' },
+            blue: { name: 'Blue FC' },
+            old: { name: 'Old FC', archived: true },
+        });
+    });
+    after(() => ctx.close());
+
+    async function createPlayer(body) {
+        const res = await ctx.request('POST', '/players', { body: { position: 'MF', team_id: 'red', registeredOn: '01-01-2025', ...body } });
+        assert.equal(res.status, 201);
+        return res.body.id;
+    }
+
+    describe('POST /players', () => {
+        it('creates a player', async () => {
+            const res = await ctx.request('POST', '/players', { body: { name: 'အောင်မြင့်', name_en: 'Aung Myint', position: 'FW', team_id: 'red', number: 9 } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Player added successfully');
+            const player = await readDoc(ctx.db, `${collections.players}/${res.body.id}`);
+            assert.equal(player.number, 9);
+            assert.equal(player.imageUrl, '');
+            assert.ok(player.searchTokens.includes('aung'));
+            const transfers = Object.entries(ctx.db.dump()).filter(([path]) => path.startsWith(`${collections.players}/${res.body.id}/transfers/`));
+            assert.equal(transfers.length, 1);
+            assert.equal(transfers[0][1].type, 'registration');
+            assert.equal(transfers[0][1].toTeamId, 'red');
+            assert.equal(transfers[0][1].fromTeamId, null);
+        });
+
+        it('validates the registration date', async () => {
+            const invalid = await ctx.request('POST', '/players', { body: { name: 'Z', position: 'GK', team_id: 'red', registeredOn: '31-02-2025' } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors, [{ field: 'registeredOn', message: 'registeredOn must be a valid "DD-MM-YYYY" date.' }]);
+            const future = await ctx.request('POST', '/players', { body: { name: 'Z', position: 'GK', team_id: 'red', registeredOn: '01-01-2999' } });
+            assert.equal(future.body.errors[0].message, 'registeredOn must not be in the future.');
+        });
+
+        it('validates fields and team references', async () => {
+            const res = await ctx.request('POST', '/players', { body: { name: 'X', position: 'ST', team_id: 'nobody', number: 100 } });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map(error => error.field), ['number', 'position', 'team_id']);
+            assert.equal(res.body.errors[2].message, 'team_id does not match an existing team.');
+            const archived = await ctx.request('POST', '/players', { body: { name: 'Y', position: 'GK', team_id: 'old' } });
+            assert.equal(archived.body.errors[0].message, 'team_id refers to an archived team.');
+        });
+    });
+
+    describe('GET /players', () => {
+        it('filters by team and position', async () => {
+            await createPlayer({ name: 'Blue Keeper', team_id: 'blue', position: 'GK' });
+            await createPlayer({ name: 'Blue Winger', team_id: 'blue', position: 'FW' });
+            const team = await ctx.request('GET', '/players?team_id=blue');
+            assert.equal(team.status, 200);
+            assert.deepEqual(team.body.items.map(player => player.name), ['Blue Keeper', 'Blue Winger']);
+            const keepers = await ctx.request('GET', '/players?team_id=blue&position=GK&sort=-number');
+            assert.deepEqual(keepers.body.items.map(player => player.name), ['Blue Keeper']);
+            assert.equal(keepers.body.total, 1);
+        });
+
+        it('rejects unknown sort fields', async () => {
+            const res = await ctx.request('GET', '/players?sort=age');
+            assert.equal(res.status, 400);
+        });
+    });
+
+    describe('PUT /players/:id', () => {
+        it('updates a player', async () => {
+            const id = await createPlayer({ name: 'Thura' });
+            const res = await ctx.request('PUT', `/players/${id}`, { body: { number: 10, suspended: false } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Player updated successfully');
+            assert.equal((await readDoc(ctx.db, `${collections.players}/${id}`)).number, 10);
+        });
+
+        it('refuses team changes outside the transfer route', async () => {
+            const id = await createPlayer({ name: 'Mover' });
+            const res = await ctx.request('PUT', `/players/${id}`, { body: { team_id: 'blue' } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Use POST /players/:id/transfer to move a player to another team.');
+            // Sending the current team is fine
+            assert.equal((await ctx.request('PUT', `/players/${id}`, { body: { team_id: 'red' } })).status, 200);
+        });
+
+        it('returns 404 and 400 errors', async () => {
+            assert.equal((await ctx.request('PUT', '/players/missing', { body: { number: 3 } })).status, 404);
+            const invalid = await ctx.request('PUT', '/players/missing', { body: { position: 'striker' } });
+            assert.equal(invalid.status, 400);
+        });
+    });
+
+    describe('DELETE /players/:id', () => {
+        it('deletes a player registered today with their transfers and files', async () => {
+            const id = await createPlayer({ name: 'Leaver', registeredOn: undefined });
+            await ctx.request('POST', `/players/${id}/photo`, { body: imageForm('image', [await createTestImage()]) });
+            const res = await ctx.request('DELETE', `/players/${id}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Player deleted successfully');
+            assert.ok(Object.keys(ctx.db.dump()).every(path => !path.startsWith(`${collections.players}/${id}`)));
+            assert.ok([...ctx.fileStorage.files.keys()].every(key => !key.includes(`/players/${id}/`)));
+        });
+
+        it('refuses to delete a player who appears in match events, but archives them', async () => {
+            const id = await createPlayer({ name: 'Scorer' });
+            await seed(ctx.db, `${collections.matches}/m1/events`, { e1: { type: 'goal', minute: 12, player_id: id, team_id: 'red', seasonId: '2025' } });
+            const res = await ctx.request('DELETE', `/players/${id}`);
+            assert.equal(res.status, 409);
+            assert.deepEqual(res.body.dependents.events, [{ id: 'e1', matchId: 'm1', type: 'goal', minute: 12 }]);
+
+            const detach = await ctx.request('DELETE', `/players/${id}?cascade=detach`);
+            assert.equal(detach.status, 400);
+
+            const archive = await ctx.request('DELETE', `/players/${id}?archive=true`);
+            assert.equal(archive.status, 200);
+            assert.equal(archive.body.message, 'Player archived successfully');
+            assert.equal((await readDoc(ctx.db, `${collections.players}/${id}`)).archived, true);
+
+            // Archived players are only listed on request and can't be transferred or added to events
+            assert.ok((await ctx.request('GET', '/players')).body.items.every(player => player.id !== id));
+            assert.deepEqual((await ctx.request('GET', '/players?archived=true')).body.items.map(player => player.id), [id]);
+            assert.equal((await ctx.request('GET', '/players?archived=yes')).status, 400);
+            const transfer = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '10-06-2025' } });
+            assert.equal(transfer.status, 400);
+            assert.equal(transfer.body.message, 'Archived players cannot be transferred.');
+            await seed(ctx.db, collections.matches, { m2: { homeTeamId: 'red', awayTeamId: 'blue', status: 'ongoing', homeScore: 0, awayScore: 0 } });
+            const event = await ctx.request('POST', '/matches/m2/events', { body: { type: 'goal', minute: 3, player_id: id } });
+            assert.deepEqual(event.body.errors, [{ field: 'player_id', message: 'player_id refers to an archived player.' }]);
+        });
+
+        it('only archives a player who was in an earlier squad', async () => {
+            const id = await createPlayer({ name: 'Veteran' });
+            const res = await ctx.request('DELETE', `/players/${id}`);
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'Player appears in match events or earlier squads. Use archive=true to keep their history readable.');
+            assert.deepEqual(res.body.dependents.transfers.map(({ type, date }) => [type, date]), [['registration', '01-01-2025']]);
+        });
+
+        it('returns 404 when archiving an unknown player', async () => {
+            const res = await ctx.request('DELETE', '/players/missing?archive=true');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Player not found.');
+        });
+    });
+
+    describe('POST /players/:id/photo', () => {
+        it('stores the photo', async () => {
+            const id = await createPlayer({ name: 'Photogenic' });
+            const res = await ctx.request('POST', `/players/${id}/photo`, { body: imageForm('image', [await createTestImage('webp')], { type: 'image/webp', name: 'me.webp' }) });
+            assert.equal(res.status, 201);
+            const player = await readDoc(ctx.db, `${collections.players}/${id}`);
+            assert.equal(player.imageUrl, res.body.images[0].large);
+            assert.equal(player.imageVariants.thumb, res.body.images[0].thumb);
+        });
+
+        it('returns 404 for an unknown player', async () => {
+            const res = await ctx.request('POST', '/players/missing/photo', { body: imageForm('image', [await createTestImage()]) });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Player not found.');
+        });
+    });
+
+    describe('POST /players/:id/transfer', () => {
+        it('moves a player inside a transfer window and records the history', async () => {
+            const id = await createPlayer({ name: 'Transfer Target', number: 7 });
+            const res = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '15-01-2025', fee: 5000, number: 11 } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Transfer recorded successfully');
+            const player = await readDoc(ctx.db, `${collections.players}/${id}`);
+            assert.equal(player.team_id, 'blue');
+            assert.equal(player.number, 11);
+            const transfer = await readDoc(ctx.db, `${collections.players}/${id}/transfers/${res.body.id}`);
+            assert.equal(transfer.fromTeamId, 'red');
+            assert.equal(transfer.fee, 5000);
+            assert.equal(transfer.recordedBy, 'superadmin-uid');
+            assert.equal(transfer.seasonId, '2025');
+        });
+
+        it('refuses transfers outside the windows and lists them', async () => {
+            const id = await createPlayer({ name: 'Deadline Day' });
+            const res = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '15-03-2025' } });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, "15-03-2025 is outside the season's transfer windows.");
+            assert.equal(res.body.transferWindows.length, 2);
+            // Releases are allowed at any time
+            const release = await ctx.request('POST', `/players/${id}/transfer`, { body: { type: 'release', date: '15-03-2025' } });
+            assert.equal(release.status, 201);
+            assert.equal((await readDoc(ctx.db, `${collections.players}/${id}`)).team_id, null);
+        });
+
+        it('validates the transfer', async () => {
+            const id = await createPlayer({ name: 'Awkward' });
+            const future = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '01-01-2999' } });
+            assert.equal(future.status, 400);
+            assert.deepEqual(future.body.errors, [{ field: 'date', message: 'date must not be in the future.' }]);
+
+            const invalid = await ctx.request('POST', `/players/${id}/transfer`, { body: { type: 'free', fee: 10, date: '10-01-2025' } });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors.map(error => error.field), ['toTeamId', 'fee']);
+
+            const same = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'red', date: '10-01-2025' } });
+            assert.equal(same.status, 400);
+            assert.equal(same.body.message, 'The player is already registered with this team.');
+        });
+
+        it('keeps transfers in order and shirt numbers unique', async () => {
+            const id = await createPlayer({ name: 'Journeyman', number: 5 });
+            await createPlayer({ name: 'Blue Five', team_id: 'blue', number: 5 });
+            const taken = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '20-01-2025' } });
+            assert.equal(taken.status, 409);
+            assert.equal(taken.body.message, 'Shirt number 5 is already worn by Blue Five at the destination team.');
+
+            assert.equal((await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', date: '20-01-2025', number: 0 } })).status, 201);
+            const earlier = await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'red', date: '10-01-2025' } });
+            assert.equal(earlier.status, 400);
+            assert.equal(earlier.body.message, "The player's last transfer was on 20-01-2025; transfers must be recorded in order.");
+        });
+
+        it('returns 404 for an unknown player', async () => {
+            const res = await ctx.request('POST', '/players/missing/transfer', { body: { toTeamId: 'blue', date: '10-01-2025' } });
+            assert.equal(res.status, 404);
+        });
+    });
+
+    describe('GET /players/:id/transfers', () => {
+        it('lists the history, most recent first', async () => {
+            const id = await createPlayer({ name: 'Loanee' });
+            await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'blue', type: 'loan', loanEndDate: '01-06-2025', date: '05-01-2025' } });
+            await ctx.request('POST', `/players/${id}/transfer`, { body: { toTeamId: 'red', type: 'loan_return', date: '01-06-2025' } });
+            const res = await ctx.request('GET', `/players/${id}/transfers`);
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(transfer => transfer.type), ['loan_return', 'loan', 'registration']);
+        });
+
+        it('returns 404 for an unknown player', async () => {
+            const res = await ctx.request('GET', '/players/missing/transfers');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Player not found.');
+        });
+    });
+});
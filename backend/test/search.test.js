@@ -0,0 +1,53 @@
+// backend/test/search.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seedActiveSeason } = require('./helpers');
+
+describe('search', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+        await seedActiveSeason(ctx.db);
+        const teamId = (await ctx.request('POST', '/teams', { body: { name: 'Yangon United', name_mm: 'ရန်ကုန်ယူနိုက်တက်' } })).body.id;
+        await ctx.request('POST', '/teams', { body: { name: 'Yadanarbon' } });
+        await ctx.request('POST', '/players', { body: { name: 'ကျော်ဇေယျ', name_en: 'Kyaw Zayar', position: 'FW', team_id: teamId } });
+        await ctx.request('POST', '/news', { body: { title: 'Yangon United win the cup', title_en: 'Cup final', body: 'Report' } });
+    });
+    after(() => ctx.close());
+
+    it('finds teams, players and news by every word of q', async () => {
+        const res = await ctx.request('GET', '/search?q=yangon%20uni');
+        assert.equal(res.status, 200);
+        assert.deepEqual(res.body.teams.map(team => team.name), ['Yangon United']);
+        assert.deepEqual(res.body.players, []);
+        assert.deepEqual(res.body.news.map(article => article.title), ['Yangon United win the cup']);
+        assert.deepEqual((await ctx.request('GET', '/search?q=ya')).body.teams.map(team => team.name).sort(), ['Yadanarbon', 'Yangon United']);
+    });
+
+    it('matches Myanmar text at any syllable, including Zawgyi input', async () => {
+        const unicode = await ctx.request('GET', `/search?q=${encodeURIComponent('ဇေယျ')}&types=players`);
+        assert.deepEqual(Object.keys(unicode.body), ['players']);
+        assert.deepEqual(unicode.body.players.map(player => player.name_en), ['Kyaw Zayar']);
+        const zawgyi = await ctx.request('GET', `/search?q=${encodeURIComponent('ေက်ာ္')}&types=players&lang=en`);
+        assert.deepEqual(zawgyi.body.players.map(player => player.name), ['Kyaw Zayar']);
+    });
+
+    it('caps the results per type', async () => {
+        const res = await ctx.request('GET', '/search?q=y&types=teams&limit=1');
+        assert.equal(res.body.teams.length, 1);
+    });
+
+    it('validates the query', async () => {
+        const cases = [
+            ['/search?q=%20!', 'q must contain at least one letter or digit.'],
+            ['/search?q=y&types=teams,matches', 'types must be a comma-separated list of: teams, players, news.'],
+            ['/search?q=y&limit=51', 'limit must be an integer between 1 and 50.'],
+            ['/search?q=y&lang=fr', 'lang must be one of: my, en.'],
+        ];
+        for (const [path, message] of cases) {
+            const res = await ctx.request('GET', path);
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, message);
+        }
+    });
+});
@@ -0,0 +1,176 @@
+// backend/test/seasons.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Timestamp } = require('firebase-admin/firestore');
+const { SEASONS_COLLECTION } = require('../lib/paths');
+const { startTestApp, seed, seedActiveSeason, readDoc, getLeagueCollections } = require('./helpers');
+
+describe('seasons', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db, '2025', { createdAt: Timestamp.fromMillis(1000) });
+        await seed(ctx.db, collections.teams, {
+            red: { name: 'Red FC', played: 10, won: 7, points: 21 },
+            folded: { name: 'Folded FC', archived: true },
+        });
+        await seed(ctx.db, collections.players, {
+            p1: { name: 'Captain', team_id: 'red', suspended: true, yellow_suspensions: 2 },
+            p2: { name: 'Left Behind', team_id: 'folded' },
+            p3: { name: 'Retired', team_id: 'red', archived: true },
+        });
+        await seed(ctx.db, collections.matches, { m1: { homeTeamId: 'red', awayTeamId: 'red', date: '01-03-2025' } });
+    });
+    after(() => ctx.close());
+
+    describe('POST /seasons', () => {
+        it('creates a season and carries the squads over', async () => {
+            const res = await ctx.request('POST', '/seasons', { body: { name: '2026 Season', startDate: '01-01-2026', endDate: '31-12-2026' } });
+            assert.equal(res.status, 201);
+            assert.deepEqual(res.body, { message: 'Season added successfully', id: '2026-season', teamsCarriedOver: 1, playersCarriedOver: 2 });
+
+            const season = await readDoc(ctx.db, `${SEASONS_COLLECTION}/2026-season`);
+            assert.equal(season.status, 'upcoming');
+            assert.equal(season.carriedOverFrom, '2025');
+            const next = getLeagueCollections('2026-season');
+            const team = await readDoc(ctx.db, `${next.teams}/red`);
+            assert.deepEqual([team.name, team.played, team.won], ['Red FC', 0, 0]);
+            const player = await readDoc(ctx.db, `${next.players}/p1`);
+            assert.deepEqual([player.suspended, player.yellow_suspensions], [true, 0]);
+            // Archived teams stay behind and their players become free agents
+            assert.equal(await readDoc(ctx.db, `${next.teams}/folded`), undefined);
+            assert.equal((await readDoc(ctx.db, `${next.players}/p2`)).team_id, null);
+            assert.equal(await readDoc(ctx.db, `${next.players}/p3`), undefined);
+            assert.equal(await readDoc(ctx.db, `${next.matches}/m1`), undefined);
+        });
+
+        it('can start empty or carry over from another season', async () => {
+            const empty = await ctx.request('POST', '/seasons', { body: { name: 'Cup', id: 'cup-2025', carryOver: false } });
+            assert.deepEqual([empty.body.teamsCarriedOver, empty.body.playersCarriedOver], [0, 0]);
+            assert.equal((await readDoc(ctx.db, `${SEASONS_COLLECTION}/cup-2025`)).carriedOverFrom, null);
+
+            const from = await ctx.request('POST', '/seasons', { body: { name: 'Replay', carryOverFrom: 'cup-2025' } });
+            assert.equal(from.status, 201);
+            assert.equal(from.body.teamsCarriedOver, 0);
+        });
+
+        it('validates the season', async () => {
+            const cases = [
+                [{}, 'Season name is required.'],
+                [{ name: 'X', id: 'Bad ID' }, 'Season ID may only contain lowercase letters, numbers and dashes.'],
+                [{ name: 'X', id: 2027 }, 'Season ID may only contain lowercase letters, numbers and dashes.'],
+                [{ name: 'Legacy' }, '"legacy" is reserved for the data from before seasons existed.'],
+                [{ name: 'X', startDate: '2026-01-01' }, 'Season dates must be valid "DD-MM-YYYY" dates.'],
+                [{ name: 'X', endDate: '31-02-2026' }, 'Season dates must be valid "DD-MM-YYYY" dates.'],
+                [{ name: 'X', carryOverFrom: 'missing' }, 'Season to carry squads over from was not found.'],
+            ];
+            for (const [body, message] of cases) {
+                const res = await ctx.request('POST', '/seasons', { body });
+                assert.equal(res.status, 400);
+                assert.equal(res.body.message, message);
+            }
+            const duplicate = await ctx.request('POST', '/seasons', { body: { name: '2025' } });
+            assert.equal(duplicate.status, 409);
+            assert.equal(duplicate.body.message, 'A season with this ID already exists.');
+        });
+
+        it('is limited to superadmins', async () => {
+            assert.equal((await ctx.request('POST', '/seasons', { token: ctx.tokens.editor, body: { name: 'X' } })).status, 403);
+        });
+    });
+
+    describe('GET /seasons', () => {
+        it('lists seasons, newest first', async () => {
+            const res = await ctx.request('GET', '/seasons');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.map(season => season.id), ['replay', 'cup-2025', '2026-season', '2025']);
+        });
+    });
+
+    describe('POST /seasons/:id/activate', () => {
+        it('activates a season and completes the previous one', async () => {
+            const res = await ctx.request('POST', '/seasons/2026-season/activate');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Season activated successfully');
+            assert.equal((await readDoc(ctx.db, `${SEASONS_COLLECTION}/2026-season`)).status, 'active');
+            assert.equal((await readDoc(ctx.db, `${SEASONS_COLLECTION}/2025`)).status, 'completed');
+
+            // Routes now default to the new season
+            const teams = await ctx.request('GET', '/teams');
+            assert.deepEqual(teams.body.items.map(team => team.played), [0]);
+        });
+
+        it('returns 404 and 409 errors', async () => {
+            assert.equal((await ctx.request('POST', '/seasons/missing/activate')).status, 404);
+            await seed(ctx.db, SEASONS_COLLECTION, { frozen: { name: 'Frozen', status: 'archived' } });
+            const res = await ctx.request('POST', '/seasons/frozen/activate');
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'Archived seasons cannot be activated.');
+        });
+    });
+
+    describe('PUT /seasons/:id/transfer-windows', () => {
+        it('replaces the transfer windows', async () => {
+            const windows = [{ start: '01-01-2026', end: '31-01-2026', note: 'dropped' }];
+            const res = await ctx.request('PUT', '/seasons/2026-season/transfer-windows', { body: { windows } });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.transferWindows, [{ start: '01-01-2026', end: '31-01-2026' }]);
+            assert.deepEqual((await readDoc(ctx.db, `${SEASONS_COLLECTION}/2026-season`)).transferWindows, res.body.transferWindows);
+        });
+
+        it('validates the windows and the season', async () => {
+            const backwards = await ctx.request('PUT', '/seasons/2026-season/transfer-windows', { body: { windows: [{ start: '31-01-2026', end: '01-01-2026' }] } });
+            assert.equal(backwards.status, 400);
+            assert.equal((await ctx.request('PUT', '/seasons/2026-season/transfer-windows', { body: {} })).status, 400);
+            const missing = await ctx.request('PUT', '/seasons/missing/transfer-windows', { body: { windows: [] } });
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.message, 'Season not found.');
+        });
+    });
+
+    describe('POST /seasons/:id/archive', () => {
+        it('archives a season, leaving it read-only', async () => {
+            const res = await ctx.request('POST', '/seasons/2025/archive');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Season archived successfully');
+            assert.equal((await readDoc(ctx.db, `${SEASONS_COLLECTION}/2025`)).status, 'archived');
+            assert.equal((await ctx.request('POST', '/teams?season=2025', { body: { name: 'Late FC' } })).status, 409);
+        });
+
+        it('refuses to archive the active season', async () => {
+            const res = await ctx.request('POST', '/seasons/2026-season/archive');
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'Activate another season before archiving the active one.');
+            assert.equal((await ctx.request('POST', '/seasons/missing/archive')).status, 404);
+        });
+    });
+
+    describe('?season=legacy', () => {
+        before(async () => {
+            const legacy = getLeagueCollections(null);
+            await seed(ctx.db, legacy.teams, { old: { name: 'Old FC', archived: false } });
+            await seed(ctx.db, legacy.players, { veteran: { name: 'Veteran', team_id: 'old', archived: false } });
+        });
+
+        it('reads the data from before seasons existed', async () => {
+            const res = await ctx.request('GET', '/teams?season=legacy');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body.items.map(team => team.id), ['old']);
+            assert.equal((await ctx.request('GET', '/teams')).body.items.some(team => team.id === 'old'), false);
+        });
+
+        it('is read-only once a season is active', async () => {
+            const res = await ctx.request('POST', '/teams?season=legacy', { body: { name: 'Late FC' } });
+            assert.equal(res.status, 409);
+            assert.equal(res.body.message, 'The data from before seasons existed is read-only once a season is active.');
+        });
+
+        it('can carry the squads over into a season', async () => {
+            const res = await ctx.request('POST', '/seasons', { body: { name: 'Revival', carryOverFrom: 'legacy' } });
+            assert.equal(res.status, 201);
+            assert.deepEqual([res.body.teamsCarriedOver, res.body.playersCarriedOver], [1, 1]);
+            assert.equal((await readDoc(ctx.db, `${getLeagueCollections('revival').players}/veteran`)).team_id, 'old');
+        });
+    });
+});
@@ -0,0 +1,80 @@
+// backend/test/statistics.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp, seed, seedActiveSeason, getLeagueCollections } = require('./helpers');
+
+describe('statistics', () => {
+    let ctx;
+    before(async () => {
+        ctx = await startTestApp();
+        const collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.players, {
+            nine: { name: 'နိုင်း', name_en: 'Nine', team_id: 'red' },
+            ten: { name: 'Ten', team_id: 'red' },
+            hardman: { name: 'Hardman', team_id: 'blue', suspended: true },
+            sub: { name: 'Sub', team_id: 'blue' },
+        });
+        await seed(ctx.db, `${collections.matches}/m1/events`, {
+            g1: { type: 'goal', minute: 10, player_id: 'nine', assist_player_id: 'ten', team_id: 'red', seasonId: '2025' },
+            g2: { type: 'penalty', minute: 20, player_id: 'nine', team_id: 'red', seasonId: '2025' },
+            og: { type: 'own_goal', minute: 30, player_id: 'hardman', team_id: 'blue', seasonId: '2025' },
+            y1: { type: 'yellow', minute: 40, player_id: 'hardman', team_id: 'blue', seasonId: '2025' },
+            s1: { type: 'substitution', minute: 60, player_id: 'hardman', sub_player_id: 'sub', team_id: 'blue', seasonId: '2025' },
+        });
+        await seed(ctx.db, `${collections.matches}/m2/events`, {
+            g3: { type: 'goal', minute: 5, player_id: 'ten', assist_player_id: 'nine', team_id: 'red', seasonId: '2025' },
+            r1: { type: 'red', minute: 80, player_id: 'ten', team_id: 'red', seasonId: '2025' },
+        });
+        // Events from another season's matches are left out
+        await seed(ctx.db, `${getLeagueCollections('2024').matches}/m0/events`, {
+            g0: { type: 'goal', minute: 1, player_id: 'nine', team_id: 'red', seasonId: '2024' },
+        });
+        // Events from another league's matches are left out
+        await seed(ctx.db, 'artifacts/hkplweb/public/data/leagues/other/matches/x/events', {
+            g4: { type: 'goal', minute: 1, player_id: 'sub', team_id: 'blue' },
+        });
+    });
+    after(() => ctx.close());
+
+    describe('GET /players/:id/stats', () => {
+        it('adds up a player\'s events across matches', async () => {
+            const res = await ctx.request('GET', '/players/nine/stats');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, {
+                player_id: 'nine', appearances: 2, goals: 2, assists: 1, yellows: 0, reds: 0, suspended: false, yellowCardSuspensionThreshold: 5,
+            });
+            const sub = await ctx.request('GET', '/players/sub/stats');
+            assert.equal(sub.body.appearances, 1);
+            assert.equal(sub.body.goals, 0);
+        });
+
+        it('returns 404 for an unknown player', async () => {
+            const res = await ctx.request('GET', '/players/missing/stats');
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Player not found.');
+        });
+    });
+
+    describe('leaderboards', () => {
+        it('ranks top scorers, without own goals', async () => {
+            const res = await ctx.request('GET', '/leaderboards/scorers');
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, [
+                { player_id: 'nine', name: 'နိုင်း', name_en: 'Nine', imageUrl: '', current_team_id: 'red', goals: 2, assists: 1 },
+                { player_id: 'ten', name: 'Ten', name_en: '', imageUrl: '', current_team_id: 'red', goals: 1, assists: 1 },
+            ]);
+            assert.deepEqual((await ctx.request('GET', '/leaderboards/scorers?limit=1')).body.map(row => row.player_id), ['nine']);
+            assert.deepEqual((await ctx.request('GET', '/leaderboards/scorers?team_id=blue')).body, []);
+        });
+
+        it('ranks assists', async () => {
+            const res = await ctx.request('GET', '/leaderboards/assists');
+            assert.deepEqual(res.body.map(row => [row.player_id, row.assists]).sort(), [['nine', 1], ['ten', 1]]);
+        });
+
+        it('ranks discipline by points', async () => {
+            const res = await ctx.request('GET', '/leaderboards/discipline');
+            assert.deepEqual(res.body.map(row => [row.player_id, row.points, row.suspended]), [['ten', 3, false], ['hardman', 1, true]]);
+        });
+    });
+});
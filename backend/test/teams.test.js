@@ -0,0 +1,312 @@
+// backend/test/teams.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { AUDIT_COLLECTION } = require('../lib/audit');
+const { startTestApp, seed, seedActiveSeason, readDoc, createTestImage, imageForm } = require('./helpers');
+
+describe('teams', () => {
+    let ctx;
+    let collections;
+    before(async () => {
+        ctx = await startTestApp();
+        collections = await seedActiveSeason(ctx.db);
+    });
+    after(() => ctx.close());
+
+    async function createTeam(body) {
+        const res = await ctx.request('POST', '/teams', { body });
+        assert.equal(res.status, 201);
+        return res.body.id;
+    }
+
+    describe('POST /teams', () => {
+        it('creates a team with defaults, search tokens and an audit entry', async () => {
+            const res = await ctx.request('POST', '/teams', { body: { name: 'Yangon United', name_mm: 'ရန်ကုန်ယူနိုက်တက်' } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Team added successfully');
+
+            const team = await readDoc(ctx.db, `${collections.teams}/${res.body.id}`);
+            assert.equal(team.name, 'Yangon United');
+            assert.equal(team.played, 0);
+            assert.equal(team.LogoUrl, '');
+            assert.ok(team.searchTokens.includes('yangon'));
+
+            const audit = Object.values(ctx.db.dump()).filter(entry => entry.path === `${collections.teams}/${res.body.id}`);
+            assert.equal(audit.length, 1);
+            assert.equal(audit[0].action, 'create');
+            assert.equal(audit[0].seasonId, '2025');
+        });
+
+        it('accepts localized names as i18n', async () => {
+            const id = await createTeam({ i18n: { name: { en: 'Shan United', my: 'ရှမ်းယူနိုက်တက်' } } });
+            const team = await readDoc(ctx.db, `${collections.teams}/${id}`);
+            assert.equal(team.name, 'Shan United');
+            assert.equal(team.name_mm, 'ရှမ်းယူနိုက်တက်');
+        });
+
+        it('rejects invalid teams with the failing fields', async () => {
+            const res = await ctx.request('POST', '/teams', { body: { LogoUrl: 'not a url', won: -1 } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'Validation failed.');
+            assert.deepEqual(res.body.errors.map(error => error.field).sort(), ['LogoUrl', 'name', 'won']);
+        });
+
+        it('requires the teams:write permission', async () => {
+            const res = await ctx.request('POST', '/teams', { token: ctx.tokens.official, body: { name: 'Officials FC' } });
+            assert.equal(res.status, 403);
+        });
+    });
+
+    describe('GET /teams', () => {
+        let listCtx;
+        before(async () => {
+            listCtx = await startTestApp();
+            const listCollections = await seedActiveSeason(listCtx.db);
+            await seed(listCtx.db, listCollections.teams, {
+                a: { name: 'Ayeyawady United', name_mm: 'ဧရာဝတီယူနိုက်တက်', won: 3, archived: false, searchTokens: ['ayeyawady'] },
+                b: { name: 'Hantharwady United', name_mm: '', won: 5, archived: false },
+                c: { name: 'Magwe', name_mm: 'မကွေး', won: 1, archived: false },
+                gone: { name: 'Gone FC', won: 0, archived: true },
+            });
+        });
+        after(() => listCtx.close());
+
+        it('lists teams sorted by name with i18n and without search tokens', async () => {
+            const res = await listCtx.request('GET', '/teams');
+            assert.equal(res.status, 200);
+            assert.equal(res.body.total, 3);
+            assert.equal(res.body.nextCursor, null);
+            assert.deepEqual(res.body.items.map(team => team.id), ['a', 'b', 'c']);
+            assert.deepEqual(res.body.items[0].i18n, { name: { my: 'ဧရာဝတီယူနိုက်တက်', en: 'Ayeyawady United' } });
+            assert.equal(res.body.items[0].searchTokens, undefined);
+        });
+
+        it('pages with limit and cursor', async () => {
+            const first = await listCtx.request('GET', '/teams?sort=-won&limit=2');
+            assert.deepEqual(first.body.items.map(team => team.id), ['b', 'a']);
+            assert.equal(first.body.nextCursor, 'a');
+            const second = await listCtx.request('GET', `/teams?sort=-won&limit=2&cursor=${first.body.nextCursor}`);
+            assert.deepEqual(second.body.items.map(team => team.id), ['c']);
+            assert.equal(second.body.nextCursor, null);
+        });
+
+        it('leaves archived teams out unless asked for them', async () => {
+            const archived = await listCtx.request('GET', '/teams?archived=true');
+            assert.deepEqual(archived.body.items.map(team => team.id), ['gone']);
+            const invalid = await listCtx.request('GET', '/teams?archived=yes');
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.message, 'archived must be true or false.');
+        });
+
+        it('returns names in the requested language, falling back to the other one', async () => {
+            const res = await listCtx.request('GET', '/teams?lang=my');
+            assert.deepEqual(res.body.items.map(team => team.name), ['ဧရာဝတီယူနိုက်တက်', 'Hantharwady United', 'မကွေး']);
+        });
+
+        it('rejects bad list parameters', async () => {
+            for (const [query, message] of [
+                ['limit=0', 'limit must be an integer between 1 and 100.'],
+                ['sort=colour', 'sort must use the fields: name, played, won, draw, lost, gf, ga.'],
+                ['cursor=missing', 'cursor does not refer to an existing item.'],
+                ['cursor=a/b', 'cursor does not refer to an existing item.'],
+                ['lang=fr', 'lang must be one of: my, en.'],
+            ]) {
+                const res = await listCtx.request('GET', `/teams?${query}`);
+                assert.equal(res.status, 400, query);
+                assert.equal(res.body.message, message);
+            }
+        });
+    });
+
+    describe('PUT /teams/:id', () => {
+        it('updates only the given fields', async () => {
+            const id = await createTeam({ name: 'Rakhine United' });
+            await ctx.db.doc(`${collections.teams}/${id}`).update({ won: 2 });
+            const res = await ctx.request('PUT', `/teams/${id}`, { body: { name: 'Rakhine Utd' } });
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Team updated successfully');
+            const team = await readDoc(ctx.db, `${collections.teams}/${id}`);
+            assert.equal(team.name, 'Rakhine Utd');
+            assert.equal(team.won, 2);
+            assert.ok(team.searchTokens.includes('utd'));
+        });
+
+        it('refuses to set the standings fields', async () => {
+            const id = await createTeam({ name: 'Sagaing United' });
+            const res = await ctx.request('PUT', `/teams/${id}`, { body: { played: 3, gf: 9 } });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors, [{ field: 'gf', message: 'gf is read-only.' }, { field: 'played', message: 'played is read-only.' }]);
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/${id}`)).played, 0);
+        });
+
+        it('returns 404 for an unknown team', async () => {
+            const res = await ctx.request('PUT', '/teams/missing', { body: { name: 'Nobody' } });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Team not found.');
+        });
+
+        it('rejects invalid fields', async () => {
+            const id = await createTeam({ name: 'Sagaing United' });
+            const res = await ctx.request('PUT', `/teams/${id}`, { body: { gf: 'many' } });
+            assert.equal(res.status, 400);
+            assert.equal(res.body.errors[0].field, 'gf');
+        });
+    });
+
+    describe('DELETE /teams/:id', () => {
+        it('deletes an unreferenced team and its stored files', async () => {
+            const id = await createTeam({ name: 'Dissolved FC' });
+            const upload = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('image', [await createTestImage()]) });
+            assert.equal(upload.status, 201);
+            assert.equal(ctx.fileStorage.files.size, 3);
+
+            const res = await ctx.request('DELETE', `/teams/${id}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Team deleted successfully');
+            assert.equal(await readDoc(ctx.db, `${collections.teams}/${id}`), undefined);
+            assert.equal(ctx.fileStorage.files.size, 0);
+        });
+
+        it('refuses while players or matches reference the team', async () => {
+            const id = await createTeam({ name: 'Busy FC' });
+            const otherId = await createTeam({ name: 'Rivals FC' });
+            await seed(ctx.db, collections.players, { p1: { name: 'Aung', team_id: id, position: 'FW' } });
+            await seed(ctx.db, collections.matches, { m1: { homeTeamId: otherId, awayTeamId: id, date: '01-02-2025', status: 'upcoming' } });
+
+            const res = await ctx.request('DELETE', `/teams/${id}`);
+            assert.equal(res.status, 409);
+            assert.deepEqual(res.body.dependents.players, [{ id: 'p1', name: 'Aung' }]);
+            assert.deepEqual(res.body.dependents.matches.map(match => match.id), ['m1']);
+
+            // Detaching the players still leaves the match
+            const detach = await ctx.request('DELETE', `/teams/${id}?cascade=detach`);
+            assert.equal(detach.status, 409);
+            assert.deepEqual(Object.keys(detach.body.dependents), ['matches']);
+        });
+
+        it('detaches players with cascade=detach', async () => {
+            const id = await createTeam({ name: 'Folding FC' });
+            await seed(ctx.db, collections.players, { p2: { name: 'Kyaw', team_id: id, position: 'GK' } });
+            const res = await ctx.request('DELETE', `/teams/${id}?cascade=detach`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.detachedPlayers, 1);
+            assert.equal((await readDoc(ctx.db, `${collections.players}/p2`)).team_id, null);
+        });
+
+        it('archives a team with archive=true', async () => {
+            const id = await createTeam({ name: 'Historic FC' });
+            await seed(ctx.db, collections.matches, { m2: { homeTeamId: id, awayTeamId: 'x', date: '01-02-2025', status: 'finished' } });
+            const res = await ctx.request('DELETE', `/teams/${id}?archive=true`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Team archived successfully');
+            assert.equal((await readDoc(ctx.db, `${collections.teams}/${id}`)).archived, true);
+
+            // Archived teams can no longer be referenced
+            const player = await ctx.request('POST', '/players', { body: { name: 'Late', position: 'DF', team_id: id } });
+            assert.equal(player.status, 400);
+            assert.equal(player.body.errors[0].message, 'team_id refers to an archived team.');
+        });
+
+        it('rejects an unknown cascade mode', async () => {
+            const res = await ctx.request('DELETE', '/teams/any?cascade=everything');
+            assert.equal(res.status, 400);
+            assert.equal(res.body.message, 'cascade must be one of: block, detach.');
+        });
+    });
+
+    describe('POST /teams/:id/logo', () => {
+        it('stores resized variants and replaces the previous logo', async () => {
+            const id = await createTeam({ name: 'Logo FC' });
+            const first = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('image', [await createTestImage()]) });
+            assert.equal(first.status, 201);
+            assert.equal(first.body.message, 'Image uploaded successfully');
+            assert.deepEqual(Object.keys(first.body.images[0]).sort(), ['large', 'medium', 'thumb']);
+
+            const team = await readDoc(ctx.db, `${collections.teams}/${id}`);
+            assert.equal(team.LogoUrl, first.body.images[0].large);
+            assert.equal(team.storageFiles.length, 3);
+            assert.ok(team.storageFiles.every(key => key.startsWith(`seasons/2025/teams/${id}/`)));
+
+            const second = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('image', [await createTestImage('jpeg')], { type: 'image/jpeg', name: 'logo.jpg' }) });
+            assert.equal(second.status, 201);
+            const keys = (await readDoc(ctx.db, `${collections.teams}/${id}`)).storageFiles;
+            assert.ok(team.storageFiles.every(key => !ctx.fileStorage.files.has(key)));
+            assert.ok(keys.every(key => ctx.fileStorage.files.get(key).contentType === 'image/webp'));
+        });
+
+        it('rejects missing, unsupported and unreadable files', async () => {
+            const id = await createTeam({ name: 'Picky FC' });
+            const missing = await ctx.request('POST', `/teams/${id}/logo`, { body: new FormData() });
+            assert.equal(missing.status, 400);
+            assert.equal(missing.body.message, 'No image uploaded. Send it in the "image" form field.');
+
+            const gif = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('image', [Buffer.from('GIF89a')], { type: 'image/gif', name: 'logo.gif' }) });
+            assert.equal(gif.status, 400);
+            assert.equal(gif.body.message, 'logo.gif is not a JPEG, PNG or WebP image.');
+
+            const broken = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('image', [Buffer.from('not a png')]) });
+            assert.equal(broken.status, 400);
+            assert.equal(broken.body.message, 'image.png could not be read as an image.');
+
+            const wrongField = await ctx.request('POST', `/teams/${id}/logo`, { body: imageForm('images', [await createTestImage()]) });
+            assert.equal(wrongField.status, 400);
+            assert.match(wrongField.body.message, /Unexpected file field "images"/);
+        });
+
+        it('returns 404 for an unknown team without keeping files', async () => {
+            const before = ctx.fileStorage.files.size;
+            const res = await ctx.request('POST', '/teams/missing/logo', { body: imageForm('image', [await createTestImage()]) });
+            assert.equal(res.status, 404);
+            assert.equal(res.body.message, 'Team not found.');
+            assert.equal(ctx.fileStorage.files.size, before);
+        });
+    });
+
+    describe('GET /teams/:id/squad', () => {
+        it('rebuilds the squad at a date from transfer histories', async () => {
+            const fromId = await createTeam({ name: 'Sellers FC' });
+            const toId = await createTeam({ name: 'Buyers FC' });
+            const playerRes = await ctx.request('POST', '/players', { body: { name: 'Min', name_en: 'Min', position: 'MF', team_id: fromId, number: 8, registeredOn: '01-02-2025' } });
+            const playerId = playerRes.body.id;
+            await seed(ctx.db, collections.players, { stays: { name: 'Zaw', position: 'DF', team_id: fromId, number: 4 } });
+            const transfer = await ctx.request('POST', `/players/${playerId}/transfer`, { body: { toTeamId: toId, date: '01-03-2025' } });
+            assert.equal(transfer.status, 201);
+
+            const before = await ctx.request('GET', `/teams/${fromId}/squad?date=15-02-2025`);
+            assert.equal(before.status, 200);
+            assert.equal(before.body.date, '15-02-2025');
+            assert.deepEqual(before.body.players.map(player => player.id), ['stays', playerId]);
+
+            // Players are only part of squads from their registration; `stays` has no history at all
+            const unregistered = await ctx.request('GET', `/teams/${fromId}/squad?date=15-01-2025`);
+            assert.deepEqual(unregistered.body.players.map(player => player.id), ['stays']);
+
+            const afterTransfer = await ctx.request('GET', `/teams/${fromId}/squad?date=02-03-2025`);
+            assert.deepEqual(afterTransfer.body.players.map(player => player.id), ['stays']);
+            const buyers = await ctx.request('GET', `/teams/${toId}/squad?date=02-03-2025&lang=en`);
+            assert.deepEqual(buyers.body.players.map(player => player.name), ['Min']);
+        });
+
+        it('defaults to today', async () => {
+            const id = await createTeam({ name: 'Today FC' });
+            const res = await ctx.request('GET', `/teams/${id}/squad`);
+            assert.equal(res.status, 200);
+            assert.match(res.body.date, /^\d{2}-\d{2}-\d{4}$/);
+        });
+
+        it('rejects bad dates and unknown teams', async () => {
+            const badDate = await ctx.request('GET', '/teams/any/squad?date=2025-01-01');
+            assert.equal(badDate.status, 400);
+            assert.equal(badDate.body.message, 'date must be in "DD-MM-YYYY" format.');
+            const missing = await ctx.request('GET', '/teams/missing/squad');
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.message, 'Team not found.');
+        });
+    });
+
+    it('writes every change to the audit log', async () => {
+        const entries = Object.entries(ctx.db.dump()).filter(([path]) => path.startsWith(`${AUDIT_COLLECTION}/`));
+        assert.ok(entries.length > 0);
+        assert.ok(entries.every(([, entry]) => entry.uid === 'superadmin-uid'));
+    });
+});
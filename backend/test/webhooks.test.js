@@ -0,0 +1,236 @@
+// backend/test/webhooks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { Timestamp } = require('firebase-admin/firestore');
+const { WEBHOOKS_COLLECTION } = require('../lib/webhooks');
+const { startTestApp, seed, seedActiveSeason, readDoc } = require('./helpers');
+
+// A local endpoint that records what it is sent and answers with `receiver.status`
+async function startReceiver() {
+    const receiver = { requests: [], status: 200 };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.status).end('ok');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve()));
+    const { port } = /** @type {import('net').AddressInfo} */ (server.address());
+    receiver.url = `http://127.0.0.1:${port}/hook`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+// Deliveries triggered by a change are sent after the response, so tests wait for them to settle
+async function waitFor(check) {
+    for (let attempt = 0; attempt < 100; attempt += 1) {
+        const result = await check();
+        if (result) {
+            return result;
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    throw new Error('Timed out waiting for a webhook delivery');
+}
+
+describe('webhooks', () => {
+    let ctx;
+    let receiver;
+    let collections;
+    let webhook;
+    before(async () => {
+        ctx = await startTestApp();
+        receiver = await startReceiver();
+        collections = await seedActiveSeason(ctx.db);
+        await seed(ctx.db, collections.teams, { red: { name: 'Red FC' }, blue: { name: 'Blue FC' } });
+        process.env.CRON_SECRET = 'test-cron-secret';
+    });
+    after(async () => {
+        delete process.env.CRON_SECRET;
+        await receiver.close();
+        await ctx.close();
+    });
+
+    async function settledDeliveries(webhookId) {
+        const res = await ctx.request('GET', `/webhooks/${webhookId}/deliveries`);
+        return res.body.items.length && res.body.items.every(delivery => delivery.attempts > 0) ? res.body.items : null;
+    }
+
+    describe('POST /webhooks', () => {
+        it('registers a webhook and returns its secret once', async () => {
+            const res = await ctx.request('POST', '/webhooks', { body: { url: receiver.url, events: ['team.updated'], description: 'Scoreboard' } });
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Webhook added successfully');
+            assert.match(res.body.secret, /^[0-9a-f]{64}$/);
+            webhook = { id: res.body.id, secret: res.body.secret };
+
+            const list = await ctx.request('GET', '/webhooks');
+            assert.equal(list.status, 200);
+            assert.equal(list.body.length, 1);
+            assert.equal(list.body[0].secret, undefined);
+            assert.equal(list.body[0].secretHint, `...${webhook.secret.slice(-4)}`);
+            assert.equal(list.body[0].active, true);
+            assert.equal(list.body[0].createdBy, 'superadmin-uid');
+        });
+
+        it('validates the webhook', async () => {
+            const res = await ctx.request('POST', '/webhooks', { body: { url: 'ftp://example.com', events: ['team.deleted'] } });
+            assert.equal(res.status, 400);
+            assert.deepEqual(res.body.errors.map(error => error.field), ['url', 'events']);
+            assert.equal((await ctx.request('POST', '/webhooks', { body: { url: receiver.url, events: [] } })).status, 400);
+        });
+
+        it('is limited to superadmins', async () => {
+            assert.equal((await ctx.request('GET', '/webhooks', { token: ctx.tokens.editor })).status, 403);
+        });
+    });
+
+    describe('deliveries', () => {
+        it('sends signed events to subscribed webhooks', async () => {
+            await ctx.request('PUT', '/teams/red', { body: { name: 'Red Star' } });
+            const [delivery] = await waitFor(() => settledDeliveries(webhook.id));
+            assert.equal(delivery.status, 'delivered');
+            assert.equal(delivery.event, 'team.updated');
+            assert.equal(delivery.responseStatus, 200);
+
+            const [request] = receiver.requests;
+            const body = JSON.parse(request.body);
+            assert.deepEqual([body.id, body.event, body.seasonId, body.data.team.name], [delivery.id, 'team.updated', '2025', 'Red Star']);
+            assert.equal(request.headers['x-hkpl-event'], 'team.updated');
+            assert.equal(request.headers['x-hkpl-delivery'], delivery.id);
+            const timestamp = request.headers['x-hkpl-timestamp'];
+            const signature = crypto.createHmac('sha256', webhook.secret).update(`${timestamp}.${request.body}`).digest('hex');
+            assert.equal(request.headers['x-hkpl-signature'], `sha256=${signature}`);
+        });
+
+        it('keeps failed attempts pending for a retry', async () => {
+            receiver.status = 500;
+            try {
+                const res = await ctx.request('POST', '/webhooks', { body: { url: receiver.url, events: ['*'] } });
+                await ctx.request('PUT', '/teams/red', { body: { name: 'Red Stars' } });
+                const [delivery] = await waitFor(() => settledDeliveries(res.body.id));
+                assert.equal(delivery.status, 'pending');
+                assert.equal(delivery.attempts, 1);
+                assert.equal(delivery.error, 'The endpoint responded with HTTP 500.');
+
+                const failed = await ctx.request('GET', `/webhooks/${res.body.id}/deliveries?status=failed`);
+                assert.deepEqual(failed.body.items, []);
+                // The first webhook subscribes to team.updated too; let its attempt finish before moving on
+                await waitFor(() => settledDeliveries(webhook.id));
+            } finally {
+                receiver.status = 200;
+            }
+        });
+
+        it('announces matches that are created or imported as finished', async () => {
+            const res = await ctx.request('POST', '/webhooks', { body: { url: receiver.url, events: ['match.finished'] } });
+            const result = { homeTeamId: 'red', awayTeamId: 'blue', status: 'finished', homeScore: 1, awayScore: 0 };
+            const created = await ctx.request('POST', '/matches', { body: { ...result, date: '01-03-2025' } });
+            await ctx.request('POST', '/import/matches', { body: [{ ...result, date: '02-03-2025' }, { ...result, date: '03-03-2025', status: 'upcoming' }] });
+            const deliveries = await waitFor(async () => {
+                const settled = await settledDeliveries(res.body.id);
+                return settled?.length === 2 ? settled : null;
+            });
+            const matchIds = deliveries.map(delivery => JSON.parse(delivery.body).data.match.id).sort();
+            assert.deepEqual(matchIds, [created.body.id, '02032025-01']);
+            assert.ok(deliveries.every(delivery => delivery.event === 'match.finished'));
+            await ctx.request('DELETE', `/webhooks/${res.body.id}`);
+        });
+
+        it('lists deliveries with paging and returns 404 for unknown webhooks', async () => {
+            const page = await ctx.request('GET', `/webhooks/${webhook.id}/deliveries?limit=1`);
+            assert.equal(page.body.items.length, 1);
+            assert.equal((await ctx.request('GET', '/webhooks/missing/deliveries')).status, 404);
+            assert.equal((await ctx.request('GET', `/webhooks/${webhook.id}/deliveries?sort=status`)).status, 400);
+        });
+    });
+
+    describe('POST /webhooks/:id/deliveries/:deliveryId/redeliver', () => {
+        it('sends a delivery again with the same body', async () => {
+            const [original] = (await ctx.request('GET', `/webhooks/${webhook.id}/deliveries`)).body.items;
+            const sent = receiver.requests.length;
+            const res = await ctx.request('POST', `/webhooks/${webhook.id}/deliveries/${original.id}/redeliver`);
+            assert.equal(res.status, 201);
+            assert.equal(res.body.message, 'Delivery sent');
+            assert.equal(res.body.delivery.status, 'delivered');
+            assert.equal(res.body.delivery.redeliveryOf, original.id);
+            assert.equal(receiver.requests.length, sent + 1);
+            assert.equal(receiver.requests[sent].body, original.body);
+        });
+
+        it('returns 404 and 409 errors', async () => {
+            const [delivery] = (await ctx.request('GET', `/webhooks/${webhook.id}/deliveries`)).body.items;
+            const missing = await ctx.request('POST', `/webhooks/${webhook.id}/deliveries/missing/redeliver`);
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.message, 'Delivery not found.');
+            assert.equal((await ctx.request('POST', `/webhooks/missing/deliveries/${delivery.id}/redeliver`)).body.message, 'Webhook not found.');
+
+            await ctx.request('PUT', `/webhooks/${webhook.id}`, { body: { active: false } });
+            const inactive = await ctx.request('POST', `/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`);
+            assert.equal(inactive.status, 409);
+            assert.equal(inactive.body.message, 'The webhook is inactive; activate it before redelivering.');
+            await ctx.request('PUT', `/webhooks/${webhook.id}`, { body: { active: true } });
+        });
+    });
+
+    describe('/cron/webhook-deliveries', () => {
+        it('retries deliveries that are due', async () => {
+            const now = Timestamp.now();
+            await seed(ctx.db, `${WEBHOOKS_COLLECTION}/${webhook.id}/deliveries`, {
+                due: { webhookId: webhook.id, event: 'team.updated', body: '{}', status: 'pending', attempts: 1, nextAttemptAt: Timestamp.fromMillis(now.toMillis() - 1000), createdAt: now },
+                later: { webhookId: webhook.id, event: 'team.updated', body: '{}', status: 'pending', attempts: 1, nextAttemptAt: Timestamp.fromMillis(now.toMillis() + 60000), createdAt: now },
+            });
+            const res = await ctx.request('POST', '/cron/webhook-deliveries', { token: 'test-cron-secret' });
+            assert.equal(res.status, 200);
+            assert.deepEqual(res.body, { message: 'Attempted 1 webhook deliveries', delivered: 1, pending: 0, failed: 0 });
+            const due = await readDoc(ctx.db, `${WEBHOOKS_COLLECTION}/${webhook.id}/deliveries/due`);
+            assert.deepEqual([due.status, due.attempts], ['delivered', 2]);
+            assert.equal((await readDoc(ctx.db, `${WEBHOOKS_COLLECTION}/${webhook.id}/deliveries/later`)).attempts, 1);
+        });
+
+        it('needs the cron secret', async () => {
+            const res = await ctx.request('GET', '/cron/webhook-deliveries', { token: 'wrong' });
+            assert.equal(res.status, 401);
+            assert.equal(res.body.message, 'Unauthorized: Invalid cron secret.');
+        });
+    });
+
+    describe('PUT /webhooks/:id', () => {
+        it('updates the webhook and rotates the secret on request', async () => {
+            const update = await ctx.request('PUT', `/webhooks/${webhook.id}`, { body: { description: 'Renamed' } });
+            assert.equal(update.status, 200);
+            assert.equal(update.body.message, 'Webhook updated successfully');
+            assert.equal(update.body.webhook.description, 'Renamed');
+            assert.equal(update.body.secret, undefined);
+
+            const rotate = await ctx.request('PUT', `/webhooks/${webhook.id}`, { body: { rotateSecret: true } });
+            assert.match(rotate.body.secret, /^[0-9a-f]{64}$/);
+            assert.notEqual(rotate.body.secret, webhook.secret);
+            assert.equal(rotate.body.webhook.secretHint, `...${rotate.body.secret.slice(-4)}`);
+        });
+
+        it('returns 400 and 404 errors', async () => {
+            const invalid = await ctx.request('PUT', `/webhooks/${webhook.id}`, { body: { events: ['team.deleted'] } });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.errors[0].message, 'Unknown events: team.deleted. Use match.status_changed, match.finished, news.published, team.updated or *.');
+            const missing = await ctx.request('PUT', '/webhooks/missing', { body: { active: false } });
+            assert.equal(missing.status, 404);
+            assert.equal(missing.body.message, 'Webhook not found.');
+        });
+    });
+
+    describe('DELETE /webhooks/:id', () => {
+        it('deletes the webhook with its deliveries', async () => {
+            const res = await ctx.request('DELETE', `/webhooks/${webhook.id}`);
+            assert.equal(res.status, 200);
+            assert.equal(res.body.message, 'Webhook deleted successfully');
+            assert.ok(Object.keys(ctx.db.dump()).every(path => !path.startsWith(`${WEBHOOKS_COLLECTION}/${webhook.id}`)));
+        });
+    });
+});
@@ -0,0 +1,17 @@
+// backend/types/express.d.ts
+// Properties the middleware in app.js and services/seasons.js sets on every authenticated request
+import type { DecodedIdToken } from 'firebase-admin/auth';
+import type { getLeagueCollections } from '../lib/paths';
+
+declare global {
+    namespace Express {
+        interface Request {
+            user: DecodedIdToken;
+            // null when the request works on the data from before seasons existed
+            season: { id: string; [field: string]: any } | null;
+            collections: ReturnType<typeof getLeagueCollections>;
+        }
+    }
+}
+
+export {};